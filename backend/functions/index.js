@@ -1,38 +1,102 @@
 import { onSchedule } from 'firebase-functions/v2/scheduler';
 import { onDocumentCreated } from 'firebase-functions/v2/firestore';
+import { defineSecret, defineString } from 'firebase-functions/params';
 import { initializeApp } from 'firebase-admin/app';
 import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
 
 initializeApp();
 const db = getFirestore();
 
+// SMS provider (Twilio). The auth token is a secret: firebase functions:secrets:set TWILIO_AUTH_TOKEN
+const twilioAccountSid = defineString('TWILIO_ACCOUNT_SID');
+const twilioFromNumber = defineString('TWILIO_FROM_NUMBER');
+const twilioAuthToken = defineSecret('TWILIO_AUTH_TOKEN');
+
+const MAX_SMS_ATTEMPTS = 5;
+
+// The API, and the secret its internal job endpoints expect (accessLifecycle.jobSecret)
+const apiBaseUrl = defineString('API_BASE_URL');
+const jobSecret = defineSecret('JOB_SECRET');
+
 /**
- * Scheduled function: runs every hour to expire stale access requests.
- * This is the production alternative to polling in the backend.
+ * Scheduled function: every hour, has the API expire access grants past
+ * `expiresAt` and send expiry reminders. The work stays in the API's access
+ * lifecycle service (counters, notifications); this only makes sure it runs
+ * when no API instance is up to run it itself — the request starts one.
  */
-export const expireAccessRequests = onSchedule('every 1 hours', async () => {
-  const now = Timestamp.now();
-
-  const snap = await db
-    .collection('access_requests')
-    .where('status', '==', 'approved')
-    .where('isExpired', '==', false)
-    .where('expiresAt', '<=', now)
-    .get();
-
-  if (snap.empty) {
-    console.log('[expireAccessRequests] No stale requests found.');
-    return;
+export const runAccessLifecycle = onSchedule(
+  { schedule: 'every 1 hours', secrets: [jobSecret] },
+  async () => {
+    const response = await fetch(`${apiBaseUrl.value().replace(/\/+$/, '')}/api/internal/access-lifecycle/run`, {
+      method: 'POST',
+      headers: { 'X-Job-Secret': jobSecret.value() },
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`[runAccessLifecycle] API responded ${response.status}: ${result.error || 'no details'}`);
+    }
+    console.log(`[runAccessLifecycle] ${result.expired} grant(s) expired, ${result.reminded} reminder(s) sent`);
   }
+);
 
-  const batch = db.batch();
-  snap.docs.forEach((d) => {
-    batch.update(d.ref, { status: 'expired', isExpired: true });
-  });
-  await batch.commit();
+/**
+ * Trigger: deliver each message queued in `outbound_messages` (e.g. the
+ * break-glass SMS to a patient and their emergency contact) and record the
+ * outcome on it — `status` sent | failed, `attempts`, `sentAt`,
+ * `providerMessageId`, `error`. Provider or network failures are retried up
+ * to MAX_SMS_ATTEMPTS; a message the provider rejects fails at once.
+ */
+export const deliverOutboundMessage = onDocumentCreated(
+  { document: 'outbound_messages/{messageId}', secrets: [twilioAuthToken], retry: true },
+  async (event) => {
+    const messageRef = event.data?.ref;
+    if (!messageRef) return;
+
+    // Triggers can fire more than once — only one run may send
+    const message = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(messageRef);
+      if (!doc.exists || doc.get('status') !== 'queued') return null;
+      tx.update(messageRef, { status: 'sending', attempts: FieldValue.increment(1) });
+      return doc.data();
+    });
+    if (!message) return;
+
+    try {
+      if (message.channel !== 'sms') {
+        throw Object.assign(new Error(`Unsupported channel: ${message.channel}`), { permanent: true });
+      }
+      const providerMessageId = await sendSms(message);
+      await messageRef.update({ status: 'sent', sentAt: Timestamp.now(), providerMessageId, error: null });
+      console.log(`[deliverOutboundMessage] Sent ${event.params.messageId}`);
+    } catch (err) {
+      const attempts = message.attempts + 1;
+      const giveUp = err.permanent || attempts >= MAX_SMS_ATTEMPTS;
+      await messageRef.update({ status: giveUp ? 'failed' : 'queued', error: err.message });
+      console.error(`[deliverOutboundMessage] ${event.params.messageId} attempt ${attempts} failed: ${err.message}`);
+      if (!giveUp) throw err; // let the trigger retry
+    }
+  }
+);
 
-  console.log(`[expireAccessRequests] Expired ${snap.size} access requests.`);
-});
+const sendSms = async ({ to, body }) => {
+  const accountSid = twilioAccountSid.value();
+  const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${accountSid}:${twilioAuthToken.value()}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({ To: to, From: twilioFromNumber.value(), Body: body }),
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // 4xx: bad number, unverified sender… — retrying won't help
+    throw Object.assign(new Error(result.message || `SMS provider responded ${response.status}`), {
+      permanent: response.status < 500 && response.status !== 429,
+    });
+  }
+  return result.sid;
+};
 
 /**
  * Trigger: when a new endorsement is created, recalculate the target doctor's accuracy score.
@@ -69,7 +133,8 @@ export const onAccessRequestResponded = onDocumentCreated(
   'access_requests/{requestId}',
   async (event) => {
     const request = event.data?.data();
-    if (!request || request.status !== 'approved') return;
+    // Emergency (break-glass) grants are created approved — there was no response
+    if (!request || request.status !== 'approved' || request.isEmergency) return;
 
     const requestedAt = request.requestedAt?.toDate();
     const respondedAt = request.respondedAt?.toDate();
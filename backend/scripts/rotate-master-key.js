@@ -0,0 +1,22 @@
+/**
+ * Rotate the master key that wraps every patient's data key.
+ * Stored record files are not re-encrypted — only the wrapped data keys change.
+ *
+ * Usage:
+ *   npm run keys:rotate              # add a new active master key and re-wrap all data keys
+ *   npm run keys:rotate -- --prune   # ...then remove the old master keys from the key file
+ */
+import { rotateMasterKey } from '../src/services/encryption.service.js';
+
+const prune = process.argv.includes('--prune');
+
+try {
+  const { keyId, rewrapped, prunedKeyIds } = await rotateMasterKey({ prune });
+  console.log(`🔑 Active master key: ${keyId}`);
+  console.log(`   Re-wrapped ${rewrapped} patient data keys.`);
+  if (prunedKeyIds.length) console.log(`   Removed old master keys: ${prunedKeyIds.join(', ')}`);
+  process.exit(0);
+} catch (err) {
+  console.error('Master key rotation failed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,25 @@
+// Firestore collection names — single source of truth. Kept apart from
+// firebase.js so they can be imported without initialising the Admin SDK.
+export const COLLECTIONS = {
+  USERS: 'users',
+  PATIENTS: 'patients',
+  DOCTORS: 'doctors',
+  RECORDS: 'records',           // medical records (versioned)
+  RECORD_VERSIONS: 'record_versions',
+  ACCESS_REQUESTS: 'access_requests',
+  COLLABORATIONS: 'collaborations',
+  COMMITS: 'commits',           // audit log of every record change
+  PROPOSALS: 'proposals',       // doctor-proposed versions awaiting patient review
+  ENDORSEMENTS: 'endorsements',
+  NOTIFICATIONS: 'notifications',
+  ACTIVITY_LOG: 'activity_log',
+  PATIENT_KEYS: 'patient_keys', // wrapped per-patient data keys (server only)
+  UPLOAD_SESSIONS: 'upload_sessions', // resumable chunked uploads (server only)
+  OBSERVATIONS: 'observations', // structured lab results attached to lab_report versions
+  REPOSITORY_EXPORTS: 'repository_exports', // full-repository zip exports (server only writes)
+  OUTBOUND_MESSAGES: 'outbound_messages', // SMS queued for people without an account (server only)
+  EMERGENCY_CARDS: 'emergency_cards', // public emergency cards, keyed by patient (server only)
+  EMERGENCY_CARD_SCANS: 'scans',      // subcollection of emergency_cards — every scan of a card
+  SHARE_LINKS: 'share_links',         // patient-created links for recipients without an account (server only)
+  SHARE_LINK_DOWNLOADS: 'downloads',  // subcollection of share_links — grants to resume a counted download
+};
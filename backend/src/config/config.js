@@ -0,0 +1,13 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Backend root — config.json and local key files live here
+export const ROOT_DIR = path.join(__dirname, '../..');
+
+// Load all app config from config.json — no dotenv
+const config = JSON.parse(readFileSync(path.join(ROOT_DIR, 'config.json'), 'utf8'));
+
+export default config;
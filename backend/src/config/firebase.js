@@ -30,20 +30,8 @@ export const storage = admin.storage();
 export const bucket = admin.storage().bucket();
 export const FieldValue = admin.firestore.FieldValue;
 export const Timestamp = admin.firestore.Timestamp;
+export const Filter = admin.firestore.Filter;
 
-// Firestore collection names — single source of truth
-export const COLLECTIONS = {
-  USERS: 'users',
-  PATIENTS: 'patients',
-  DOCTORS: 'doctors',
-  RECORDS: 'records',           // medical records (versioned)
-  RECORD_VERSIONS: 'record_versions',
-  ACCESS_REQUESTS: 'access_requests',
-  COLLABORATIONS: 'collaborations',
-  COMMITS: 'commits',           // audit log of every record change
-  ENDORSEMENTS: 'endorsements',
-  NOTIFICATIONS: 'notifications',
-  ACTIVITY_LOG: 'activity_log',
-};
+export { COLLECTIONS } from './collections.js';
 
 export default admin;
@@ -1,8 +1,17 @@
-import { db, FieldValue, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import { db, Timestamp, COLLECTIONS } from '../config/firebase.js';
 import { v4 as uuidv4 } from 'uuid';
 import { logActivity } from '../services/activity.service.js';
 import { updateDoctorStats } from '../services/doctor-stats.service.js';
 import { createNotification } from '../services/notification.service.js';
+import { assertDoctorReadAccess, canReadRecord } from '../services/access.service.js';
+import {
+  isGrantLive,
+  transitionAccessRequest,
+  expireGrant,
+  requestRenewal,
+  respondToRenewal,
+} from '../services/access-lifecycle.service.js';
+import { httpError } from '../utils/http-error.js';
 
 /**
  * POST /api/access-requests
@@ -11,25 +20,39 @@ import { createNotification } from '../services/notification.service.js';
 export const createAccessRequest = async (req, res, next) => {
   try {
     const doctorId = req.user.uid;
-    const { patientId, reason, accessLevel, requestedRecordTypes, expiryDays } = req.body;
+    const { patientId, reason, accessLevel, requestedRecordTypes, requestedRecordIds, expiryDays } = req.body;
 
     // Verify patient exists
     const patientDoc = await db.collection(COLLECTIONS.PATIENTS).doc(patientId).get();
     if (!patientDoc.exists) return res.status(404).json({ error: 'Patient not found.' });
 
-    // Check no pending/approved request already exists
+    // Explicitly requested records must be the patient's (archived ones can't be shared)
+    if (requestedRecordIds) {
+      const { unknown } = await loadShareableRecords(patientId, requestedRecordIds);
+      if (unknown.length) {
+        return res.status(422).json({ error: 'Some requested records were not found.', recordIds: unknown });
+      }
+    }
+
+    // Check no pending/approved request already exists (emergency access doesn't count)
     const existingSnap = await db
       .collection(COLLECTIONS.ACCESS_REQUESTS)
       .where('doctorId', '==', doctorId)
       .where('patientId', '==', patientId)
       .where('status', 'in', ['pending', 'approved'])
-      .limit(1)
       .get();
 
-    if (!existingSnap.empty) {
+    const requests = existingSnap.docs.map((d) => d.data()).filter((r) => !r.isEmergency);
+    // A grant past its expiresAt no longer counts — expire it now rather than wait for the job
+    await Promise.all(requests
+      .filter((r) => r.status === 'approved' && !isGrantLive(r))
+      .map((r) => expireGrant(r.id)));
+
+    const existing = requests.find((r) => r.status === 'pending' || isGrantLive(r));
+    if (existing) {
       return res.status(409).json({
-        error: 'An active or pending access request already exists for this patient.',
-        existingRequestId: existingSnap.docs[0].id,
+        error: 'An active or pending access request already exists for this patient. To extend active access, request a renewal.',
+        existingRequestId: existing.id,
       });
     }
 
@@ -43,9 +66,10 @@ export const createAccessRequest = async (req, res, next) => {
       patientId,
       reason,
       accessLevel: accessLevel || 'read',
-      requestedRecordTypes,
+      requestedRecordTypes: requestedRecordTypes || [],
+      requestedRecordIds: requestedRecordIds || [],
       expiryDays: expiryDays || 30,
-      status: 'pending', // pending | approved | denied | revoked | expired
+      status: 'pending', // pending | approved | denied | withdrawn | revoked | expired
       isExpired: false,
       requestedAt: now,
       respondedAt: null,
@@ -83,7 +107,10 @@ export const createAccessRequest = async (req, res, next) => {
 
 /**
  * PATCH /api/access-requests/:requestId/respond
- * Patient approves or denies a doctor's access request.
+ * Patient approves or denies a doctor's access request. An approval can
+ * narrow the terms — fewer record types or specific records, `read` instead
+ * of `read_write`, fewer days — never widen them. The doctor is told what
+ * changed, and the request as sent is kept in `requestedTerms`.
  */
 export const respondToAccessRequest = async (req, res, next) => {
   try {
@@ -91,8 +118,7 @@ export const respondToAccessRequest = async (req, res, next) => {
     const { requestId } = req.params;
     const { approved, note } = req.body;
 
-    const requestRef = db.collection(COLLECTIONS.ACCESS_REQUESTS).doc(requestId);
-    const requestDoc = await requestRef.get();
+    const requestDoc = await db.collection(COLLECTIONS.ACCESS_REQUESTS).doc(requestId).get();
 
     if (!requestDoc.exists) return res.status(404).json({ error: 'Request not found.' });
 
@@ -108,39 +134,45 @@ export const respondToAccessRequest = async (req, res, next) => {
     const now = Timestamp.now();
     const newStatus = approved ? 'approved' : 'denied';
 
-    const update = {
-      status: newStatus,
-      respondedAt: now,
-      note: note || null,
-    };
+    const update = { note: note || null };
 
+    let changes = [];
     if (approved) {
-      const expiresAt = Timestamp.fromDate(
-        new Date(Date.now() + request.expiryDays * 24 * 60 * 60 * 1000)
-      );
-      update.expiresAt = expiresAt;
-
-      // Update doctor's stats
-      await updateDoctorStats(request.doctorId, { newCase: true, patientId });
-
-      // Update patient's collaborator count
-      await db.collection(COLLECTIONS.PATIENTS).doc(patientId).update({
-        activeCollaborators: FieldValue.increment(1),
-        updatedAt: now,
+      const terms = await resolveApprovedTerms(request, req.body);
+      changes = terms.changes;
+
+      Object.assign(update, {
+        requestedRecordTypes: terms.recordTypes,
+        requestedRecordIds: terms.recordIds,
+        accessLevel: terms.accessLevel,
+        expiryDays: terms.expiryDays,
+        expiresAt: Timestamp.fromMillis(now.toMillis() + terms.expiryDays * 24 * 60 * 60 * 1000),
       });
+      if (changes.length) {
+        update.requestedTerms = {
+          recordTypes: request.requestedRecordTypes,
+          recordIds: request.requestedRecordIds || [],
+          accessLevel: request.accessLevel,
+          expiryDays: request.expiryDays,
+        };
+      }
     }
 
-    await requestRef.update(update);
+    const responded = await transitionAccessRequest(requestId, newStatus, update);
+    if (approved) await updateDoctorStats(request.doctorId, { newCase: true, patientId });
 
     // Notify doctor
+    const modified = changes.length > 0;
     await createNotification({
       recipientId: request.doctorId,
       type: 'access_request_response',
-      title: approved ? 'Access Request Approved' : 'Access Request Denied',
+      title: approved
+        ? (modified ? 'Access Request Approved with Changes' : 'Access Request Approved')
+        : 'Access Request Denied',
       body: approved
-        ? `Your request to access ${req.user.displayName}'s records was approved.`
+        ? `Your request to access ${req.user.displayName}'s records was approved${modified ? ` with changes: ${changes.join('; ')}` : ''}.`
         : `Your request to access a patient's records was denied.`,
-      metadata: { requestId, patientId },
+      metadata: { requestId, patientId, modified },
     });
 
     await logActivity({
@@ -148,12 +180,91 @@ export const respondToAccessRequest = async (req, res, next) => {
       actorRole: 'patient',
       action: approved ? 'access_request_approved' : 'access_request_denied',
       resourceId: requestId,
-      metadata: { doctorId: request.doctorId },
+      metadata: { doctorId: request.doctorId, changes },
+    });
+
+    res.json({
+      message: modified ? `Access request approved with changes.` : `Access request ${newStatus}.`,
+      request: responded,
+      changes,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/access-requests/:requestId/renewal
+ * Doctor asks to extend an approved grant before it expires. The grant stays
+ * as it is until the patient responds.
+ */
+export const requestAccessRenewal = async (req, res, next) => {
+  try {
+    const doctorId = req.user.uid;
+    const { requestId } = req.params;
+    const { expiryDays, reason } = req.body;
+
+    const { request, renewal } = await requestRenewal(requestId, { doctorId, expiryDays, reason });
+
+    await createNotification({
+      recipientId: request.patientId,
+      type: 'access_renewal_request',
+      title: 'Access Renewal Request',
+      body: `Dr. ${req.user.displayName} asks to extend access to your records by ${expiryDays} days (currently until ${request.expiresAt.toDate().toDateString()}).`,
+      metadata: { requestId, doctorId },
+    });
+
+    await logActivity({
+      actorId: doctorId,
+      actorRole: 'doctor',
+      action: 'access_renewal_requested',
+      resourceId: requestId,
+      metadata: { patientId: request.patientId, expiryDays },
+    });
+
+    res.status(201).json({
+      message: 'Renewal requested. The patient has been notified.',
+      request: { ...request, renewal },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PATCH /api/access-requests/:requestId/renewal
+ * Patient accepts (optionally for fewer days) or declines a renewal. An
+ * accepted renewal extends the grant from its current expiry.
+ */
+export const respondToAccessRenewal = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const { requestId } = req.params;
+    const { approved, expiryDays, note } = req.body;
+
+    const { request, renewed, grantedDays } = await respondToRenewal(requestId, { patientId, approved, expiryDays, note });
+
+    await createNotification({
+      recipientId: request.doctorId,
+      type: 'access_renewal_response',
+      title: approved ? 'Access Renewal Approved' : 'Access Renewal Declined',
+      body: approved
+        ? `${req.user.displayName} extended your access by ${grantedDays} days${grantedDays < request.renewal.expiryDays ? ` (you asked for ${request.renewal.expiryDays})` : ''}.`
+        : `A patient declined to extend your access. It ends on ${request.expiresAt.toDate().toDateString()}.`,
+      metadata: { requestId, patientId },
+    });
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: approved ? 'access_renewal_approved' : 'access_renewal_declined',
+      resourceId: requestId,
+      metadata: { doctorId: request.doctorId, grantedDays },
     });
 
     res.json({
-      message: `Access request ${newStatus}.`,
-      request: { ...request, ...update },
+      message: approved ? `Access extended by ${grantedDays} days.` : 'Renewal declined.',
+      request: renewed,
     });
   } catch (err) {
     next(err);
@@ -169,8 +280,7 @@ export const revokeAccess = async (req, res, next) => {
     const patientId = req.user.uid;
     const { requestId } = req.params;
 
-    const requestRef = db.collection(COLLECTIONS.ACCESS_REQUESTS).doc(requestId);
-    const requestDoc = await requestRef.get();
+    const requestDoc = await db.collection(COLLECTIONS.ACCESS_REQUESTS).doc(requestId).get();
 
     if (!requestDoc.exists) return res.status(404).json({ error: 'Request not found.' });
     const request = requestDoc.data();
@@ -182,13 +292,7 @@ export const revokeAccess = async (req, res, next) => {
       return res.status(409).json({ error: 'Only approved access can be revoked.' });
     }
 
-    const now = Timestamp.now();
-    await requestRef.update({ status: 'revoked', revokedAt: now, isExpired: true });
-
-    await db.collection(COLLECTIONS.PATIENTS).doc(patientId).update({
-      activeCollaborators: FieldValue.increment(-1),
-      updatedAt: now,
-    });
+    await transitionAccessRequest(requestId, 'revoked');
 
     await createNotification({
       recipientId: request.doctorId,
@@ -198,6 +302,14 @@ export const revokeAccess = async (req, res, next) => {
       metadata: { requestId },
     });
 
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: 'access_revoked',
+      resourceId: requestId,
+      metadata: { doctorId: request.doctorId },
+    });
+
     res.json({ message: 'Access revoked successfully.' });
   } catch (err) {
     next(err);
@@ -205,13 +317,62 @@ export const revokeAccess = async (req, res, next) => {
 };
 
 /**
- * GET /api/access-requests/incoming
- * Patient sees all incoming requests.
+ * POST /api/access-requests/:requestId/withdraw
+ * Doctor withdraws a pending request, or gives up approved access they no
+ * longer need. The patient is told either way.
+ */
+export const withdrawAccessRequest = async (req, res, next) => {
+  try {
+    const doctorId = req.user.uid;
+    const { requestId } = req.params;
+
+    const requestDoc = await db.collection(COLLECTIONS.ACCESS_REQUESTS).doc(requestId).get();
+    if (!requestDoc.exists) return res.status(404).json({ error: 'Request not found.' });
+
+    const request = requestDoc.data();
+    if (request.doctorId !== doctorId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+
+    const withdrawn = await transitionAccessRequest(requestId, 'withdrawn');
+    const wasGranted = request.status === 'approved';
+
+    await createNotification({
+      recipientId: request.patientId,
+      type: 'access_withdrawn',
+      title: wasGranted ? 'Access Ended by Doctor' : 'Access Request Withdrawn',
+      body: wasGranted
+        ? `Dr. ${request.doctorName} no longer needs access to your records and has ended it.`
+        : `Dr. ${request.doctorName} withdrew their request to access your records.`,
+      metadata: { requestId, doctorId },
+    });
+
+    await logActivity({
+      actorId: doctorId,
+      actorRole: 'doctor',
+      action: 'access_request_withdrawn',
+      resourceId: requestId,
+      metadata: { patientId: request.patientId, previousStatus: request.status },
+    });
+
+    res.json({
+      message: wasGranted ? 'Access ended.' : 'Access request withdrawn.',
+      request: withdrawn,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/access-requests/incoming?status=&renewal=pending
+ * Patient sees all incoming requests; `renewal=pending` lists grants whose
+ * doctor is waiting for a renewal answer.
  */
 export const getIncomingRequests = async (req, res, next) => {
   try {
     const patientId = req.user.uid;
-    const { status } = req.query;
+    const { status, renewal } = req.query;
 
     let query = db
       .collection(COLLECTIONS.ACCESS_REQUESTS)
@@ -219,6 +380,7 @@ export const getIncomingRequests = async (req, res, next) => {
       .orderBy('requestedAt', 'desc');
 
     if (status) query = query.where('status', '==', status);
+    if (renewal) query = query.where('renewal.status', '==', renewal);
 
     const snap = await query.limit(50).get();
     const requests = snap.docs.map((d) => d.data());
@@ -253,7 +415,10 @@ export const getOutgoingRequests = async (req, res, next) => {
 
 /**
  * GET /api/patients/:patientId/collaborators
- * Returns all doctors currently with approved access to a patient.
+ * Returns all doctors currently with approved access to a patient, each with
+ * the records their grant lets them see (`visibleRecords`). Doctors need a
+ * live grant of their own, only get that list for their own grant, and
+ * don't see other doctors' reasons or emergency justifications.
  */
 export const getPatientCollaborators = async (req, res, next) => {
   try {
@@ -263,21 +428,40 @@ export const getPatientCollaborators = async (req, res, next) => {
     if (req.user.role === 'patient' && callerId !== patientId) {
       return res.status(403).json({ error: 'Access denied.' });
     }
+    if (req.user.role === 'doctor') {
+      await assertDoctorReadAccess(callerId, patientId, 'all', 'collaborators');
+    }
 
-    const snap = await db
-      .collection(COLLECTIONS.ACCESS_REQUESTS)
-      .where('patientId', '==', patientId)
-      .where('status', '==', 'approved')
-      .where('isExpired', '==', false)
-      .get();
+    const [snap, recordsSnap] = await Promise.all([
+      db
+        .collection(COLLECTIONS.ACCESS_REQUESTS)
+        .where('patientId', '==', patientId)
+        .where('status', '==', 'approved')
+        .where('isExpired', '==', false)
+        .get(),
+      db
+        .collection(COLLECTIONS.RECORDS)
+        .where('patientId', '==', patientId)
+        .where('isArchived', '==', false)
+        .select('title', 'recordType')
+        .get(),
+    ]);
+
+    const records = recordsSnap.docs
+      .map((d) => ({ id: d.id, title: d.get('title'), recordType: d.get('recordType') }))
+      .sort((a, b) => a.title.localeCompare(b.title));
+
+    // The expiry job may not have caught up yet
+    const live = snap.docs.map((d) => d.data()).filter((g) => isGrantLive(g));
 
     const collaborators = await Promise.all(
-      snap.docs.map(async (d) => {
-        const req = d.data();
-        const doctorDoc = await db.collection(COLLECTIONS.DOCTORS).doc(req.doctorId).get();
+      live.map(async (grant) => {
+        const doctorDoc = await db.collection(COLLECTIONS.DOCTORS).doc(grant.doctorId).get();
+        const showRecords = req.user.role === 'patient' || grant.doctorId === callerId;
         return {
-          accessRequest: req,
+          accessRequest: showRecords ? grant : withoutFreeText(grant),
           doctor: doctorDoc.exists ? doctorDoc.data() : null,
+          visibleRecords: showRecords ? records.filter((r) => canReadRecord(grant, r)) : undefined,
         };
       })
     );
@@ -287,3 +471,76 @@ export const getPatientCollaborators = async (req, res, next) => {
     next(err);
   }
 };
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+// Another doctor's grant as a doctor sees it: none of the free text — the
+// reason (an emergency grant's justification), the patient's notes, review
+// comments or renewal reasons
+const withoutFreeText = ({ reason, note, emergency, renewal, ...grant }) => ({
+  ...grant,
+  ...(emergency && { emergency: { reviewStatus: emergency.reviewStatus, reviewedAt: emergency.reviewedAt } }),
+  ...(renewal && { renewal: { status: renewal.status } }),
+});
+
+// Split `recordIds` into the patient's unarchived records and the IDs that aren't
+const loadShareableRecords = async (patientId, recordIds) => {
+  const docs = await Promise.all(
+    recordIds.map((id) => db.collection(COLLECTIONS.RECORDS).doc(id).get())
+  );
+  const shareable = (d) => d.exists && d.get('patientId') === patientId && !d.get('isArchived');
+  return {
+    records: docs.filter(shareable).map((d) => d.data()),
+    unknown: docs.filter((d) => !shareable(d)).map((d) => d.id),
+  };
+};
+
+/**
+ * The terms an approval grants: the request's, narrowed by whatever the
+ * patient changed, with a line describing each change for the doctor.
+ * Throws a 422 for anything wider than was requested.
+ */
+const resolveApprovedTerms = async (request, { recordTypes, recordIds, accessLevel, expiryDays }) => {
+  const requestedTypes = request.requestedRecordTypes;
+  const requestedIds = request.requestedRecordIds || [];
+  const changes = [];
+
+  let scope = { recordTypes: requestedTypes, recordIds: requestedIds };
+  if (recordTypes || recordIds) {
+    if (recordTypes && !requestedTypes.includes('all')) {
+      const outside = recordTypes.filter((t) => !requestedTypes.includes(t));
+      if (outside.length) throw httpError(422, `Record types not requested: ${outside.join(', ')}.`);
+    }
+    if (recordIds) {
+      const { records, unknown } = await loadShareableRecords(request.patientId, recordIds);
+      if (unknown.length) throw httpError(422, `Records not found: ${unknown.join(', ')}.`);
+      const outside = records.filter((r) => !canReadRecord(request, r)).map((r) => r.id);
+      if (outside.length) throw httpError(422, `Records not requested: ${outside.join(', ')}.`);
+    }
+
+    scope = { recordTypes: recordTypes || [], recordIds: recordIds || [] };
+    if (!sameItems(scope.recordTypes, requestedTypes) || !sameItems(scope.recordIds, requestedIds)) {
+      const covered = [
+        ...scope.recordTypes,
+        ...(scope.recordIds.length ? [`${scope.recordIds.length} specific record(s)`] : []),
+      ];
+      changes.push(`limited to ${covered.join(', ')}`);
+    }
+  }
+
+  if (accessLevel === 'read_write' && request.accessLevel !== 'read_write') {
+    throw httpError(422, 'Write access was not requested.');
+  }
+  const grantedLevel = accessLevel || request.accessLevel;
+  if (grantedLevel !== request.accessLevel) changes.push('read-only');
+
+  if (expiryDays > request.expiryDays) {
+    throw httpError(422, `At most ${request.expiryDays} days were requested.`);
+  }
+  const grantedDays = expiryDays || request.expiryDays;
+  if (grantedDays !== request.expiryDays) changes.push(`${grantedDays} days instead of ${request.expiryDays}`);
+
+  return { ...scope, accessLevel: grantedLevel, expiryDays: grantedDays, changes };
+};
+
+const sameItems = (a, b) => a.length === b.length && a.every((x) => b.includes(x));
@@ -16,7 +16,9 @@ export const registerPatient = async (req, res, next) => {
       return res.status(409).json({ error: 'Profile already exists.' });
     }
 
-    const { displayName, dateOfBirth, gender, bloodGroup, phone, emergencyContact } = req.body;
+    const {
+      displayName, dateOfBirth, gender, bloodGroup, phone, emergencyContact, allergies, criticalConditions,
+    } = req.body;
 
     const now = Timestamp.now();
 
@@ -38,6 +40,8 @@ export const registerPatient = async (req, res, next) => {
       bloodGroup: bloodGroup || null,
       phone: phone || null,
       emergencyContact: emergencyContact || null,
+      allergies: allergies || [],
+      criticalConditions: criticalConditions || [],
       // "Repository" metadata
       totalRecords: 0,
       totalVersions: 0,
@@ -0,0 +1,286 @@
+import { db, FieldValue, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { logActivity } from '../services/activity.service.js';
+import { createNotification } from '../services/notification.service.js';
+import { queueOutboundMessage } from '../services/outbound-message.service.js';
+import { isGrantLive, transitionAccessRequest } from '../services/access-lifecycle.service.js';
+
+const settings = config.breakGlass;
+
+/**
+ * POST /api/access-requests/emergency
+ * Break-glass access: a verified doctor who cannot wait for the patient's
+ * approval (e.g. the patient is unconscious) states a justification and gets
+ * read access straight away — limited to `breakGlass.recordTypes` and to
+ * `breakGlass.durationHours`. The grant is an access request created already
+ * approved with `isEmergency: true`.
+ *
+ * The patient is notified in the app and, with their emergency contact, by
+ * SMS; the use is logged as a critical audit event and waits for the
+ * patient's review (acknowledge or dispute).
+ */
+export const breakGlassAccess = async (req, res, next) => {
+  try {
+    const doctorId = req.user.uid;
+    const { patientId, justification } = req.body;
+    const recordTypes = req.body.recordTypes || settings.recordTypes;
+
+    const patientDoc = await db.collection(COLLECTIONS.PATIENTS).doc(patientId).get();
+    if (!patientDoc.exists) return res.status(404).json({ error: 'Patient not found.' });
+    const patient = patientDoc.data();
+
+    const nowMs = Date.now();
+    const [activeSnap, recentSnap] = await Promise.all([
+      db
+        .collection(COLLECTIONS.ACCESS_REQUESTS)
+        .where('doctorId', '==', doctorId)
+        .where('patientId', '==', patientId)
+        .where('isEmergency', '==', true)
+        .where('status', '==', 'approved')
+        .where('isExpired', '==', false)
+        .get(),
+      db
+        .collection(COLLECTIONS.ACCESS_REQUESTS)
+        .where('doctorId', '==', doctorId)
+        .where('isEmergency', '==', true)
+        .where('requestedAt', '>=', Timestamp.fromMillis(nowMs - 24 * 60 * 60 * 1000))
+        .get(),
+    ]);
+
+    const active = activeSnap.docs.find((d) => isGrantLive(d.data(), nowMs));
+    if (active) {
+      return res.status(409).json({
+        error: 'You already have emergency access to this patient.',
+        existingRequestId: active.id,
+      });
+    }
+    if (recentSnap.size >= settings.maxPerDoctorPerDay) {
+      return res.status(429).json({
+        error: `Emergency access is limited to ${settings.maxPerDoctorPerDay} uses per doctor per day.`,
+      });
+    }
+
+    const requestId = uuidv4();
+    const now = Timestamp.now();
+    const expiresAt = Timestamp.fromMillis(now.toMillis() + settings.durationHours * 60 * 60 * 1000);
+
+    const grant = {
+      id: requestId,
+      doctorId,
+      doctorName: req.user.displayName,
+      patientId,
+      reason: justification,
+      accessLevel: 'read',
+      requestedRecordTypes: recordTypes,
+      expiryDays: null,
+      status: 'approved', // no patient approval — reviewed afterwards
+      isExpired: false,
+      isEmergency: true,
+      emergency: {
+        justification,
+        reviewStatus: 'pending', // pending | acknowledged | disputed
+        reviewComment: null,
+        reviewedAt: null,
+      },
+      requestedAt: now,
+      respondedAt: now,
+      expiresAt,
+      note: null,
+    };
+
+    await db.collection(COLLECTIONS.ACCESS_REQUESTS).doc(requestId).set(grant);
+
+    const until = expiresAt.toDate().toUTCString();
+    await createNotification({
+      recipientId: patientId,
+      type: 'emergency_access',
+      title: 'Emergency access to your records',
+      body: `Dr. ${req.user.displayName} used emergency access to your records (${recordTypes.join(', ')}) until ${until}. Please review it.`,
+      metadata: { requestId, doctorId },
+    });
+
+    // By SMS too — the patient may be unable to open the app. No clinical details.
+    const sms = [
+      patient.phone && {
+        recipient: 'patient',
+        to: patient.phone,
+        recipientName: patient.displayName,
+        body: `Medilocker: Dr. ${req.user.displayName} has used emergency access to your medical records. Sign in to review it.`,
+      },
+      patient.emergencyContact?.phone && {
+        recipient: 'emergency contact',
+        to: patient.emergencyContact.phone,
+        recipientName: patient.emergencyContact.name,
+        body: `Medilocker: Dr. ${req.user.displayName} has used emergency access to ${patient.displayName}'s medical records. You are receiving this as their emergency contact.`,
+      },
+    ].filter(Boolean);
+    const queued = await Promise.all(sms.map(({ recipient, ...message }) =>
+      queueOutboundMessage({ ...message, metadata: { type: 'emergency_access', requestId, patientId } })
+        .then((queuedMessage) => queuedMessage && recipient)
+    ));
+    const smsQueued = queued.filter(Boolean);
+
+    await logActivity({
+      actorId: doctorId,
+      actorRole: 'doctor',
+      action: 'break_glass_access',
+      severity: 'critical',
+      resourceId: requestId,
+      metadata: { patientId, recordTypes, justification, expiresAt: expiresAt.toDate().toISOString() },
+    });
+
+    res.status(201).json({
+      // SMS is delivered asynchronously — only claim what has actually happened
+      message: `Emergency access granted until ${until}. The patient has been notified in the app` +
+        (smsQueued.length ? `; a text message to the ${smsQueued.join(' and ')} is queued for delivery.` : '.'),
+      access: grant,
+      smsQueued,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/access-requests/emergency?reviewStatus=pending
+ * Patient's review list of emergency accesses, newest first, with everything
+ * each doctor read under the access — listings, previews, diffs, downloads,
+ * observations, FHIR exports (`reads`) — and a per-record summary.
+ */
+export const getEmergencyAccesses = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const { reviewStatus } = req.query;
+
+    const [snap, recordsSnap] = await Promise.all([
+      db
+        .collection(COLLECTIONS.ACCESS_REQUESTS)
+        .where('patientId', '==', patientId)
+        .where('isEmergency', '==', true)
+        .orderBy('requestedAt', 'desc')
+        .limit(50)
+        .get(),
+      db.collection(COLLECTIONS.RECORDS).where('patientId', '==', patientId).select('title').get(),
+    ]);
+
+    const titles = new Map(recordsSnap.docs.map((d) => [d.id, d.get('title')]));
+    const grants = snap.docs
+      .map((d) => d.data())
+      .filter((g) => !reviewStatus || g.emergency.reviewStatus === reviewStatus);
+
+    const accesses = await Promise.all(grants.map(async (grant) => {
+      // Every read covered by the grant is logged against it (access.service)
+      const readsSnap = await db
+        .collection(COLLECTIONS.ACTIVITY_LOG)
+        .where('resourceId', '==', grant.id)
+        .where('action', '==', 'emergency_access_read')
+        .orderBy('createdAt', 'desc')
+        .limit(500)
+        .get();
+
+      const reads = readsSnap.docs.map((d) => {
+        const { read, recordId, recordType } = d.get('metadata');
+        return { read, recordId, recordType, at: d.get('createdAt') };
+      });
+
+      const byRecord = new Map();
+      for (const { read, recordId } of reads) {
+        if (!recordId) continue;
+        const counts = byRecord.get(recordId) || {};
+        counts[read] = (counts[read] || 0) + 1;
+        byRecord.set(recordId, counts);
+      }
+
+      return {
+        ...grant,
+        accessedRecords: [...byRecord].map(([recordId, counts]) => ({
+          recordId,
+          title: titles.get(recordId) || null,
+          reads: counts,
+          downloads: (counts.download || 0) + (counts.content || 0) + (counts.archive || 0),
+        })),
+        reads,
+      };
+    }));
+
+    res.json({ accesses, total: accesses.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PATCH /api/access-requests/:requestId/emergency-review
+ * Patient acknowledges or disputes an emergency access. Disputing ends the
+ * access if it is still open, notifies the doctor, counts against the
+ * doctor's profile and is logged as a critical audit event.
+ */
+export const reviewEmergencyAccess = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const { requestId } = req.params;
+    const { decision, comment } = req.body;
+
+    const requestRef = db.collection(COLLECTIONS.ACCESS_REQUESTS).doc(requestId);
+    const requestDoc = await requestRef.get();
+    if (!requestDoc.exists) return res.status(404).json({ error: 'Request not found.' });
+
+    const grant = requestDoc.data();
+    if (grant.patientId !== patientId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+    if (!grant.isEmergency) {
+      return res.status(409).json({ error: 'This is not an emergency access.' });
+    }
+    if (grant.emergency.reviewStatus !== 'pending') {
+      return res.status(409).json({ error: `Already ${grant.emergency.reviewStatus}.` });
+    }
+
+    const now = Timestamp.now();
+    const disputed = decision === 'dispute';
+    const update = {
+      'emergency.reviewStatus': disputed ? 'disputed' : 'acknowledged',
+      'emergency.reviewComment': comment || null,
+      'emergency.reviewedAt': now,
+    };
+    // A disputed grant still running is revoked in the same write
+    if (disputed && isGrantLive(grant)) {
+      await transitionAccessRequest(requestId, 'revoked', update);
+    } else {
+      await requestRef.update(update);
+    }
+
+    if (disputed) {
+      await db.collection(COLLECTIONS.DOCTORS).doc(grant.doctorId).update({
+        'stats.emergencyAccessDisputes': FieldValue.increment(1),
+        updatedAt: now,
+      });
+
+      await createNotification({
+        recipientId: grant.doctorId,
+        type: 'emergency_access_disputed',
+        title: 'Emergency access disputed',
+        body: 'A patient has disputed your emergency access to their records.',
+        metadata: { requestId },
+      });
+    }
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: disputed ? 'break_glass_disputed' : 'break_glass_acknowledged',
+      severity: disputed ? 'critical' : 'info',
+      resourceId: requestId,
+      metadata: { doctorId: grant.doctorId, comment: comment || null },
+    });
+
+    const reviewed = await requestRef.get();
+    res.json({
+      message: disputed ? 'Emergency access disputed.' : 'Emergency access acknowledged.',
+      access: reviewed.data(),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
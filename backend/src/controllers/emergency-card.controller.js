@@ -0,0 +1,268 @@
+import { db, FieldValue, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import { v4 as uuidv4 } from 'uuid';
+import { logActivity } from '../services/activity.service.js';
+import { createNotification } from '../services/notification.service.js';
+import { renderCardQr, buildEmergencyCard } from '../services/emergency-card.service.js';
+import { generateToken, hashToken, isTokenFormat } from '../utils/tokens.js';
+
+// Card settings as shown to the patient — never the token hash
+const cardSettings = ({ tokenHash, ...card }) => card;
+
+const cardRef = (patientId) => db.collection(COLLECTIONS.EMERGENCY_CARDS).doc(patientId);
+
+const loadPatient = async (patientId) => {
+  const patientDoc = await db.collection(COLLECTIONS.PATIENTS).doc(patientId).get();
+  return patientDoc.exists ? patientDoc.data() : null;
+};
+
+/**
+ * POST /api/emergency-card
+ * Create the caller's emergency card, or replace its token — any QR code
+ * printed before stops working. The token is returned once, inside the QR
+ * code and its URL; only its hash is stored, so it can't be read back.
+ */
+export const createEmergencyCard = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const { fields } = req.body;
+
+    const patient = await loadPatient(patientId);
+    if (!patient) return res.status(404).json({ error: 'Patient profile not found.' });
+
+    const existing = await cardRef(patientId).get();
+    const { token, tokenHash } = generateToken();
+    const now = Timestamp.now();
+
+    const card = {
+      patientId,
+      fields,
+      tokenHash,
+      status: 'active', // active | revoked
+      scanCount: existing.exists ? existing.get('scanCount') : 0,
+      lastScannedAt: existing.exists ? existing.get('lastScannedAt') : null,
+      tokenCreatedAt: now,
+      revokedAt: null,
+      createdAt: existing.exists ? existing.get('createdAt') : now,
+      updatedAt: now,
+    };
+    await cardRef(patientId).set(card);
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: existing.exists ? 'emergency_card_reissued' : 'emergency_card_created',
+      resourceId: patientId,
+      metadata: { fields },
+    });
+
+    const qr = await renderCardQr(token);
+    res.status(201).json({
+      message: existing.exists
+        ? 'Emergency card reissued. Previously printed QR codes no longer work.'
+        : 'Emergency card created.',
+      card: cardSettings(card),
+      preview: buildEmergencyCard(patient, fields),
+      qr,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/emergency-card
+ * The caller's card settings and a preview of what a scan shows.
+ */
+export const getEmergencyCard = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const [cardDoc, patient] = await Promise.all([cardRef(patientId).get(), loadPatient(patientId)]);
+    if (!cardDoc.exists) return res.status(404).json({ error: 'No emergency card yet.' });
+
+    const card = cardDoc.data();
+    res.json({
+      card: cardSettings(card),
+      preview: buildEmergencyCard(patient || {}, card.fields),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PATCH /api/emergency-card
+ * Change which fields the card shows. The token (and printed QR codes) stay valid.
+ */
+export const updateEmergencyCard = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const { fields } = req.body;
+
+    const cardDoc = await cardRef(patientId).get();
+    if (!cardDoc.exists) return res.status(404).json({ error: 'No emergency card yet.' });
+
+    await cardRef(patientId).update({ fields, updatedAt: Timestamp.now() });
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: 'emergency_card_updated',
+      resourceId: patientId,
+      metadata: { fields },
+    });
+
+    const patient = await loadPatient(patientId);
+    res.json({
+      message: 'Emergency card updated.',
+      card: cardSettings({ ...cardDoc.data(), fields }),
+      preview: buildEmergencyCard(patient || {}, fields),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/emergency-card
+ * Revoke the card: its QR code stops resolving straight away.
+ */
+export const revokeEmergencyCard = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+
+    const cardDoc = await cardRef(patientId).get();
+    if (!cardDoc.exists || cardDoc.get('status') !== 'active') {
+      return res.status(404).json({ error: 'No active emergency card.' });
+    }
+
+    const now = Timestamp.now();
+    await cardRef(patientId).update({ status: 'revoked', tokenHash: null, revokedAt: now, updatedAt: now });
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: 'emergency_card_revoked',
+      resourceId: patientId,
+    });
+
+    res.json({ message: 'Emergency card revoked.' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PATCH /api/emergency-card/health-info
+ * Update the profile fields an emergency card draws on.
+ */
+export const updateEmergencyHealthInfo = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+
+    const patient = await loadPatient(patientId);
+    if (!patient) return res.status(404).json({ error: 'Patient profile not found.' });
+
+    await db.collection(COLLECTIONS.PATIENTS).doc(patientId).update({
+      ...req.body,
+      updatedAt: Timestamp.now(),
+    });
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: 'emergency_health_info_updated',
+      resourceId: patientId,
+      metadata: { fields: Object.keys(req.body) },
+    });
+
+    const updated = { ...patient, ...req.body };
+    res.json({
+      message: 'Emergency health information updated.',
+      healthInfo: {
+        bloodGroup: updated.bloodGroup,
+        allergies: updated.allergies || [],
+        criticalConditions: updated.criticalConditions || [],
+        emergencyContact: updated.emergencyContact,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/emergency-card/scans
+ * Every time the card was opened, newest first.
+ */
+export const getEmergencyCardScans = async (req, res, next) => {
+  try {
+    const snap = await cardRef(req.user.uid)
+      .collection(COLLECTIONS.EMERGENCY_CARD_SCANS)
+      .orderBy('scannedAt', 'desc')
+      .limit(100)
+      .get();
+
+    const scans = snap.docs.map((d) => d.data());
+    res.json({ scans, total: scans.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/public/emergency-card/:token
+ * Unauthenticated: what a responder sees after scanning the QR code — only
+ * the fields the patient chose. Unknown and revoked tokens get the same 404.
+ * Every scan is logged on the card and the patient is notified.
+ */
+export const viewEmergencyCard = async (req, res, next) => {
+  try {
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex, nofollow' });
+
+    const { token } = req.params;
+    const notFound = () => res.status(404).json({ error: 'Emergency card not found or revoked.' });
+    if (!isTokenFormat(token)) return notFound();
+
+    const snap = await db
+      .collection(COLLECTIONS.EMERGENCY_CARDS)
+      .where('tokenHash', '==', hashToken(token))
+      .limit(1)
+      .get();
+    if (snap.empty || snap.docs[0].get('status') !== 'active') return notFound();
+
+    const card = snap.docs[0].data();
+    const patient = await loadPatient(card.patientId);
+    if (!patient) return notFound();
+
+    const scan = {
+      id: uuidv4(),
+      scannedAt: Timestamp.now(),
+      ip: req.ip || null,
+      userAgent: req.get('user-agent')?.slice(0, 300) || null,
+      fields: card.fields,
+    };
+
+    const batch = db.batch();
+    batch.set(snap.docs[0].ref.collection(COLLECTIONS.EMERGENCY_CARD_SCANS).doc(scan.id), scan);
+    batch.update(snap.docs[0].ref, {
+      scanCount: FieldValue.increment(1),
+      lastScannedAt: scan.scannedAt,
+    });
+    await batch.commit();
+
+    await createNotification({
+      recipientId: card.patientId,
+      type: 'emergency_card_scanned',
+      title: 'Your emergency card was opened',
+      body: `Your emergency card was viewed on ${scan.scannedAt.toDate().toUTCString()}. If you did not expect this, revoke the card and issue a new one.`,
+      metadata: { scanId: scan.id },
+    });
+
+    res.json({
+      card: buildEmergencyCard(patient, card.fields),
+      viewedAt: scan.scannedAt.toDate().toISOString(),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,120 @@
+import { db, COLLECTIONS } from '../config/firebase.js';
+import { logActivity } from '../services/activity.service.js';
+import {
+  requestRepositoryExport,
+  loadRepositoryExport,
+  openRepositoryExport,
+  deleteRepositoryExport,
+} from '../services/repository-export.service.js';
+
+/**
+ * POST /api/exports
+ * Ask for a full copy of the caller's repository. The zip is built in the
+ * background; the patient is notified when it can be downloaded.
+ */
+export const createExport = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const repositoryExport = await requestRepositoryExport(patientId);
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: 'repository_export_requested',
+      resourceId: repositoryExport.id,
+    });
+
+    res.status(202).json({
+      message: 'Your export is being prepared. You will be notified when it is ready.',
+      export: repositoryExport,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/exports
+ * The caller's exports, newest first.
+ */
+export const getExports = async (req, res, next) => {
+  try {
+    const snap = await db
+      .collection(COLLECTIONS.REPOSITORY_EXPORTS)
+      .where('patientId', '==', req.user.uid)
+      .orderBy('requestedAt', 'desc')
+      .limit(20)
+      .get();
+
+    const exports = snap.docs.map((d) => d.data());
+    res.json({ exports, total: exports.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/exports/:exportId
+ * Status of one export (progress while building).
+ */
+export const getExport = async (req, res, next) => {
+  try {
+    const repositoryExport = await loadRepositoryExport(req.params.exportId, req.user.uid);
+    res.json({ export: repositoryExport });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/exports/:exportId/download
+ * Download a ready export until it expires. Every download is audited.
+ */
+export const downloadExport = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const repositoryExport = await loadRepositoryExport(req.params.exportId, patientId);
+    const archive = await openRepositoryExport(repositoryExport);
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: 'repository_export_downloaded',
+      resourceId: repositoryExport.id,
+      metadata: { fileSize: archive.size },
+    });
+
+    const date = repositoryExport.completedAt.toDate().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Length': archive.size,
+      'Content-Disposition': `attachment; filename="medilocker-export-${date}.zip"`,
+      'Cache-Control': 'private, no-store',
+      'Digest': `sha-256=${Buffer.from(repositoryExport.sha256, 'hex').toString('base64')}`,
+    });
+
+    const stream = archive.createReadStream();
+    stream.on('error', (err) => {
+      // Headers are already sent — all we can do is abort the response
+      console.error('Export stream failed:', err.message);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/exports/:exportId
+ * Delete a ready export before it expires.
+ */
+export const deleteExport = async (req, res, next) => {
+  try {
+    const repositoryExport = await loadRepositoryExport(req.params.exportId, req.user.uid);
+    await deleteRepositoryExport(repositoryExport);
+    res.json({ message: 'Export deleted.' });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,90 @@
+import { logActivity } from '../services/activity.service.js';
+import { assertDoctorReadAccess } from '../services/access.service.js';
+import { buildPatientBundle } from '../services/fhir.service.js';
+import { importBundle } from '../services/fhir-import.service.js';
+
+const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+/**
+ * GET /api/fhir/patients/:patientId/export?attachments=inline|url
+ * Export the patient's repository as a FHIR R4 `collection` Bundle.
+ * Doctors get only what their grant covers: unarchived records of the granted
+ * types (with their commits and observations) and their own Consents.
+ * `attachments=url` links files to the content endpoint instead of embedding
+ * them as Binary resources (needed once files exceed the inline limit).
+ */
+export const exportPatientBundle = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const callerRole = req.user.role;
+    const { patientId } = req.params;
+    const attachments = req.query.attachments || 'inline';
+
+    if (!['inline', 'url'].includes(attachments)) {
+      return res.status(400).json({ error: 'attachments must be inline or url.' });
+    }
+    if (callerRole === 'patient' && patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+
+    const access = callerRole === 'doctor'
+      ? await assertDoctorReadAccess(callerId, patientId, 'all', 'fhir_export')
+      : null;
+
+    const bundle = await buildPatientBundle({
+      patientId,
+      access,
+      doctorId: callerId,
+      attachments,
+      apiBaseUrl: `${req.protocol}://${req.get('host')}`,
+    });
+
+    await logActivity({
+      actorId: callerId,
+      actorRole: callerRole,
+      action: 'fhir_exported',
+      resourceId: patientId,
+      metadata: { attachments, resources: bundle.entry.length },
+    });
+
+    res
+      .type(FHIR_CONTENT_TYPE)
+      .set('Cache-Control', 'private, no-store')
+      .json(bundle);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/fhir/patients/:patientId/import
+ * Import the DocumentReference / DiagnosticReport entries of a FHIR Bundle as
+ * new records (patient only, into their own repository). Responds with a
+ * summary and a report line for every entry: imported, skipped or failed.
+ */
+export const importPatientBundle = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    if (req.params.patientId !== patientId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+
+    const { summary, entries } = await importBundle({ patientId, bundle: req.body });
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: 'fhir_imported',
+      resourceId: patientId,
+      metadata: summary,
+    });
+
+    res.status(summary.imported ? 201 : 200).json({
+      message: `Imported ${summary.imported} of ${summary.documents} documents.`,
+      summary,
+      entries,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,16 @@
+import { runAccessLifecycleJobs } from '../services/access-lifecycle.service.js';
+
+/**
+ * POST /api/internal/access-lifecycle/run
+ * Expire due access grants and send expiry reminders. Called hourly by the
+ * `runAccessLifecycle` Cloud Function, so expiry doesn't depend on an API
+ * instance staying up.
+ */
+export const runAccessLifecycle = async (req, res, next) => {
+  try {
+    const { expired, reminded } = await runAccessLifecycleJobs();
+    res.json({ expired, reminded });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,227 @@
+import { db, FieldValue, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import { v4 as uuidv4 } from 'uuid';
+import { logActivity } from '../services/activity.service.js';
+import { updateDoctorStats } from '../services/doctor-stats.service.js';
+import {
+  assertDoctorReadAccess,
+  assertDoctorRecordAccess,
+  canReadRecord,
+  canReadRecordType,
+} from '../services/access.service.js';
+import { writeCommit } from '../services/commit.service.js';
+import { loadWritableRecord } from '../services/records.service.js';
+import { flagObservation, buildSeries } from '../services/observations.service.js';
+
+// Observations are lab results — doctors need a grant covering this record type
+const OBSERVATION_RECORD_TYPE = 'lab_report';
+
+/**
+ * POST /api/records/:recordId/versions/:versionId/observations
+ * Attach structured results (analyte code, value, unit, reference range,
+ * collection date) to a version of a lab_report record. Each result is
+ * flagged against its reference range, and an `observations_added` commit is
+ * written. Patient OR a doctor with write access can call this.
+ */
+export const addObservations = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const callerRole = req.user.role;
+    const { recordId, versionId } = req.params;
+    const { observations, commitMessage } = req.body;
+
+    const { recordRef, record } = await loadWritableRecord({ callerId, callerRole, recordId });
+
+    if (record.recordType !== OBSERVATION_RECORD_TYPE) {
+      return res.status(422).json({ error: 'Observations can only be attached to lab_report records.' });
+    }
+
+    const versionRef = recordRef.collection(COLLECTIONS.RECORD_VERSIONS).doc(versionId);
+    const versionDoc = await versionRef.get();
+    if (!versionDoc.exists) return res.status(404).json({ error: 'Version not found.' });
+    const version = versionDoc.data();
+
+    const now = Timestamp.now();
+    const docs = observations.map((o) => ({
+      id: uuidv4(),
+      patientId: record.patientId,
+      recordId,
+      versionId,
+      versionNumber: version.versionNumber,
+      code: o.code,
+      display: o.display || null,
+      value: o.value,
+      unit: o.unit,
+      referenceRange: o.referenceRange || null,
+      flag: flagObservation(o.value, o.referenceRange),
+      collectedAt: Timestamp.fromDate(new Date(o.collectedAt)),
+      note: o.note || null,
+      recordedBy: callerId,
+      recordedByRole: callerRole,
+      createdAt: now,
+    }));
+
+    const codes = [...new Set(docs.map((o) => o.code))];
+    const message = commitMessage ||
+      `Add ${docs.length} observation${docs.length === 1 ? '' : 's'} to version ${version.versionNumber}`;
+
+    const commit = {
+      id: uuidv4(),
+      recordId,
+      versionId,
+      patientId: record.patientId,
+      committedBy: callerId,
+      committedByRole: callerRole,
+      commitMessage: message,
+      changeType: 'observations_added',
+      observationIds: docs.map((o) => o.id),
+      observationCodes: codes,
+      recordType: record.recordType,
+      createdAt: now,
+    };
+
+    const storedCommit = await writeCommit({
+      commit,
+      writes: (tx) => {
+        docs.forEach((o) => tx.set(db.collection(COLLECTIONS.OBSERVATIONS).doc(o.id), o));
+        tx.update(versionRef, { observationCount: FieldValue.increment(docs.length) });
+        tx.update(recordRef, { updatedAt: now });
+      },
+    });
+
+    if (callerRole === 'doctor') {
+      await updateDoctorStats(callerId, { recordUpdated: true, patientId: record.patientId });
+    }
+
+    await logActivity({
+      actorId: callerId,
+      actorRole: callerRole,
+      action: 'observations_added',
+      resourceId: recordId,
+      metadata: { versionId, count: docs.length, codes },
+    });
+
+    res.status(201).json({
+      message: `${docs.length} observation${docs.length === 1 ? '' : 's'} recorded.`,
+      observations: docs,
+      commit: storedCommit,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/records/:recordId/versions/:versionId/observations
+ * Results attached to one version.
+ */
+export const getVersionObservations = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const callerRole = req.user.role;
+    const { recordId, versionId } = req.params;
+
+    const recordDoc = await db.collection(COLLECTIONS.RECORDS).doc(recordId).get();
+    if (!recordDoc.exists) return res.status(404).json({ error: 'Record not found.' });
+    const record = recordDoc.data();
+
+    if (callerRole === 'patient' && record.patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+    if (callerRole === 'doctor') {
+      await assertDoctorRecordAccess(callerId, record, 'observations');
+    }
+
+    const snap = await db
+      .collection(COLLECTIONS.OBSERVATIONS)
+      .where('recordId', '==', recordId)
+      .where('versionId', '==', versionId)
+      .get();
+
+    const observations = snap.docs.map((d) => d.data());
+    res.json({ observations, total: observations.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/patients/:patientId/observations?code=&from=&to=
+ * Time series of one analyte across all of a patient's lab reports, oldest
+ * first, with out-of-range flags and a summary. Without `code`, lists the
+ * analytes on file. Results on archived records are left out.
+ * Doctors need a grant covering `lab_report`, and with one limited to
+ * explicit records only see results from those.
+ */
+export const getPatientObservations = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const callerRole = req.user.role;
+    const { patientId } = req.params;
+    const { code, from, to } = req.query;
+
+    if (callerRole === 'patient' && patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+    let access = null;
+    if (callerRole === 'doctor') {
+      access = await assertDoctorReadAccess(callerId, patientId, 'all', 'observations');
+      if (!canReadRecordType(access, OBSERVATION_RECORD_TYPE) && !access.requestedRecordIds?.length) {
+        return res.status(403).json({ error: `You do not have access to record type: ${OBSERVATION_RECORD_TYPE}` });
+      }
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be an ISO date.` });
+      }
+    }
+
+    let query = db
+      .collection(COLLECTIONS.OBSERVATIONS)
+      .where('patientId', '==', patientId);
+
+    if (code) query = query.where('code', '==', code);
+    if (from) query = query.where('collectedAt', '>=', Timestamp.fromDate(new Date(from)));
+    if (to) {
+      // A bare date covers the whole day
+      const end = new Date(Date.parse(to) + (to.length === 10 ? 24 * 60 * 60 * 1000 - 1 : 0));
+      query = query.where('collectedAt', '<=', Timestamp.fromDate(end));
+    }
+
+    const [snap, archivedSnap] = await Promise.all([
+      query.orderBy('collectedAt', 'asc').get(),
+      db.collection(COLLECTIONS.RECORDS)
+        .where('patientId', '==', patientId)
+        .where('isArchived', '==', true)
+        .select()
+        .get(),
+    ]);
+
+    const archived = new Set(archivedSnap.docs.map((d) => d.id));
+    const observations = snap.docs
+      .map((d) => d.data())
+      .filter((o) => !archived.has(o.recordId))
+      .filter((o) => !access || canReadRecord(access, { id: o.recordId, recordType: OBSERVATION_RECORD_TYPE }));
+
+    if (code) {
+      return res.json(buildSeries(code, observations));
+    }
+
+    // No code: one entry per analyte, most recently collected first
+    const byCode = new Map();
+    for (const o of observations) {
+      byCode.set(o.code, {
+        code: o.code,
+        display: o.display || byCode.get(o.code)?.display || null,
+        count: (byCode.get(o.code)?.count || 0) + 1,
+        latest: { value: o.value, unit: o.unit, flag: o.flag, collectedAt: o.collectedAt },
+      });
+    }
+    const analytes = [...byCode.values()]
+      .sort((a, b) => b.latest.collectedAt.toMillis() - a.latest.collectedAt.toMillis());
+
+    res.json({ analytes, total: analytes.length });
+  } catch (err) {
+    next(err);
+  }
+};
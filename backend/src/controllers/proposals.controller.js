@@ -0,0 +1,446 @@
+import { db, FieldValue, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import { v4 as uuidv4 } from 'uuid';
+import { logActivity } from '../services/activity.service.js';
+import { updateDoctorStats } from '../services/doctor-stats.service.js';
+import { createNotification } from '../services/notification.service.js';
+import { assertDoctorRecordAccess, assertDoctorWriteAccess } from '../services/access.service.js';
+import { writeCommit } from '../services/commit.service.js';
+import { storeUploadedFiles } from '../services/bundle.service.js';
+import { initialPreview, schedulePreview } from '../services/preview.service.js';
+import { extractDicomMetadata } from '../services/dicom.service.js';
+import { httpError } from '../utils/http-error.js';
+
+/**
+ * POST /api/records/:recordId/proposals
+ * Doctor with write access proposes a new version (like opening a pull request).
+ * Nothing lands on the record until the patient merges it.
+ */
+export const createProposal = async (req, res, next) => {
+  try {
+    const doctorId = req.user.uid;
+    const { recordId } = req.params;
+    const { commitMessage } = req.body;
+    const files = req.files;
+
+    if (!files.length) return res.status(400).json({ error: 'At least one file is required.' });
+
+    const recordDoc = await db.collection(COLLECTIONS.RECORDS).doc(recordId).get();
+    if (!recordDoc.exists) return res.status(404).json({ error: 'Record not found.' });
+
+    const record = recordDoc.data();
+    await assertDoctorWriteAccess(doctorId, record.patientId, record);
+
+    if (record.isArchived) {
+      return res.status(409).json({ error: 'Record is archived. Unarchive it before making changes.' });
+    }
+
+    const proposalId = uuidv4();
+    const now = Timestamp.now();
+    const { dicom, warnings } = await extractDicomMetadata(files, record.patientId);
+
+    const stored = await storeUploadedFiles(files, {
+      patientId: record.patientId,
+      pathPrefix: `records/${record.patientId}/${recordId}/proposals/${proposalId}`,
+    });
+
+    const proposal = {
+      id: proposalId,
+      recordId,
+      patientId: record.patientId,
+      recordType: record.recordType,
+      recordTitle: record.title,
+      proposedBy: doctorId,
+      proposedByName: req.user.displayName,
+      baseVersionId: record.currentVersionId,
+      baseVersionNumber: record.currentVersion,
+      commitMessage,
+      ...stored,
+      dicom,
+      status: 'pending', // pending | merged | rejected
+      reviewComment: null,
+      reviewedAt: null,
+      mergedVersionId: null,
+      mergedVersionNumber: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await db.collection(COLLECTIONS.PROPOSALS).doc(proposalId).set(proposal);
+
+    await createNotification({
+      recipientId: record.patientId,
+      type: 'proposal_submitted',
+      title: 'Proposed Record Change',
+      body: `Dr. ${req.user.displayName} proposed a change to "${record.title}".`,
+      metadata: { proposalId, recordId, doctorId },
+    });
+
+    await logActivity({
+      actorId: doctorId,
+      actorRole: 'doctor',
+      action: 'proposal_submitted',
+      resourceId: proposalId,
+      metadata: { recordId, patientId: record.patientId, commitMessage },
+    });
+
+    res.status(201).json({
+      message: 'Proposed change submitted for patient review.',
+      proposal,
+      warnings,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/records/:recordId/proposals
+ * Proposals against one record. Patients see all of them; doctors see their
+ * own, while they still have access to the record.
+ */
+export const getRecordProposals = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const callerRole = req.user.role;
+    const { recordId } = req.params;
+    const { status } = req.query;
+
+    const recordDoc = await db.collection(COLLECTIONS.RECORDS).doc(recordId).get();
+    if (!recordDoc.exists) return res.status(404).json({ error: 'Record not found.' });
+
+    const record = recordDoc.data();
+    if (callerRole === 'patient' && record.patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+    // A doctor's own proposals hold the record's content — they need current access to it
+    if (callerRole === 'doctor') {
+      await assertDoctorRecordAccess(callerId, record, 'proposals');
+    }
+
+    let query = db
+      .collection(COLLECTIONS.PROPOSALS)
+      .where('recordId', '==', recordId);
+
+    if (callerRole === 'doctor') query = query.where('proposedBy', '==', callerId);
+    if (status) query = query.where('status', '==', status);
+
+    const snap = await query.orderBy('createdAt', 'desc').get();
+    const proposals = snap.docs.map((d) => d.data());
+
+    res.json({ proposals, total: proposals.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/patients/:patientId/proposals
+ * Patient's review queue across the whole repository.
+ */
+export const getPatientProposals = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const { patientId } = req.params;
+    const { status } = req.query;
+
+    if (patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+
+    let query = db
+      .collection(COLLECTIONS.PROPOSALS)
+      .where('patientId', '==', patientId);
+
+    if (status) query = query.where('status', '==', status);
+
+    const snap = await query.orderBy('createdAt', 'desc').limit(100).get();
+    const proposals = snap.docs.map((d) => d.data());
+
+    res.json({ proposals, total: proposals.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/proposals/outgoing
+ * Doctor sees all the changes they have proposed.
+ */
+export const getOutgoingProposals = async (req, res, next) => {
+  try {
+    const doctorId = req.user.uid;
+    const { status } = req.query;
+
+    let query = db
+      .collection(COLLECTIONS.PROPOSALS)
+      .where('proposedBy', '==', doctorId);
+
+    if (status) query = query.where('status', '==', status);
+
+    const snap = await query.orderBy('createdAt', 'desc').limit(50).get();
+    const proposals = snap.docs.map((d) => d.data());
+
+    res.json({ proposals, total: proposals.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PATCH /api/proposals/:proposalId/merge
+ * Patient merges a proposal — it becomes a normal version and commit,
+ * authored by the proposing doctor.
+ */
+export const mergeProposal = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const { proposalId } = req.params;
+    const { comment } = req.body;
+
+    const { proposalRef, proposal } = await loadPendingProposal(proposalId, patientId);
+
+    const recordRef = db.collection(COLLECTIONS.RECORDS).doc(proposal.recordId);
+    const recordDoc = await recordRef.get();
+    if (!recordDoc.exists) return res.status(404).json({ error: 'Record not found.' });
+    const record = recordDoc.data();
+
+    if (record.isArchived) {
+      return res.status(409).json({ error: 'Record is archived. Unarchive it before making changes.' });
+    }
+    if (record.currentVersionId !== proposal.baseVersionId) {
+      return res.status(409).json(staleProposalError(proposal, record));
+    }
+
+    // The doctor may have lost write access since proposing
+    try {
+      await assertDoctorWriteAccess(proposal.proposedBy, record.patientId, record);
+    } catch (err) {
+      if (err.status !== 403) throw err;
+      return res.status(409).json({
+        error: `Dr. ${proposal.proposedByName} no longer has write access to this record. The proposal can only be rejected.`,
+        code: 'PROPOSAL_ACCESS_ENDED',
+      });
+    }
+
+    const versionId = uuidv4();
+    const newVersionNumber = record.currentVersion + 1;
+    const now = Timestamp.now();
+
+    const version = {
+      id: versionId,
+      recordId: proposal.recordId,
+      patientId,
+      versionNumber: newVersionNumber,
+      commitMessage: proposal.commitMessage,
+      committedBy: proposal.proposedBy,
+      committedByRole: 'doctor',
+      storagePath: proposal.storagePath,
+      fileName: proposal.fileName,
+      fileSize: proposal.fileSize,
+      mimeType: proposal.mimeType,
+      contentHash: proposal.contentHash || null,
+      encrypted: proposal.encrypted || false,
+      ...(proposal.files && { fileCount: proposal.fileCount, files: proposal.files }),
+      preview: initialPreview(proposal.mimeType),
+      dicom: proposal.dicom || null,
+      changeType: 'update',
+      proposalId,
+      mergedBy: patientId,
+      createdAt: now,
+    };
+
+    const commit = {
+      id: uuidv4(),
+      recordId: proposal.recordId,
+      versionId,
+      patientId,
+      committedBy: proposal.proposedBy,
+      committedByRole: 'doctor',
+      commitMessage: proposal.commitMessage,
+      changeType: 'update',
+      proposalId,
+      mergedBy: patientId,
+      contentHash: proposal.contentHash || null,
+      recordType: record.recordType,
+      createdAt: now,
+    };
+
+    const proposalUpdate = {
+      status: 'merged',
+      reviewComment: comment || null,
+      reviewedAt: now,
+      mergedVersionId: versionId,
+      mergedVersionNumber: newVersionNumber,
+      updatedAt: now,
+    };
+
+    await writeCommit({
+      commit,
+      patientUpdates: {
+        totalVersions: FieldValue.increment(1),
+        updatedAt: now,
+      },
+      // A version committed (or this proposal merged) since the checks above wins
+      precondition: async (tx) => {
+        const [currentRecord] = await Promise.all([tx.get(recordRef), assertStillPending(tx, proposalRef)]);
+        if (currentRecord.get('currentVersionId') !== proposal.baseVersionId) {
+          const { error, code } = staleProposalError(proposal, currentRecord.data());
+          throw httpError(409, error, code);
+        }
+      },
+      writes: (tx) => {
+        tx.update(recordRef, {
+          currentVersion: newVersionNumber,
+          currentVersionId: versionId,
+          totalVersions: FieldValue.increment(1),
+          dicom: proposal.dicom || null,
+          updatedAt: now,
+        });
+        tx.set(
+          recordRef.collection(COLLECTIONS.RECORD_VERSIONS).doc(versionId),
+          version
+        );
+        tx.update(proposalRef, proposalUpdate);
+      },
+    });
+
+    schedulePreview(version);
+
+    await updateDoctorStats(proposal.proposedBy, { recordUpdated: true, patientId });
+
+    await createNotification({
+      recipientId: proposal.proposedBy,
+      type: 'proposal_merged',
+      title: 'Proposed Change Merged',
+      body: `Your proposed change to "${record.title}" was merged as version ${newVersionNumber}.`,
+      metadata: { proposalId, recordId: proposal.recordId, versionId },
+    });
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: 'proposal_merged',
+      resourceId: proposalId,
+      metadata: { recordId: proposal.recordId, versionNumber: newVersionNumber, doctorId: proposal.proposedBy },
+    });
+
+    res.json({
+      message: `Proposal merged as version ${newVersionNumber}.`,
+      proposal: { ...proposal, ...proposalUpdate },
+      version,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PATCH /api/proposals/:proposalId/reject
+ * Patient rejects a proposal. The proposal and its reason stay in history,
+ * and a `proposal_rejected` entry is written to the commit log.
+ */
+export const rejectProposal = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const { proposalId } = req.params;
+    const { comment } = req.body;
+
+    const { proposalRef, proposal } = await loadPendingProposal(proposalId, patientId);
+    const now = Timestamp.now();
+
+    const commit = {
+      id: uuidv4(),
+      recordId: proposal.recordId,
+      versionId: null,
+      patientId,
+      committedBy: patientId,
+      committedByRole: 'patient',
+      commitMessage: comment,
+      changeType: 'proposal_rejected',
+      proposalId,
+      proposedBy: proposal.proposedBy,
+      recordType: proposal.recordType,
+      createdAt: now,
+    };
+
+    const proposalUpdate = {
+      status: 'rejected',
+      reviewComment: comment,
+      reviewedAt: now,
+      updatedAt: now,
+    };
+
+    await writeCommit({
+      commit,
+      // A merge (or another rejection) since loading the proposal wins
+      precondition: (tx) => assertStillPending(tx, proposalRef),
+      writes: (tx) => tx.update(proposalRef, proposalUpdate),
+    });
+
+    await createNotification({
+      recipientId: proposal.proposedBy,
+      type: 'proposal_rejected',
+      title: 'Proposed Change Rejected',
+      body: `Your proposed change to "${proposal.recordTitle}" was rejected: ${comment}`,
+      metadata: { proposalId, recordId: proposal.recordId },
+    });
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: 'proposal_rejected',
+      resourceId: proposalId,
+      metadata: { recordId: proposal.recordId, doctorId: proposal.proposedBy, comment },
+    });
+
+    res.json({
+      message: 'Proposal rejected.',
+      proposal: { ...proposal, ...proposalUpdate },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+// A proposal made against an older version would silently replace the newer content
+const staleProposalError = (proposal, record) => ({
+  error: `This proposal was made against version ${proposal.baseVersionNumber}, but the record is now at version ${record.currentVersion}. Ask the doctor to propose the change again on the current version, or reject it.`,
+  code: 'PROPOSAL_STALE',
+  baseVersionNumber: proposal.baseVersionNumber,
+  currentVersion: record.currentVersion,
+});
+
+// Re-read the proposal inside a commit's transaction: only a pending one can be reviewed
+const assertStillPending = async (tx, proposalRef) => {
+  const currentProposal = await tx.get(proposalRef);
+  if (currentProposal.get('status') !== 'pending') {
+    throw httpError(409, `Proposal is already ${currentProposal.get('status')}.`);
+  }
+};
+
+const loadPendingProposal = async (proposalId, patientId) => {
+  const proposalRef = db.collection(COLLECTIONS.PROPOSALS).doc(proposalId);
+  const proposalDoc = await proposalRef.get();
+
+  if (!proposalDoc.exists) {
+    const err = new Error('Proposal not found.');
+    err.status = 404;
+    throw err;
+  }
+
+  const proposal = proposalDoc.data();
+  if (proposal.patientId !== patientId) {
+    const err = new Error('This proposal is not addressed to you.');
+    err.status = 403;
+    throw err;
+  }
+  if (proposal.status !== 'pending') {
+    const err = new Error(`Proposal is already ${proposal.status}.`);
+    err.status = 409;
+    throw err;
+  }
+
+  return { proposalRef, proposal };
+};
@@ -1,7 +1,27 @@
-import { db, bucket, FieldValue, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import { db, bucket, FieldValue, Filter, Timestamp, COLLECTIONS } from '../config/firebase.js';
 import { v4 as uuidv4 } from 'uuid';
 import { logActivity } from '../services/activity.service.js';
 import { updateDoctorStats } from '../services/doctor-stats.service.js';
+import {
+  assertDoctorReadAccess,
+  assertDoctorRecordAccess,
+  assertDoctorWriteAccess,
+  canReadRecord,
+  coversAllRecords,
+} from '../services/access.service.js';
+import { diffVersions } from '../services/diff.service.js';
+import { searchRecords } from '../services/search.service.js';
+import { writeCommit } from '../services/commit.service.js';
+import { verifyPatientRepository } from '../services/integrity.service.js';
+import { readStoredFile, openStoredFile, versionFiles, getDownloadUrl } from '../services/storage.service.js';
+import { createBundleArchive } from '../services/bundle.service.js';
+import { createRecord, commitRecordVersion, assertRecordUnchanged } from '../services/records.service.js';
+import { initialPreview, schedulePreview } from '../services/preview.service.js';
+import { filterByStudy } from '../services/dicom.service.js';
+import { parseRange } from '../utils/http-range.js';
+import { httpError } from '../utils/http-error.js';
+import { sanitizeFileName } from '../utils/multer.js';
+import config from '../config/config.js';
 
 /**
  * POST /api/records
@@ -10,123 +30,191 @@ import { updateDoctorStats } from '../services/doctor-stats.service.js';
  */
 export const uploadRecord = async (req, res, next) => {
   try {
-    const patientId = req.user.uid;
-    const { title, recordType, description, tags, issuedBy, issuedDate, commitMessage } = req.body;
-    const file = req.file;
+    const files = req.files;
 
-    if (!file) {
-      return res.status(400).json({ error: 'File is required.' });
+    if (!files.length) {
+      return res.status(400).json({ error: 'At least one file is required.' });
     }
 
-    const recordId = uuidv4();
-    const versionId = uuidv4();
-    const now = Timestamp.now();
+    const { record, version, warnings } = await createRecord({
+      patientId: req.user.uid,
+      fields: req.body,
+      files,
+    });
 
-    // Upload file to Firebase Storage
-    const ext = file.originalname.split('.').pop();
-    const storagePath = `records/${patientId}/${recordId}/v1_${versionId}.${ext}`;
-    const fileRef = bucket.file(storagePath);
+    res.status(201).json({
+      message: 'Record uploaded successfully.',
+      record,
+      // 24h — in production use short-lived tokens
+      version: { ...version, downloadUrl: await getDownloadUrl(version, 24 * 60 * 60 * 1000) },
+      warnings,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    await fileRef.save(file.buffer, {
-      metadata: {
-        contentType: file.mimetype,
-        metadata: {
-          patientId,
-          recordId,
-          versionId,
-          uploadedAt: now.toDate().toISOString(),
-        },
-      },
+/**
+ * POST /api/records/:recordId/versions
+ * Add a new version to an existing record (like a git commit).
+ * Patient OR a doctor with write access can call this.
+ */
+export const addRecordVersion = async (req, res, next) => {
+  try {
+    const files = req.files;
+
+    if (!files.length) return res.status(400).json({ error: 'At least one file is required.' });
+
+    const { version, warnings } = await commitRecordVersion({
+      callerId: req.user.uid,
+      callerRole: req.user.role,
+      recordId: req.params.recordId,
+      commitMessage: req.body.commitMessage,
+      files,
     });
 
-    // Generate signed URL (24h) — in production use short-lived tokens
-    const [signedUrl] = await fileRef.getSignedUrl({
-      action: 'read',
-      expires: Date.now() + 24 * 60 * 60 * 1000,
+    res.status(201).json({
+      message: `Version ${version.versionNumber} committed.`,
+      version: { ...version, downloadUrl: await getDownloadUrl(version, 24 * 60 * 60 * 1000) },
+      warnings,
     });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Create the record document
-    const record = {
-      id: recordId,
-      patientId,
-      title,
-      recordType,
-      description: description || null,
-      tags: tags || [],
-      issuedBy: issuedBy || null,
-      issuedDate: issuedDate || null,
-      currentVersion: 1,
-      currentVersionId: versionId,
-      totalVersions: 1,
-      isArchived: false,
-      createdAt: now,
-      updatedAt: now,
-      createdBy: patientId, // could be a doctor with write access
-    };
+/**
+ * POST /api/records/:recordId/versions/:versionId/revert
+ * Roll a record back to an earlier version (like `git revert`).
+ * History is never rewritten — a new version is committed that points at the
+ * old version's file content. Same access rules as addRecordVersion.
+ */
+export const revertRecordVersion = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const callerRole = req.user.role;
+    const { recordId, versionId: targetVersionId } = req.params;
+
+    const recordRef = db.collection(COLLECTIONS.RECORDS).doc(recordId);
+    const recordDoc = await recordRef.get();
+    if (!recordDoc.exists) return res.status(404).json({ error: 'Record not found.' });
+
+    const record = recordDoc.data();
+
+    // Access check
+    if (callerRole === 'patient' && record.patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+
+    if (callerRole === 'doctor') {
+      await assertDoctorWriteAccess(callerId, record.patientId, record);
+    }
+
+    if (record.isArchived) {
+      return res.status(409).json({ error: 'Record is archived. Unarchive it before making changes.' });
+    }
+
+    const targetDoc = await recordRef
+      .collection(COLLECTIONS.RECORD_VERSIONS).doc(targetVersionId)
+      .get();
+    if (!targetDoc.exists) return res.status(404).json({ error: 'Version not found.' });
 
-    // Create the version document (a "commit")
+    const target = targetDoc.data();
+
+    if (target.id === record.currentVersionId) {
+      return res.status(409).json({ error: 'This version is already the current version.' });
+    }
+
+    const versionId = uuidv4();
+    const newVersionNumber = record.currentVersion + 1;
+    const now = Timestamp.now();
+    const commitMessage = req.body.commitMessage || `Revert to version ${target.versionNumber}`;
+
+    // The new version reuses the reverted version's stored file — nothing is re-uploaded
     const version = {
       id: versionId,
       recordId,
-      patientId,
-      versionNumber: 1,
+      patientId: record.patientId,
+      versionNumber: newVersionNumber,
       commitMessage,
-      committedBy: patientId,
-      committedByRole: 'patient',
-      storagePath,
-      fileName: file.originalname,
-      fileSize: file.size,
-      mimeType: file.mimetype,
-      changeType: 'initial_upload',
-      diff: null, // For text records, could store diff
+      committedBy: callerId,
+      committedByRole: callerRole,
+      storagePath: target.storagePath,
+      fileName: target.fileName,
+      fileSize: target.fileSize,
+      mimeType: target.mimeType,
+      contentHash: target.contentHash || null,
+      encrypted: target.encrypted || false,
+      ...(target.files && { fileCount: target.fileCount, files: target.files }),
+      // Same file, so the same preview — unless it never got one
+      preview: target.preview?.status === 'ready' ? target.preview : initialPreview(target.mimeType),
+      dicom: target.dicom || null,
+      changeType: 'revert',
+      revertedVersionId: target.id,
+      revertedVersionNumber: target.versionNumber,
       createdAt: now,
     };
 
-    // Commit log entry
     const commit = {
       id: uuidv4(),
       recordId,
       versionId,
-      patientId,
-      committedBy: patientId,
-      committedByRole: 'patient',
+      patientId: record.patientId,
+      committedBy: callerId,
+      committedByRole: callerRole,
       commitMessage,
-      changeType: 'initial_upload',
-      recordType,
+      changeType: 'revert',
+      revertedVersionId: target.id,
+      revertedVersionNumber: target.versionNumber,
+      contentHash: target.contentHash || null,
+      recordType: record.recordType,
       createdAt: now,
     };
 
-    // Batch write
-    const batch = db.batch();
-    batch.set(db.collection(COLLECTIONS.RECORDS).doc(recordId), record);
-    batch.set(
-      db.collection(COLLECTIONS.RECORDS).doc(recordId)
-        .collection(COLLECTIONS.RECORD_VERSIONS).doc(versionId),
-      version
-    );
-    batch.set(db.collection(COLLECTIONS.COMMITS).doc(commit.id), commit);
-
-    // Increment patient stats
-    batch.update(db.collection(COLLECTIONS.PATIENTS).doc(patientId), {
-      totalRecords: FieldValue.increment(1),
-      totalVersions: FieldValue.increment(1),
-      updatedAt: now,
+    await writeCommit({
+      commit,
+      patientUpdates: {
+        totalVersions: FieldValue.increment(1),
+        updatedAt: now,
+      },
+      precondition: assertRecordUnchanged(recordRef, record),
+      writes: (tx) => {
+        tx.update(recordRef, {
+          currentVersion: newVersionNumber,
+          currentVersionId: versionId,
+          totalVersions: FieldValue.increment(1),
+          dicom: target.dicom || null,
+          updatedAt: now,
+        });
+        tx.set(
+          recordRef.collection(COLLECTIONS.RECORD_VERSIONS).doc(versionId),
+          version
+        );
+      },
     });
 
-    await batch.commit();
+    schedulePreview(version);
+
+    if (callerRole === 'doctor') {
+      await updateDoctorStats(callerId, { recordUpdated: true, patientId: record.patientId });
+    }
 
     await logActivity({
-      actorId: patientId,
-      actorRole: 'patient',
-      action: 'record_uploaded',
+      actorId: callerId,
+      actorRole: callerRole,
+      action: 'record_reverted',
       resourceId: recordId,
-      metadata: { recordType, title },
+      metadata: {
+        versionNumber: newVersionNumber,
+        revertedVersionId: target.id,
+        revertedVersionNumber: target.versionNumber,
+        commitMessage,
+      },
     });
 
     res.status(201).json({
-      message: 'Record uploaded successfully.',
-      record,
-      version: { ...version, downloadUrl: signedUrl },
+      message: `Reverted to version ${target.versionNumber} as version ${newVersionNumber}.`,
+      version,
     });
   } catch (err) {
     next(err);
@@ -134,21 +222,18 @@ export const uploadRecord = async (req, res, next) => {
 };
 
 /**
- * POST /api/records/:recordId/versions
- * Add a new version to an existing record (like a git commit).
+ * PATCH /api/records/:recordId
+ * Correct a record's metadata. No new file version is created — a
+ * `metadata_update` commit records the before/after value of every changed field.
  * Patient OR a doctor with write access can call this.
  */
-export const addRecordVersion = async (req, res, next) => {
+export const updateRecordMetadata = async (req, res, next) => {
   try {
     const callerId = req.user.uid;
     const callerRole = req.user.role;
     const { recordId } = req.params;
-    const { commitMessage } = req.body;
-    const file = req.file;
-
-    if (!file) return res.status(400).json({ error: 'File is required.' });
+    const { commitMessage, ...fields } = req.body;
 
-    // Fetch the record
     const recordRef = db.collection(COLLECTIONS.RECORDS).doc(recordId);
     const recordDoc = await recordRef.get();
     if (!recordDoc.exists) return res.status(404).json({ error: 'Record not found.' });
@@ -161,73 +246,51 @@ export const addRecordVersion = async (req, res, next) => {
     }
 
     if (callerRole === 'doctor') {
-      await assertDoctorWriteAccess(callerId, record.patientId);
+      await assertDoctorWriteAccess(callerId, record.patientId, record);
     }
 
-    const versionId = uuidv4();
-    const newVersionNumber = record.currentVersion + 1;
-    const now = Timestamp.now();
-    const ext = file.originalname.split('.').pop();
-    const storagePath = `records/${record.patientId}/${recordId}/v${newVersionNumber}_${versionId}.${ext}`;
-    const fileRef = bucket.file(storagePath);
+    if (record.isArchived) {
+      return res.status(409).json({ error: 'Record is archived. Unarchive it before making changes.' });
+    }
 
-    await fileRef.save(file.buffer, {
-      metadata: { contentType: file.mimetype },
-    });
+    // Only keep fields whose value actually changes
+    const changes = {};
+    const updates = {};
+    for (const [field, value] of Object.entries(fields)) {
+      const to = value === '' ? null : value;
+      const from = record[field] ?? null;
+      if (JSON.stringify(from) === JSON.stringify(to)) continue;
+      changes[field] = { from, to };
+      updates[field] = to;
+    }
 
-    const [signedUrl] = await fileRef.getSignedUrl({
-      action: 'read',
-      expires: Date.now() + 24 * 60 * 60 * 1000,
-    });
+    const changedFields = Object.keys(changes);
+    if (!changedFields.length) {
+      return res.status(400).json({ error: 'No metadata changes to commit.' });
+    }
 
-    const version = {
-      id: versionId,
-      recordId,
-      patientId: record.patientId,
-      versionNumber: newVersionNumber,
-      commitMessage,
-      committedBy: callerId,
-      committedByRole: callerRole,
-      storagePath,
-      fileName: file.originalname,
-      fileSize: file.size,
-      mimeType: file.mimetype,
-      changeType: 'update',
-      createdAt: now,
-    };
+    const now = Timestamp.now();
+    const message = commitMessage || `Update ${changedFields.join(', ')}`;
 
     const commit = {
       id: uuidv4(),
       recordId,
-      versionId,
+      versionId: record.currentVersionId,
       patientId: record.patientId,
       committedBy: callerId,
       committedByRole: callerRole,
-      commitMessage,
-      changeType: 'update',
+      commitMessage: message,
+      changeType: 'metadata_update',
+      changes,
       recordType: record.recordType,
       createdAt: now,
     };
 
-    const batch = db.batch();
-    batch.update(recordRef, {
-      currentVersion: newVersionNumber,
-      currentVersionId: versionId,
-      totalVersions: FieldValue.increment(1),
-      updatedAt: now,
+    const storedCommit = await writeCommit({
+      commit,
+      writes: (tx) => tx.update(recordRef, { ...updates, updatedAt: now }),
     });
-    batch.set(
-      recordRef.collection(COLLECTIONS.RECORD_VERSIONS).doc(versionId),
-      version
-    );
-    batch.set(db.collection(COLLECTIONS.COMMITS).doc(commit.id), commit);
-    batch.update(db.collection(COLLECTIONS.PATIENTS).doc(record.patientId), {
-      totalVersions: FieldValue.increment(1),
-      updatedAt: now,
-    });
-    await batch.commit();
 
-    // Update doctor contribution graph if doctor made the commit
     if (callerRole === 'doctor') {
       await updateDoctorStats(callerId, { recordUpdated: true, patientId: record.patientId });
     }
@@ -235,14 +298,15 @@ export const addRecordVersion = async (req, res, next) => {
     await logActivity({
       actorId: callerId,
       actorRole: callerRole,
-      action: 'record_version_added',
+      action: 'record_metadata_updated',
       resourceId: recordId,
-      metadata: { versionNumber: newVersionNumber, commitMessage },
+      metadata: { changedFields, commitMessage: message },
     });
 
-    res.status(201).json({
-      message: `Version ${newVersionNumber} committed.`,
-      version: { ...version, downloadUrl: signedUrl },
+    res.json({
+      message: 'Record metadata updated.',
+      record: { ...record, ...updates, updatedAt: now },
+      commit: storedCommit,
     });
   } catch (err) {
     next(err);
@@ -268,7 +332,7 @@ export const getRecordVersions = async (req, res, next) => {
       return res.status(403).json({ error: 'Access denied.' });
     }
     if (callerRole === 'doctor') {
-      await assertDoctorReadAccess(callerId, record.patientId, record.recordType);
+      await assertDoctorRecordAccess(callerId, record, 'versions');
     }
 
     const versionsSnap = await db
@@ -287,7 +351,8 @@ export const getRecordVersions = async (req, res, next) => {
 
 /**
  * GET /api/records/:recordId/versions/:versionId/download
- * Get a signed download URL for a specific version.
+ * Get a download URL for a specific version: the authenticated content
+ * endpoint, or a signed bucket URL when signed URLs are enabled in config.
  */
 export const getVersionDownloadUrl = async (req, res, next) => {
   try {
@@ -303,7 +368,7 @@ export const getVersionDownloadUrl = async (req, res, next) => {
       return res.status(403).json({ error: 'Access denied.' });
     }
     if (callerRole === 'doctor') {
-      await assertDoctorReadAccess(callerId, record.patientId, record.recordType);
+      await assertDoctorRecordAccess(callerId, record, 'download');
     }
 
     const versionDoc = await db
@@ -314,13 +379,423 @@ export const getVersionDownloadUrl = async (req, res, next) => {
     if (!versionDoc.exists) return res.status(404).json({ error: 'Version not found.' });
     const version = versionDoc.data();
 
-    const fileRef = bucket.file(version.storagePath);
-    const [signedUrl] = await fileRef.getSignedUrl({
-      action: 'read',
-      expires: Date.now() + 60 * 60 * 1000, // 1 hour
+    const downloadUrl = await getDownloadUrl(version, config.downloads.signedUrlTtlMinutes * 60 * 1000);
+
+    res.json({ downloadUrl, version });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/records/:recordId/versions/:versionId/content
+ * Stream a version's file through the API after the access check.
+ * `?file=N` picks a file from a multi-file bundle (default: the first).
+ * Supports single HTTP Range requests (large imaging files) — only the
+ * requested bytes are read from storage, and for encrypted files only the
+ * segments holding them are decrypted — and `?disposition=inline` for
+ * in-browser viewing. Every request is audited
+ * as `record_downloaded`.
+ */
+export const streamVersionContent = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const callerRole = req.user.role;
+    const { recordId, versionId } = req.params;
+
+    const recordDoc = await db.collection(COLLECTIONS.RECORDS).doc(recordId).get();
+    if (!recordDoc.exists) return res.status(404).json({ error: 'Record not found.' });
+    const record = recordDoc.data();
+
+    if (callerRole === 'patient' && record.patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+    if (callerRole === 'doctor') {
+      await assertDoctorRecordAccess(callerId, record, 'content');
+    }
+
+    const versionDoc = await db
+      .collection(COLLECTIONS.RECORDS).doc(recordId)
+      .collection(COLLECTIONS.RECORD_VERSIONS).doc(versionId)
+      .get();
+
+    if (!versionDoc.exists) return res.status(404).json({ error: 'Version not found.' });
+    const version = versionDoc.data();
+
+    const fileIndex = req.query.file === undefined ? 0 : Number(req.query.file);
+    const entry = versionFiles(version)[fileIndex];
+    if (!Number.isInteger(fileIndex) || !entry) {
+      return res.status(404).json({ error: `File ${req.query.file} not found in this version.` });
+    }
+
+    const file = await openStoredFile(entry);
+    const range = parseRange(req.headers.range, file.size);
+
+    if (range?.unsatisfiable) {
+      res.set('Content-Range', `bytes */${file.size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable.' });
+    }
+
+    const disposition = req.query.disposition === 'inline' ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': entry.mimeType,
+      'Content-Disposition': `${disposition}; filename="${entry.fileName}"`,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-store',
+    });
+    if (entry.contentHash) res.set('ETag', `"${entry.contentHash}"`);
+
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${file.size}`,
+        'Content-Length': String(range.end - range.start + 1),
+      });
+    } else {
+      res.set('Content-Length', String(file.size));
+    }
+
+    await logActivity({
+      actorId: callerId,
+      actorRole: callerRole,
+      action: 'record_downloaded',
+      resourceId: recordId,
+      metadata: {
+        versionId,
+        versionNumber: version.versionNumber,
+        fileIndex,
+        range: range ? `${range.start}-${range.end}` : null,
+      },
+    });
+
+    const stream = file.createReadStream(range || undefined);
+    stream.on('error', (err) => {
+      // Headers are already sent — all we can do is abort the response
+      console.error('Content stream failed:', err.message);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/records/:recordId/versions/:versionId/archive
+ * Download every file of a version as one zip (for multi-file bundles such as
+ * imaging series). Same access rules and audit as the content endpoint.
+ */
+export const downloadVersionArchive = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const callerRole = req.user.role;
+    const { recordId, versionId } = req.params;
+
+    const recordDoc = await db.collection(COLLECTIONS.RECORDS).doc(recordId).get();
+    if (!recordDoc.exists) return res.status(404).json({ error: 'Record not found.' });
+    const record = recordDoc.data();
+
+    if (callerRole === 'patient' && record.patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+    if (callerRole === 'doctor') {
+      await assertDoctorRecordAccess(callerId, record, 'archive');
+    }
+
+    const versionDoc = await db
+      .collection(COLLECTIONS.RECORDS).doc(recordId)
+      .collection(COLLECTIONS.RECORD_VERSIONS).doc(versionId)
+      .get();
+
+    if (!versionDoc.exists) return res.status(404).json({ error: 'Version not found.' });
+    const version = versionDoc.data();
+
+    await logActivity({
+      actorId: callerId,
+      actorRole: callerRole,
+      action: 'record_downloaded',
+      resourceId: recordId,
+      metadata: { versionId, versionNumber: version.versionNumber, format: 'zip' },
+    });
+
+    const fileName = sanitizeFileName(`${record.title}-v${version.versionNumber}.zip`, 'zip');
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'private, no-store',
+    });
+
+    const archive = createBundleArchive(version);
+    archive.on('error', (err) => {
+      // Headers are already sent — all we can do is abort the response
+      console.error('Archive stream failed:', err.message);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/records/:recordId/versions/:versionId/preview
+ * Serve a version's thumbnail (images) or first-page render (PDFs).
+ * Previews are generated in the background after upload, so this answers
+ * 202 while one is still pending. Same access rules as the file itself.
+ */
+export const getVersionPreview = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const callerRole = req.user.role;
+    const { recordId, versionId } = req.params;
+
+    const recordDoc = await db.collection(COLLECTIONS.RECORDS).doc(recordId).get();
+    if (!recordDoc.exists) return res.status(404).json({ error: 'Record not found.' });
+    const record = recordDoc.data();
+
+    if (callerRole === 'patient' && record.patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+    if (callerRole === 'doctor') {
+      await assertDoctorRecordAccess(callerId, record, 'preview');
+    }
+
+    const versionDoc = await db
+      .collection(COLLECTIONS.RECORDS).doc(recordId)
+      .collection(COLLECTIONS.RECORD_VERSIONS).doc(versionId)
+      .get();
+
+    if (!versionDoc.exists) return res.status(404).json({ error: 'Version not found.' });
+    const { preview } = versionDoc.data();
+
+    if (preview?.status === 'pending') {
+      res.set('Retry-After', '2');
+      return res.status(202).json({ status: 'pending', message: 'Preview is still being generated.' });
+    }
+    if (preview?.status !== 'ready') {
+      return res.status(404).json({ status: preview?.status || 'unsupported', error: 'No preview available for this version.' });
+    }
+
+    const content = await readStoredFile({ ...preview, patientId: record.patientId });
+
+    res.set({
+      'Content-Type': preview.mimeType,
+      'Content-Length': String(content.length),
+      'Cache-Control': 'private, no-store',
     });
+    res.send(content);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/records/:recordId/diff?from=&to=
+ * Compare two versions of a record (like `git diff`).
+ * `from`/`to` accept a version ID or a version number. `to` defaults to the
+ * current version and `from` to the version immediately before `to`.
+ */
+export const getRecordDiff = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const callerRole = req.user.role;
+    const { recordId } = req.params;
+    const { from, to } = req.query;
 
-    res.json({ downloadUrl: signedUrl, version });
+    const recordRef = db.collection(COLLECTIONS.RECORDS).doc(recordId);
+    const recordDoc = await recordRef.get();
+    if (!recordDoc.exists) return res.status(404).json({ error: 'Record not found.' });
+    const record = recordDoc.data();
+
+    if (callerRole === 'patient' && record.patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+    if (callerRole === 'doctor') {
+      await assertDoctorRecordAccess(callerId, record, 'diff');
+    }
+
+    const toVersion = await findVersion(recordRef, to || record.currentVersionId);
+    if (!toVersion) return res.status(404).json({ error: 'Version "to" not found.' });
+
+    const fromVersion = await findVersion(recordRef, from || String(toVersion.versionNumber - 1));
+    if (!fromVersion) return res.status(404).json({ error: 'Version "from" not found.' });
+
+    if (fromVersion.id === toVersion.id) {
+      return res.status(400).json({ error: '"from" and "to" must be different versions.' });
+    }
+
+    const diff = await diffVersions(fromVersion, toVersion);
+
+    res.json({
+      recordId,
+      from: { id: fromVersion.id, versionNumber: fromVersion.versionNumber },
+      to: { id: toVersion.id, versionNumber: toVersion.versionNumber },
+      ...diff,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PATCH /api/records/:recordId/archive
+ * Hide an outdated record from the default listing. Nothing is removed, so
+ * patient counters are unchanged. Patient only.
+ */
+export const archiveRecord = (req, res, next) => setArchived(req, res, next, true);
+
+/**
+ * PATCH /api/records/:recordId/unarchive
+ * Bring an archived record back into the default listing. Patient only.
+ */
+export const unarchiveRecord = (req, res, next) => setArchived(req, res, next, false);
+
+/**
+ * DELETE /api/records/:recordId
+ * Permanently delete an archived record: every version's file, its
+ * record_versions subcollection, any proposals against it and its lab
+ * observations. The `record_deleted` tombstone commit is written first and
+ * marks the record `deletion.status: 'pending'`; the clean-up after it only
+ * removes things, so a delete that fails part-way is finished by sending it
+ * again. Patient only.
+ */
+export const deleteRecord = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const { recordId } = req.params;
+
+    const recordRef = db.collection(COLLECTIONS.RECORDS).doc(recordId);
+    const recordDoc = await recordRef.get();
+    if (!recordDoc.exists) return res.status(404).json({ error: 'Record not found.' });
+
+    const record = recordDoc.data();
+    if (record.patientId !== patientId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+
+    // A delete that failed during clean-up already has its tombstone
+    let tombstone;
+    if (record.deletion) {
+      const commitDoc = await db.collection(COLLECTIONS.COMMITS).doc(record.deletion.commitId).get();
+      tombstone = commitDoc.data();
+    } else {
+      if (!record.isArchived) {
+        return res.status(409).json({ error: 'Archive the record before deleting it permanently.' });
+      }
+
+      // Archived records take no new versions, so this count is final
+      const versionsSnap = await recordRef.collection(COLLECTIONS.RECORD_VERSIONS).get();
+      const now = Timestamp.now();
+      const commit = {
+        id: uuidv4(),
+        recordId,
+        versionId: null,
+        patientId,
+        committedBy: patientId,
+        committedByRole: 'patient',
+        commitMessage: `Permanently delete "${record.title}"`,
+        changeType: 'record_deleted',
+        recordTitle: record.title,
+        versionsDeleted: versionsSnap.size,
+        recordType: record.recordType,
+        createdAt: now,
+      };
+
+      tombstone = await writeCommit({
+        commit,
+        patientUpdates: {
+          totalRecords: FieldValue.increment(-1),
+          totalVersions: FieldValue.increment(-versionsSnap.size),
+          updatedAt: now,
+        },
+        // Restored or deleted by another request since the checks above
+        precondition: async (tx) => {
+          const current = await tx.get(recordRef);
+          if (!current.exists) throw httpError(404, 'Record not found.');
+          if (current.get('deletion')) throw httpError(409, 'Record is already being deleted.');
+          if (!current.get('isArchived')) {
+            throw httpError(409, 'Archive the record before deleting it permanently.');
+          }
+        },
+        writes: (tx) => tx.update(recordRef, {
+          deletion: { status: 'pending', commitId: commit.id, requestedAt: now },
+          updatedAt: now,
+        }),
+      });
+
+      await logActivity({
+        actorId: patientId,
+        actorRole: 'patient',
+        action: 'record_deleted',
+        resourceId: recordId,
+        metadata: { title: record.title, recordType: record.recordType, versionsDeleted: versionsSnap.size },
+      });
+    }
+
+    await purgeRecord(recordRef);
+
+    res.json({ message: 'Record permanently deleted.', commit: tombstone });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Remove a tombstoned record's files, versions, proposals and observations,
+// then the record itself. Safe to run again after a failure.
+const purgeRecord = async (recordRef) => {
+  const [versionsSnap, proposalsSnap, observationsSnap] = await Promise.all([
+    recordRef.collection(COLLECTIONS.RECORD_VERSIONS).get(),
+    db.collection(COLLECTIONS.PROPOSALS).where('recordId', '==', recordRef.id).get(),
+    db.collection(COLLECTIONS.OBSERVATIONS).where('recordId', '==', recordRef.id).get(),
+  ]);
+
+  // Reverts and merged proposals share files (and previews), so delete each path once
+  const storagePaths = new Set([
+    ...versionsSnap.docs.flatMap((d) => [
+      ...versionFiles(d.data()).map((f) => f.storagePath),
+      d.data().preview?.storagePath,
+    ]),
+    ...proposalsSnap.docs.flatMap((d) => versionFiles(d.data()).map((f) => f.storagePath)),
+  ].filter(Boolean));
+
+  await Promise.all(
+    [...storagePaths].map((p) => bucket.file(p).delete({ ignoreNotFound: true }))
+  );
+
+  // Documents go after the files, so a retry still finds every path.
+  // Firestore batches cap at 500 writes
+  const refs = [...versionsSnap.docs, ...proposalsSnap.docs, ...observationsSnap.docs].map((d) => d.ref);
+  for (let i = 0; i < refs.length; i += 450) {
+    const chunk = db.batch();
+    refs.slice(i, i + 450).forEach((ref) => chunk.delete(ref));
+    await chunk.commit();
+  }
+
+  await recordRef.delete();
+};
+
+/**
+ * GET /api/patients/:patientId/records/archived
+ * List a patient's archived records. Patient only.
+ */
+export const getArchivedRecords = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const { patientId } = req.params;
+
+    if (patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+
+    const snap = await db
+      .collection(COLLECTIONS.RECORDS)
+      .where('patientId', '==', patientId)
+      .where('isArchived', '==', true)
+      .orderBy('updatedAt', 'desc')
+      .get();
+
+    // Records whose deletion didn't finish are gone as far as the patient is concerned
+    const records = snap.docs.map((d) => d.data()).filter((r) => !r.deletion);
+    res.json({ records, total: records.length });
   } catch (err) {
     next(err);
   }
@@ -329,18 +804,30 @@ export const getVersionDownloadUrl = async (req, res, next) => {
 /**
  * GET /api/patients/:patientId/records
  * List all records for a patient.
+ * Optional filters: `recordType`, and for imaging studies (`imaging`/`xray`)
+ * `modality` (comma-separated DICOM modality codes, e.g. `CT,MR`) and
+ * `studyDateFrom` / `studyDateTo` (YYYY-MM-DD).
+ * Doctors only see records their approved grant covers.
  */
 export const getPatientRecords = async (req, res, next) => {
   try {
     const callerId = req.user.uid;
     const callerRole = req.user.role;
     const { patientId } = req.params;
+    const { recordType, modality, studyDateFrom, studyDateTo } = req.query;
 
     if (callerRole === 'patient' && patientId !== callerId) {
       return res.status(403).json({ error: 'Access denied.' });
     }
+    let access = null;
     if (callerRole === 'doctor') {
-      await assertDoctorReadAccess(callerId, patientId, 'all');
+      access = await assertDoctorReadAccess(callerId, patientId, 'all', 'records');
+    }
+
+    for (const [name, value] of Object.entries({ studyDateFrom, studyDateTo })) {
+      if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return res.status(400).json({ error: `${name} must be a date (YYYY-MM-DD).` });
+      }
     }
 
     const snap = await db
@@ -350,86 +837,296 @@ export const getPatientRecords = async (req, res, next) => {
       .orderBy('updatedAt', 'desc')
       .get();
 
-    const records = snap.docs.map((d) => d.data());
+    let records = snap.docs.map((d) => d.data());
+    if (access) records = records.filter((r) => canReadRecord(access, r));
+    if (recordType) {
+      const types = recordType.split(',');
+      records = records.filter((r) => types.includes(r.recordType));
+    }
+    if (modality || studyDateFrom || studyDateTo) {
+      records = filterByStudy(records, { modality, studyDateFrom, studyDateTo });
+    }
+
     res.json({ records, total: records.length });
   } catch (err) {
     next(err);
   }
 };
 
+/**
+ * GET /api/patients/:patientId/records/search
+ * Full-text and faceted search across a patient's repository.
+ * Query: q, recordType, tags (comma-separated), issuedFrom, issuedTo,
+ * updatedFrom, updatedTo, includeArchived, limit, cursor.
+ * Doctors only ever see records their approved grant covers.
+ */
+export const searchPatientRecords = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const callerRole = req.user.role;
+    const { patientId } = req.params;
+    const {
+      q,
+      recordType,
+      tags,
+      issuedFrom,
+      issuedTo,
+      updatedFrom,
+      updatedTo,
+      includeArchived,
+      limit,
+      cursor,
+    } = req.query;
+
+    if (callerRole === 'patient' && patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+
+    let access = null;
+    if (callerRole === 'doctor') {
+      access = await assertDoctorReadAccess(callerId, patientId, 'all', 'search');
+    }
+
+    for (const [name, value] of Object.entries({ issuedFrom, issuedTo, updatedFrom, updatedTo })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be an ISO date.` });
+      }
+    }
+
+    let query = db
+      .collection(COLLECTIONS.RECORDS)
+      .where('patientId', '==', patientId);
+
+    // Archived records are only searchable by their owner
+    if (includeArchived !== 'true' || callerRole === 'doctor') {
+      query = query.where('isArchived', '==', false);
+    }
+
+    const snap = await query.get();
+    let records = snap.docs.map((d) => d.data());
+    if (access) records = records.filter((r) => canReadRecord(access, r));
+
+    const result = searchRecords(records, {
+      q,
+      recordTypes: recordType ? recordType.split(',') : [],
+      tags: tags ? tags.split(',') : [],
+      issuedFrom,
+      issuedTo,
+      updatedFrom,
+      updatedTo,
+      limit,
+      cursor,
+    });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * GET /api/patients/:patientId/commits
- * Full commit log for a patient's repository.
+ * Commit log for a patient's repository, newest first, cursor-paginated.
+ * Query: recordId, recordType, committedBy, committedByRole, changeType,
+ * from, to (ISO dates on createdAt), limit (max 100), cursor.
+ * Doctors only receive commits for records their approved grant covers.
  */
 export const getPatientCommitLog = async (req, res, next) => {
   try {
     const callerId = req.user.uid;
     const callerRole = req.user.role;
     const { patientId } = req.params;
+    const { recordId, recordType, committedBy, committedByRole, changeType, from, to, cursor } = req.query;
+    const pageLimit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
 
     if (callerRole === 'patient' && patientId !== callerId) {
       return res.status(403).json({ error: 'Access denied.' });
     }
+
+    let access = null;
     if (callerRole === 'doctor') {
-      await assertDoctorReadAccess(callerId, patientId, 'all');
+      access = await assertDoctorReadAccess(callerId, patientId, 'all', 'commits');
     }
 
-    const snap = await db
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be an ISO date.` });
+      }
+    }
+
+    let query = db
       .collection(COLLECTIONS.COMMITS)
-      .where('patientId', '==', patientId)
-      .orderBy('createdAt', 'desc')
-      .limit(100)
-      .get();
+      .where('patientId', '==', patientId);
+
+    const filters = { recordId, recordType, committedBy, committedByRole, changeType };
+    for (const [field, value] of Object.entries(filters)) {
+      if (value) query = query.where(field, '==', value);
+    }
+
+    // Grant scope: whole record types, or explicit records (either may match)
+    if (access && !coversAllRecords(access)) {
+      const types = access.requestedRecordTypes.filter((t) => !recordType || t === recordType);
+      const ids = access.requestedRecordIds || [];
+      const scope = [
+        types.length && Filter.where('recordType', 'in', types),
+        ids.length && Filter.where('recordId', 'in', ids),
+      ].filter(Boolean);
+
+      if (!scope.length) {
+        return res.status(403).json({ error: `You do not have access to record type: ${recordType}` });
+      }
+      query = query.where(scope.length === 1 ? scope[0] : Filter.or(...scope));
+    }
+
+    if (from) query = query.where('createdAt', '>=', Timestamp.fromDate(new Date(from)));
+    if (to) {
+      // A bare date covers the whole day
+      const end = new Date(Date.parse(to) + (to.length === 10 ? 24 * 60 * 60 * 1000 - 1 : 0));
+      query = query.where('createdAt', '<=', Timestamp.fromDate(end));
+    }
+
+    query = query.orderBy('createdAt', 'desc');
 
-    const commits = snap.docs.map((d) => d.data());
-    res.json({ commits, total: commits.length });
+    if (cursor) {
+      const cursorDoc = await db.collection(COLLECTIONS.COMMITS).doc(cursor).get();
+      if (!cursorDoc.exists || cursorDoc.data().patientId !== patientId) {
+        return res.status(400).json({ error: 'Invalid cursor.' });
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    // Fetch one extra to know whether another page exists
+    const snap = await query.limit(pageLimit + 1).get();
+    const commits = snap.docs.slice(0, pageLimit).map((d) => d.data());
+    const hasMore = snap.size > pageLimit;
+
+    res.json({
+      commits,
+      total: commits.length,
+      nextCursor: hasMore ? commits[commits.length - 1].id : null,
+    });
   } catch (err) {
     next(err);
   }
 };
 
-// ─── Helpers ─────────────────────────────────────────────────────────────────
+/**
+ * GET /api/patients/:patientId/verify
+ * Integrity check of a patient's repository: re-hashes every stored file
+ * against its version's contentHash and walks the commit hash chain,
+ * reporting any break.
+ */
+export const verifyPatientRepositoryIntegrity = async (req, res, next) => {
+  try {
+    const callerId = req.user.uid;
+    const callerRole = req.user.role;
+    const { patientId } = req.params;
 
-const assertDoctorReadAccess = async (doctorId, patientId, recordType) => {
-  const snap = await db
-    .collection(COLLECTIONS.ACCESS_REQUESTS)
-    .where('doctorId', '==', doctorId)
-    .where('patientId', '==', patientId)
-    .where('status', '==', 'approved')
-    .where('isExpired', '==', false)
-    .limit(1)
-    .get();
-
-  if (snap.empty) {
-    const err = new Error('You do not have approved access to this patient\'s records.');
-    err.status = 403;
-    throw err;
+    if (callerRole === 'patient' && patientId !== callerId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+    if (callerRole === 'doctor') {
+      await assertDoctorReadAccess(callerId, patientId, 'all', 'verify');
+    }
+
+    const report = await verifyPatientRepository(patientId);
+
+    await logActivity({
+      actorId: callerId,
+      actorRole: callerRole,
+      action: 'repository_verified',
+      resourceId: patientId,
+      metadata: { verified: report.verified, breaks: report.breaks.length },
+    });
+
+    res.json({ ...report, verifiedAt: new Date().toISOString() });
+  } catch (err) {
+    next(err);
   }
+};
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
 
-  const access = snap.docs[0].data();
-  if (recordType !== 'all' &&
-    !access.requestedRecordTypes.includes('all') &&
-    !access.requestedRecordTypes.includes(recordType)) {
-    const err = new Error(`You do not have access to record type: ${recordType}`);
-    err.status = 403;
-    throw err;
+// Look up a version by ID, or by version number when given digits only
+const findVersion = async (recordRef, idOrNumber) => {
+  const versions = recordRef.collection(COLLECTIONS.RECORD_VERSIONS);
+
+  if (/^\d+$/.test(idOrNumber)) {
+    const snap = await versions
+      .where('versionNumber', '==', parseInt(idOrNumber, 10))
+      .limit(1)
+      .get();
+    return snap.empty ? null : snap.docs[0].data();
   }
+
+  const doc = await versions.doc(idOrNumber).get();
+  return doc.exists ? doc.data() : null;
 };
 
-const assertDoctorWriteAccess = async (doctorId, patientId) => {
-  const snap = await db
-    .collection(COLLECTIONS.ACCESS_REQUESTS)
-    .where('doctorId', '==', doctorId)
-    .where('patientId', '==', patientId)
-    .where('status', '==', 'approved')
-    .where('accessLevel', '==', 'read_write')
-    .where('isExpired', '==', false)
-    .limit(1)
-    .get();
-
-  if (snap.empty) {
-    const err = new Error('You do not have write access to this patient\'s records.');
-    err.status = 403;
-    throw err;
+const setArchived = async (req, res, next, archived) => {
+  try {
+    const patientId = req.user.uid;
+    const { recordId } = req.params;
+
+    const recordRef = db.collection(COLLECTIONS.RECORDS).doc(recordId);
+    const recordDoc = await recordRef.get();
+    if (!recordDoc.exists) return res.status(404).json({ error: 'Record not found.' });
+
+    const record = recordDoc.data();
+    if (record.patientId !== patientId) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+    if (record.isArchived === archived) {
+      return res.status(409).json({ error: `Record is already ${archived ? 'archived' : 'active'}.` });
+    }
+
+    const now = Timestamp.now();
+    const changeType = archived ? 'archive' : 'unarchive';
+    const commit = {
+      id: uuidv4(),
+      recordId,
+      versionId: record.currentVersionId,
+      patientId,
+      committedBy: patientId,
+      committedByRole: 'patient',
+      commitMessage: archived ? `Archive "${record.title}"` : `Restore "${record.title}"`,
+      changeType,
+      recordType: record.recordType,
+      createdAt: now,
+    };
+
+    const update = {
+      isArchived: archived,
+      archivedAt: archived ? now : null,
+      updatedAt: now,
+    };
+
+    await writeCommit({
+      commit,
+      // A record being deleted can't be restored, nor archived twice
+      precondition: async (tx) => {
+        const current = await tx.get(recordRef);
+        if (!current.exists || current.get('deletion')) throw httpError(404, 'Record not found.');
+        if (current.get('isArchived') === archived) {
+          throw httpError(409, `Record is already ${archived ? 'archived' : 'active'}.`);
+        }
+      },
+      writes: (tx) => tx.update(recordRef, update),
+    });
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: archived ? 'record_archived' : 'record_unarchived',
+      resourceId: recordId,
+      metadata: { title: record.title },
+    });
+
+    res.json({
+      message: archived ? 'Record archived.' : 'Record restored.',
+      record: { ...record, ...update },
+    });
+  } catch (err) {
+    next(err);
   }
 };
@@ -0,0 +1,288 @@
+import { db, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import { logActivity } from '../services/activity.service.js';
+import {
+  issueShareLink,
+  resolveShareLink,
+  resolveShareDownload,
+  loadSharedVersion,
+  consumeShareLinkView,
+  issueDownloadGrant,
+  presentShareLink,
+  presentSharedRecord,
+  shareLinkStatus,
+  shareLinkUrl,
+} from '../services/share-links.service.js';
+import { openStoredFile, versionFiles } from '../services/storage.service.js';
+import { parseRange } from '../utils/http-range.js';
+
+const VIEW_ACTIONS = ['share_link_opened', 'share_link_downloaded'];
+
+// Recipients have no account — log who they were as far as we can tell
+const recipientMetadata = (req, link) => ({
+  patientId: link.patientId,
+  ip: req.ip || null,
+  userAgent: req.get('user-agent')?.slice(0, 300) || null,
+});
+
+/**
+ * POST /api/share-links
+ * Share some records with someone who has no account (an insurer, an
+ * out-of-network specialist). The link's URL carries the token and is
+ * returned only here.
+ */
+export const createShareLink = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const { link, token } = await issueShareLink({ patientId, ...req.body });
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: 'share_link_created',
+      resourceId: link.id,
+      metadata: {
+        recordIds: link.recordIds,
+        label: link.label,
+        expiresAt: link.expiresAt.toDate().toISOString(),
+        maxViews: link.maxViews,
+        hasPasscode: Boolean(link.passcodeHash),
+      },
+    });
+
+    res.status(201).json({
+      message: 'Share link created. Copy it now — it cannot be shown again.',
+      url: shareLinkUrl(token),
+      link: presentShareLink(link),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/share-links?status=active
+ * The caller's share links, newest first.
+ */
+export const getShareLinks = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const snap = await db
+      .collection(COLLECTIONS.SHARE_LINKS)
+      .where('patientId', '==', req.user.uid)
+      .orderBy('createdAt', 'desc')
+      .limit(100)
+      .get();
+
+    const links = snap.docs
+      .map((d) => presentShareLink(d.data()))
+      .filter((l) => !status || l.status === status);
+
+    res.json({ links, total: links.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/share-links/:linkId
+ * One share link with every time it was opened or a file was downloaded.
+ */
+export const getShareLink = async (req, res, next) => {
+  try {
+    const { linkId } = req.params;
+
+    const linkDoc = await db.collection(COLLECTIONS.SHARE_LINKS).doc(linkId).get();
+    if (!linkDoc.exists || linkDoc.get('patientId') !== req.user.uid) {
+      return res.status(404).json({ error: 'Share link not found.' });
+    }
+
+    const viewsSnap = await db
+      .collection(COLLECTIONS.ACTIVITY_LOG)
+      .where('resourceId', '==', linkId)
+      .where('action', 'in', VIEW_ACTIONS)
+      .orderBy('createdAt', 'desc')
+      .limit(200)
+      .get();
+
+    const views = viewsSnap.docs.map((d) => {
+      const { action, metadata, createdAt } = d.data();
+      return {
+        event: action === 'share_link_opened' ? 'opened' : 'downloaded',
+        recordId: metadata.recordId || null,
+        fileIndex: metadata.fileIndex ?? null,
+        ip: metadata.ip,
+        userAgent: metadata.userAgent,
+        at: createdAt,
+      };
+    });
+
+    res.json({ link: presentShareLink(linkDoc.data()), views });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/share-links/:linkId
+ * Revoke a share link; it stops working straight away.
+ */
+export const revokeShareLink = async (req, res, next) => {
+  try {
+    const patientId = req.user.uid;
+    const { linkId } = req.params;
+
+    const linkRef = db.collection(COLLECTIONS.SHARE_LINKS).doc(linkId);
+    const linkDoc = await linkRef.get();
+    if (!linkDoc.exists || linkDoc.get('patientId') !== patientId) {
+      return res.status(404).json({ error: 'Share link not found.' });
+    }
+    if (linkDoc.get('status') === 'revoked') {
+      return res.status(409).json({ error: 'Share link already revoked.' });
+    }
+
+    const now = Timestamp.now();
+    await linkRef.update({ status: 'revoked', revokedAt: now });
+
+    await logActivity({
+      actorId: patientId,
+      actorRole: 'patient',
+      action: 'share_link_revoked',
+      resourceId: linkId,
+      metadata: { previousStatus: shareLinkStatus(linkDoc.data()) },
+    });
+
+    res.json({
+      message: 'Share link revoked.',
+      link: presentShareLink({ ...linkDoc.data(), status: 'revoked', revokedAt: now }),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/public/share/:token
+ * Unauthenticated: what a share link holds — record titles and file lists.
+ * A passcode, if set, goes in the `X-Share-Passcode` header (never the URL).
+ * Opening the link is logged but doesn't count as a view.
+ */
+export const openShareLink = async (req, res, next) => {
+  try {
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex, nofollow' });
+
+    const link = await resolveShareLink(req.params.token, req.get('x-share-passcode'));
+
+    const patientDoc = await db.collection(COLLECTIONS.PATIENTS).doc(link.patientId).get();
+    const records = await Promise.all(link.records.map(async ({ recordId }) => {
+      try {
+        const { record, version } = await loadSharedVersion(link, recordId);
+        return presentSharedRecord(record, version);
+      } catch (err) {
+        if (err.status !== 404) throw err;
+        return { recordId, unavailable: true };
+      }
+    }));
+
+    await logActivity({
+      actorId: null,
+      actorRole: 'share_recipient',
+      action: 'share_link_opened',
+      resourceId: link.id,
+      metadata: recipientMetadata(req, link),
+    });
+
+    res.json({
+      sharedBy: patientDoc.exists ? patientDoc.get('displayName') : null,
+      label: link.label,
+      expiresAt: link.expiresAt.toDate().toISOString(),
+      viewsRemaining: link.maxViews ? link.maxViews - link.viewCount : null,
+      records,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/public/share/:token/records/:recordId/content?file=N
+ * Unauthenticated: stream one file of a shared record (the pinned version,
+ * or the current one). Each download counts as one view against `maxViews`,
+ * whatever its Range. The response carries an `X-Share-Download` grant;
+ * Range requests that send it back continue that download without counting
+ * again, even once the link has reached its view limit.
+ */
+export const streamSharedContent = async (req, res, next) => {
+  try {
+    const fileIndex = req.query.file === undefined ? 0 : Number(req.query.file);
+    const target = { recordId: req.params.recordId, fileIndex };
+    const { link, resumed } = await resolveShareDownload(
+      req.params.token,
+      req.get('x-share-passcode'),
+      { ...target, grant: req.get('x-share-download') }
+    );
+    const { record, version } = await loadSharedVersion(link, req.params.recordId);
+
+    const entry = versionFiles(version)[fileIndex];
+    if (!Number.isInteger(fileIndex) || !entry) {
+      return res.status(404).json({ error: `File ${req.query.file} not found in this record.` });
+    }
+
+    const file = await openStoredFile(entry);
+    const range = parseRange(req.headers.range, file.size);
+
+    if (range?.unsatisfiable) {
+      res.set('Content-Range', `bytes */${file.size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable.' });
+    }
+
+    if (!resumed) {
+      await consumeShareLinkView(link.id);
+      res.set('X-Share-Download', await issueDownloadGrant(link.id, target));
+    }
+
+    const disposition = req.query.disposition === 'inline' ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': entry.mimeType,
+      'Content-Disposition': `${disposition}; filename="${entry.fileName}"`,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'no-store',
+      'X-Robots-Tag': 'noindex, nofollow',
+    });
+
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${file.size}`,
+        'Content-Length': String(range.end - range.start + 1),
+      });
+    } else {
+      res.set('Content-Length', String(file.size));
+    }
+
+    await logActivity({
+      actorId: null,
+      actorRole: 'share_recipient',
+      action: 'share_link_downloaded',
+      resourceId: link.id,
+      metadata: {
+        ...recipientMetadata(req, link),
+        recordId: record.id,
+        versionId: version.id,
+        versionNumber: version.versionNumber,
+        fileIndex,
+        range: range ? `${range.start}-${range.end}` : null,
+        resumed,
+      },
+    });
+
+    const stream = file.createReadStream(range || undefined);
+    stream.on('error', (err) => {
+      // Headers are already sent — all we can do is abort the response
+      console.error('Shared content stream failed:', err.message);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,98 @@
+import {
+  createUploadSession,
+  loadUploadSession,
+  saveChunk,
+  describeUploadSession,
+  finalizeUploadSession,
+  abortUploadSession,
+} from '../services/upload-sessions.service.js';
+import { getDownloadUrl } from '../services/storage.service.js';
+
+/**
+ * POST /api/uploads
+ * Open a resumable upload session for one large file — either a new record
+ * (patients) or a new version of an existing record (patient or doctor with
+ * write access). Returns the session with its chunk size and chunk count.
+ */
+export const createSession = async (req, res, next) => {
+  try {
+    const session = await createUploadSession(req.user, req.body);
+
+    res.status(201).json({
+      message: 'Upload session created.',
+      session: describeUploadSession(session),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/uploads/:sessionId
+ * Session status: received chunks, missing chunks with their byte offsets,
+ * and whether the upload is ready to finalize.
+ */
+export const getSession = async (req, res, next) => {
+  try {
+    const session = await loadUploadSession(req.params.sessionId, req.user.uid);
+    res.json({ session: describeUploadSession(session) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/uploads/:sessionId/chunks/:index
+ * Upload one chunk as the raw request body (application/octet-stream).
+ * An optional `X-Chunk-SHA256` header is verified before the chunk is kept.
+ */
+export const uploadChunk = async (req, res, next) => {
+  try {
+    const session = await loadUploadSession(req.params.sessionId, req.user.uid);
+    const index = Number(req.params.index);
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    await saveChunk(session, index, body, req.get('X-Chunk-SHA256'));
+
+    res.json({ message: `Chunk ${index} received.`, index, size: body.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/uploads/:sessionId/finalize
+ * Assemble the chunks, verify the checksum and file type, and commit the file
+ * as a new record or version. Responds like the multipart upload endpoints.
+ */
+export const finalizeSession = async (req, res, next) => {
+  try {
+    const session = await loadUploadSession(req.params.sessionId, req.user.uid);
+    const { record, version, warnings } = await finalizeUploadSession(session, req.user);
+
+    res.status(201).json({
+      message: session.target === 'record'
+        ? 'Record uploaded successfully.'
+        : `Version ${version.versionNumber} committed.`,
+      ...(session.target === 'record' && { record }),
+      version: { ...version, downloadUrl: await getDownloadUrl(version, 24 * 60 * 60 * 1000) },
+      warnings,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/uploads/:sessionId
+ * Abandon an upload and delete the chunks received so far.
+ */
+export const abortSession = async (req, res, next) => {
+  try {
+    const session = await loadUploadSession(req.params.sessionId, req.user.uid);
+    await abortUploadSession(session);
+    res.json({ message: 'Upload session aborted.' });
+  } catch (err) {
+    next(err);
+  }
+};
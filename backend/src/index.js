@@ -4,13 +4,7 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import path from 'path';
-
-// Load all app config from config.json — no dotenv
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const config = JSON.parse(readFileSync(path.join(__dirname, '../config.json'), 'utf8'));
+import config from './config/config.js';
 
 // Import routes
 import authRoutes from './routes/auth.routes.js';
@@ -18,10 +12,22 @@ import recordsRoutes from './routes/records.routes.js';
 import accessRequestsRoutes from './routes/access-requests.routes.js';
 import doctorsRoutes from './routes/doctors.routes.js';
 import notificationsRoutes from './routes/notifications.routes.js';
+import proposalsRoutes from './routes/proposals.routes.js';
+import uploadsRoutes from './routes/uploads.routes.js';
+import fhirRoutes from './routes/fhir.routes.js';
+import exportsRoutes from './routes/exports.routes.js';
+import emergencyCardRoutes from './routes/emergency-card.routes.js';
+import shareLinksRoutes from './routes/share-links.routes.js';
+import publicRoutes from './routes/public.routes.js';
+import internalRoutes from './routes/internal.routes.js';
 
 // Import middleware
 import { errorHandler, notFound } from './middleware/error.middleware.js';
 
+import { startUploadCleanup } from './services/upload-sessions.service.js';
+import { startExportCleanup } from './services/repository-export.service.js';
+import { startAccessLifecycleJobs } from './services/access-lifecycle.service.js';
+
 const app = express();
 
 // ─── Security & Performance Middleware ───────────────────────────────────────
@@ -34,7 +40,8 @@ app.use(
     origin: config.allowedOrigins,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Chunk-SHA256', 'X-Share-Passcode', 'X-Share-Download'],
+    exposedHeaders: ['X-Share-Download'],
   })
 );
 
@@ -45,6 +52,8 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   message: { error: 'Too many requests. Please try again later.' },
+  // Chunks are exempt: one resumable upload of a large file is many chunk requests
+  skip: (req) => req.method === 'PUT' && /^\/uploads\/[^/]+\/chunks\//.test(req.path),
 });
 app.use('/api', limiter);
 
@@ -56,15 +65,38 @@ const authLimiter = rateLimit({
 });
 app.use('/api/auth', authLimiter);
 
-// Body parsing
-app.use(express.json({ limit: '1mb' }));
-app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+// Emergency cards are public — limit scans per IP far more tightly
+const emergencyCardLimiter = rateLimit({
+  windowMs: config.emergencyCard.scanRateLimit.windowMs,
+  max: config.emergencyCard.scanRateLimit.maxRequests,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many requests. Please try again later.' },
+});
+app.use('/api/public/emergency-card', emergencyCardLimiter);
+
+// Share links are public too — this also slows passcode guessing
+const shareLinkLimiter = rateLimit({
+  windowMs: config.shareLinks.rateLimit.windowMs,
+  max: config.shareLinks.rateLimit.maxRequests,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many requests. Please try again later.' },
+});
+app.use('/api/public/share', shareLinkLimiter);
 
 // Logging
 if (config.nodeEnv !== 'test') {
   app.use(morgan(config.nodeEnv === 'production' ? 'combined' : 'dev'));
 }
 
+// FHIR imports parse their own (much larger) JSON bodies, so mount before the 1mb parser
+app.use('/api/fhir', fhirRoutes);
+
+// Body parsing
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
 // ─── Health Check ─────────────────────────────────────────────────────────────
 
 app.get('/health', (req, res) => {
@@ -84,6 +116,13 @@ app.use('/api/records', recordsRoutes);
 app.use('/api/access-requests', accessRequestsRoutes);
 app.use('/api/doctors', doctorsRoutes);
 app.use('/api/notifications', notificationsRoutes);
+app.use('/api/proposals', proposalsRoutes);
+app.use('/api/uploads', uploadsRoutes);
+app.use('/api/exports', exportsRoutes);
+app.use('/api/emergency-card', emergencyCardRoutes);
+app.use('/api/share-links', shareLinksRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/internal', internalRoutes);
 
 // Expose patient-scoped record routes via /api/patients prefix too
 app.use('/api/patients', recordsRoutes);
@@ -105,4 +144,12 @@ app.listen(PORT, () => {
   console.log(`📚 API base:     http://localhost:${PORT}/api\n`);
 });
 
+// Expire abandoned resumable uploads and delete their chunks
+startUploadCleanup();
+// Delete repository exports once their download window has passed
+startExportCleanup();
+// Expire access grants past their expiry and remind patients and doctors beforehand.
+// Deployments that scale to zero turn this off and rely on the runAccessLifecycle function.
+if (config.accessLifecycle.runInProcess) startAccessLifecycleJobs();
+
 export default app;
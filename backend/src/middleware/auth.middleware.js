@@ -1,4 +1,6 @@
+import { createHash, timingSafeEqual } from 'crypto';
 import { auth, db, COLLECTIONS } from '../config/firebase.js';
+import config from '../config/config.js';
 
 /**
  * Verifies Firebase ID token from Authorization header.
@@ -65,3 +67,19 @@ export const requireVerifiedDoctor = (req, res, next) => {
   }
   next();
 };
+
+/**
+ * Middleware for internal job endpoints called by scheduled Cloud Functions:
+ * the `X-Job-Secret` header must match `accessLifecycle.jobSecret`. With no
+ * secret configured the endpoints don't exist (404).
+ */
+export const requireJobSecret = (req, res, next) => {
+  const secret = config.accessLifecycle.jobSecret;
+  if (!secret) return res.status(404).json({ error: `Route ${req.method} ${req.path} not found` });
+
+  const digest = (value) => createHash('sha256').update(String(value)).digest();
+  if (!timingSafeEqual(digest(req.get('x-job-secret') || ''), digest(secret))) {
+    return res.status(401).json({ error: 'Invalid job secret.' });
+  }
+  next();
+};
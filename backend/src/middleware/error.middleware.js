@@ -1,3 +1,5 @@
+import config from '../config/config.js';
+
 /**
  * Global error handler — must be registered last in Express middleware chain
  */
@@ -6,12 +8,32 @@ export const errorHandler = (err, req, res, next) => {
 
   // Multer errors
   if (err.code === 'LIMIT_FILE_SIZE') {
-    return res.status(413).json({ error: 'File too large. Maximum size is 20MB.' });
+    return res.status(413).json({
+      error: `File too large. Maximum size is ${config.uploads.maxFileSizeMb}MB per file.`,
+    });
+  }
+  if (err.code === 'BUNDLE_TOO_LARGE') {
+    return res.status(413).json({
+      error: `Upload too large. Maximum total size per version is ${config.uploads.maxBundleSizeMb}MB.`,
+    });
+  }
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    return res.status(413).json({
+      error: `Too many files. A version can hold at most ${config.uploads.maxBundleFiles} files.`,
+    });
   }
   if (err.code === 'LIMIT_UNEXPECTED_FILE') {
     return res.status(400).json({ error: 'Unexpected file field.' });
   }
 
+  // Declared type not allowed, or file content doesn't match it (utils/multer.js)
+  if (err.code === 'UNSUPPORTED_FILE_TYPE') {
+    return res.status(415).json({
+      error: err.message,
+      allowedTypes: ['PDF', 'JPEG', 'PNG', 'WEBP', 'GIF', 'DICOM'],
+    });
+  }
+
   // Firebase errors
   if (err.code?.startsWith('auth/')) {
     return res.status(400).json({ error: err.message });
@@ -19,8 +41,9 @@ export const errorHandler = (err, req, res, next) => {
 
   // Generic
   const status = err.status || err.statusCode || 500;
-  const message = status < 500 ? err.message : 'Internal server error';
-  return res.status(status).json({ error: message });
+  if (status >= 500) return res.status(status).json({ error: 'Internal server error' });
+  // Machine-readable codes set with httpError() (e.g. PROPOSAL_STALE)
+  return res.status(status).json({ error: err.message, ...(typeof err.code === 'string' && { code: err.code }) });
 };
 
 /**
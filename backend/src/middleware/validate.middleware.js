@@ -1,4 +1,6 @@
 import Joi from 'joi';
+import config from '../config/config.js';
+import { EMERGENCY_CARD_FIELDS, DEFAULT_CARD_FIELDS } from '../services/emergency-card.service.js';
 
 /**
  * Validates req.body against a Joi schema.
@@ -24,6 +26,30 @@ export const validate = (schema) => (req, res, next) => {
 
 // ─── Schemas ────────────────────────────────────────────────────────────────
 
+// Fields of a new record, shared by multipart and resumable uploads
+const newRecordFields = {
+  title: Joi.string().min(2).max(200).required(),
+  recordType: Joi.string()
+    .valid('prescription', 'lab_report', 'xray', 'discharge_summary', 'vaccination', 'imaging', 'other')
+    .required(),
+  description: Joi.string().max(1000).optional(),
+  tags: Joi.array().items(Joi.string().max(50)).max(10).optional(),
+  issuedBy: Joi.string().max(100).optional(),
+  issuedDate: Joi.string().isoDate().optional(),
+};
+
+// Health details shown on the emergency card
+const healthInfoFields = {
+  allergies: Joi.array().items(Joi.string().trim().min(2).max(100)).max(30).unique(),
+  criticalConditions: Joi.array().items(Joi.string().trim().min(2).max(100)).max(30).unique(),
+};
+
+// Fields a patient can put on the emergency card
+const emergencyCardFields = Joi.array()
+  .items(Joi.string().valid(...EMERGENCY_CARD_FIELDS))
+  .min(1)
+  .unique();
+
 export const schemas = {
   registerPatient: Joi.object({
     displayName: Joi.string().min(2).max(80).required(),
@@ -38,6 +64,8 @@ export const schemas = {
       phone: Joi.string().required(),
       relation: Joi.string().required(),
     }).optional(),
+    allergies: healthInfoFields.allergies.optional(),
+    criticalConditions: healthInfoFields.criticalConditions.optional(),
   }),
 
   registerDoctor: Joi.object({
@@ -51,17 +79,75 @@ export const schemas = {
   }),
 
   uploadRecord: Joi.object({
-    title: Joi.string().min(2).max(200).required(),
-    recordType: Joi.string()
-      .valid('prescription', 'lab_report', 'xray', 'discharge_summary', 'vaccination', 'imaging', 'other')
-      .required(),
-    description: Joi.string().max(1000).optional(),
-    tags: Joi.array().items(Joi.string().max(50)).max(10).optional(),
-    issuedBy: Joi.string().max(100).optional(),
-    issuedDate: Joi.string().isoDate().optional(),
+    ...newRecordFields,
     commitMessage: Joi.string().min(5).max(300).required(),
   }),
 
+  createUploadSession: Joi.object({
+    target: Joi.string().valid('record', 'version').required(),
+    recordId: Joi.string().when('target', { is: 'version', then: Joi.required(), otherwise: Joi.forbidden() }),
+    record: Joi.object(newRecordFields)
+      .when('target', { is: 'record', then: Joi.required(), otherwise: Joi.forbidden() }),
+    commitMessage: Joi.string().min(5).max(300).required(),
+    fileName: Joi.string().max(255).required(),
+    mimeType: Joi.string().required(),
+    totalSize: Joi.number().integer().min(1).required(),
+    checksum: Joi.string().hex().length(64).lowercase().required(), // SHA-256 of the whole file
+  }),
+
+  updateRecordMetadata: Joi.object({
+    title: Joi.string().min(2).max(200).optional(),
+    description: Joi.string().max(1000).allow(null, '').optional(),
+    tags: Joi.array().items(Joi.string().max(50)).max(10).optional(),
+    issuedBy: Joi.string().max(100).allow(null).optional(),
+    issuedDate: Joi.string().isoDate().allow(null).optional(),
+    commitMessage: Joi.string().min(5).max(300).optional(),
+  }).or('title', 'description', 'tags', 'issuedBy', 'issuedDate'),
+
+  revertRecord: Joi.object({
+    commitMessage: Joi.string().min(5).max(300).optional(),
+  }),
+
+  // Only the envelope is checked here — entries are validated one by one during import
+  fhirBundle: Joi.object({
+    resourceType: Joi.string().valid('Bundle').required(),
+    entry: Joi.array()
+      .items(Joi.object({
+        fullUrl: Joi.string().optional(),
+        resource: Joi.object({ resourceType: Joi.string().required() }).unknown(true).required(),
+      }).unknown(true))
+      .required(),
+  }).unknown(true),
+
+  addObservations: Joi.object({
+    observations: Joi.array()
+      .items(Joi.object({
+        code: Joi.string().trim().max(50).required(), // LOINC code preferred, e.g. 4548-4 (HbA1c)
+        display: Joi.string().max(200).optional(),
+        value: Joi.number().required(),
+        unit: Joi.string().max(30).required(),
+        referenceRange: Joi.object({
+          low: Joi.number().optional(),
+          high: Joi.number().when('low', { is: Joi.exist(), then: Joi.number().min(Joi.ref('low')) }).optional(),
+          text: Joi.string().max(100).optional(),
+        }).or('low', 'high', 'text').optional(),
+        collectedAt: Joi.string().isoDate().required(),
+        note: Joi.string().max(300).optional(),
+      }))
+      .min(1)
+      .max(200)
+      .required(),
+    commitMessage: Joi.string().min(5).max(300).optional(),
+  }),
+
+  proposalMerge: Joi.object({
+    comment: Joi.string().max(300).optional(),
+  }),
+
+  proposalReject: Joi.object({
+    comment: Joi.string().min(5).max(300).required(),
+  }),
+
   accessRequest: Joi.object({
     patientId: Joi.string().required(),
     reason: Joi.string().min(10).max(500).required(),
@@ -69,15 +155,100 @@ export const schemas = {
     requestedRecordTypes: Joi.array()
       .items(Joi.string().valid('prescription', 'lab_report', 'xray', 'discharge_summary', 'vaccination', 'imaging', 'other', 'all'))
       .min(1)
-      .required(),
+      .optional(),
+    // Specific records, for when a whole record type is more than needed. At most 20
+    // keeps grant-scoped commit queries within Firestore's 30 `in`/`or` terms.
+    requestedRecordIds: Joi.array().items(Joi.string()).min(1).max(20).unique().optional(),
     expiryDays: Joi.number().integer().min(1).max(365).default(30),
-  }),
+  }).or('requestedRecordTypes', 'requestedRecordIds'),
 
+  // Approvals may narrow any of the terms (never widen them); all default to the request's
   accessRequestResponse: Joi.object({
     approved: Joi.boolean().required(),
+    recordTypes: Joi.array()
+      .items(Joi.string().valid('prescription', 'lab_report', 'xray', 'discharge_summary', 'vaccination', 'imaging', 'other', 'all'))
+      .min(1)
+      .unique()
+      .when('approved', { is: true, otherwise: Joi.forbidden() }),
+    recordIds: Joi.array().items(Joi.string()).min(1).max(20).unique()
+      .when('approved', { is: true, otherwise: Joi.forbidden() }),
+    accessLevel: Joi.string().valid('read', 'read_write')
+      .when('approved', { is: true, otherwise: Joi.forbidden() }),
+    expiryDays: Joi.number().integer().min(1).max(365)
+      .when('approved', { is: true, otherwise: Joi.forbidden() }),
+    note: Joi.string().max(300).optional(),
+  }),
+
+  accessRenewalRequest: Joi.object({
+    expiryDays: Joi.number().integer().min(1).max(365).required(),
+    reason: Joi.string().min(10).max(500).optional(),
+  }),
+
+  accessRenewalResponse: Joi.object({
+    approved: Joi.boolean().required(),
+    // Extend by fewer days than asked
+    expiryDays: Joi.number().integer().min(1).max(365)
+      .when('approved', { is: true, otherwise: Joi.forbidden() }),
     note: Joi.string().max(300).optional(),
   }),
 
+  breakGlassAccess: Joi.object({
+    patientId: Joi.string().required(),
+    justification: Joi.string().trim().min(20).max(1000).required(),
+    // Defaults to every type break-glass may cover
+    recordTypes: Joi.array()
+      .items(Joi.string().valid(...config.breakGlass.recordTypes))
+      .min(1)
+      .unique()
+      .optional(),
+  }),
+
+  emergencyAccessReview: Joi.object({
+    decision: Joi.string().valid('acknowledge', 'dispute').required(),
+    comment: Joi.string().max(1000).when('decision', {
+      is: 'dispute',
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    }),
+  }),
+
+  createEmergencyCard: Joi.object({
+    fields: emergencyCardFields.default(DEFAULT_CARD_FIELDS),
+  }),
+
+  updateEmergencyCard: Joi.object({
+    fields: emergencyCardFields.required(),
+  }),
+
+  emergencyHealthInfo: Joi.object({
+    bloodGroup: Joi.string()
+      .valid('A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-')
+      .allow(null)
+      .optional(),
+    ...healthInfoFields,
+    emergencyContact: Joi.object({
+      name: Joi.string().required(),
+      phone: Joi.string().required(),
+      relation: Joi.string().required(),
+    }).allow(null).optional(),
+  }).min(1),
+
+  shareLink: Joi.object({
+    records: Joi.array()
+      .items(Joi.object({
+        recordId: Joi.string().required(),
+        versionId: Joi.string().optional(), // pin a version; default follows the current one
+      }))
+      .min(1)
+      .max(20)
+      .unique('recordId')
+      .required(),
+    label: Joi.string().trim().max(100).optional(), // who it's for, e.g. the insurer
+    expiresInHours: Joi.number().integer().min(1).max(config.shareLinks.maxExpiryDays * 24).default(72),
+    maxViews: Joi.number().integer().min(1).max(100).optional(),
+    passcode: Joi.string().min(6).max(64).optional(),
+  }),
+
   endorsement: Joi.object({
     targetDoctorId: Joi.string().required(),
     skill: Joi.string().min(2).max(100).required(),
@@ -2,11 +2,19 @@ import { Router } from 'express';
 import {
   createAccessRequest,
   respondToAccessRequest,
+  requestAccessRenewal,
+  respondToAccessRenewal,
   revokeAccess,
+  withdrawAccessRequest,
   getIncomingRequests,
   getOutgoingRequests,
   getPatientCollaborators,
 } from '../controllers/access-requests.controller.js';
+import {
+  breakGlassAccess,
+  getEmergencyAccesses,
+  reviewEmergencyAccess,
+} from '../controllers/emergency-access.controller.js';
 import { authenticate, requireRole, requireVerifiedDoctor } from '../middleware/auth.middleware.js';
 import { validate, schemas } from '../middleware/validate.middleware.js';
 
@@ -25,6 +33,36 @@ router.post(
   createAccessRequest
 );
 
+/**
+ * POST /api/access-requests/emergency
+ * Doctor takes break-glass emergency access — granted at once, time-limited,
+ * reviewed by the patient afterwards
+ */
+router.post(
+  '/emergency',
+  requireRole('doctor'),
+  requireVerifiedDoctor,
+  validate(schemas.breakGlassAccess),
+  breakGlassAccess
+);
+
+/**
+ * GET /api/access-requests/emergency?reviewStatus=pending
+ * Patient lists emergency accesses to their records
+ */
+router.get('/emergency', requireRole('patient'), getEmergencyAccesses);
+
+/**
+ * PATCH /api/access-requests/:requestId/emergency-review
+ * Patient acknowledges or disputes an emergency access
+ */
+router.patch(
+  '/:requestId/emergency-review',
+  requireRole('patient'),
+  validate(schemas.emergencyAccessReview),
+  reviewEmergencyAccess
+);
+
 /**
  * GET /api/access-requests/incoming
  * Patient sees all access requests addressed to them
@@ -39,7 +77,7 @@ router.get('/outgoing', requireRole('doctor'), getOutgoingRequests);
 
 /**
  * PATCH /api/access-requests/:requestId/respond
- * Patient approves or denies an access request
+ * Patient approves (possibly on narrower terms) or denies an access request
  */
 router.patch(
   '/:requestId/respond',
@@ -48,12 +86,41 @@ router.patch(
   respondToAccessRequest
 );
 
+/**
+ * POST /api/access-requests/:requestId/renewal
+ * Doctor asks to extend an approved grant before it expires
+ */
+router.post(
+  '/:requestId/renewal',
+  requireRole('doctor'),
+  requireVerifiedDoctor,
+  validate(schemas.accessRenewalRequest),
+  requestAccessRenewal
+);
+
+/**
+ * PATCH /api/access-requests/:requestId/renewal
+ * Patient accepts or declines a renewal
+ */
+router.patch(
+  '/:requestId/renewal',
+  requireRole('patient'),
+  validate(schemas.accessRenewalResponse),
+  respondToAccessRenewal
+);
+
 /**
  * DELETE /api/access-requests/:requestId/revoke
  * Patient revokes an approved access grant
  */
 router.delete('/:requestId/revoke', requireRole('patient'), revokeAccess);
 
+/**
+ * POST /api/access-requests/:requestId/withdraw
+ * Doctor withdraws a pending request or ends their own approved access
+ */
+router.post('/:requestId/withdraw', requireRole('doctor'), withdrawAccessRequest);
+
 /**
  * GET /api/patients/:patientId/collaborators
  * Get all doctors currently with access to a patient's records
@@ -0,0 +1,52 @@
+import { Router } from 'express';
+import {
+  createEmergencyCard,
+  getEmergencyCard,
+  updateEmergencyCard,
+  revokeEmergencyCard,
+  updateEmergencyHealthInfo,
+  getEmergencyCardScans,
+} from '../controllers/emergency-card.controller.js';
+import { authenticate, requireRole } from '../middleware/auth.middleware.js';
+import { validate, schemas } from '../middleware/validate.middleware.js';
+
+const router = Router();
+router.use(authenticate, requireRole('patient'));
+
+/**
+ * POST /api/emergency-card
+ * Create the emergency card (or reissue its QR token)
+ */
+router.post('/', validate(schemas.createEmergencyCard), createEmergencyCard);
+
+/**
+ * GET /api/emergency-card
+ * Card settings + preview of what a scan shows
+ */
+router.get('/', getEmergencyCard);
+
+/**
+ * PATCH /api/emergency-card
+ * Choose which fields the card shows
+ */
+router.patch('/', validate(schemas.updateEmergencyCard), updateEmergencyCard);
+
+/**
+ * DELETE /api/emergency-card
+ * Revoke the card's QR token
+ */
+router.delete('/', revokeEmergencyCard);
+
+/**
+ * PATCH /api/emergency-card/health-info
+ * Update blood group, allergies, critical conditions, emergency contact
+ */
+router.patch('/health-info', validate(schemas.emergencyHealthInfo), updateEmergencyHealthInfo);
+
+/**
+ * GET /api/emergency-card/scans
+ * Scan log of the card
+ */
+router.get('/scans', getEmergencyCardScans);
+
+export default router;
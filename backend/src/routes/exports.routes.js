@@ -0,0 +1,44 @@
+import { Router } from 'express';
+import {
+  createExport,
+  getExports,
+  getExport,
+  downloadExport,
+  deleteExport,
+} from '../controllers/exports.controller.js';
+import { authenticate, requireRole } from '../middleware/auth.middleware.js';
+
+const router = Router();
+router.use(authenticate, requireRole('patient'));
+
+/**
+ * POST /api/exports
+ * Request a full repository export (zip, built in the background)
+ */
+router.post('/', createExport);
+
+/**
+ * GET /api/exports
+ * The patient's exports, newest first
+ */
+router.get('/', getExports);
+
+/**
+ * GET /api/exports/:exportId
+ * Export status and progress
+ */
+router.get('/:exportId', getExport);
+
+/**
+ * GET /api/exports/:exportId/download
+ * Download a ready export (until it expires)
+ */
+router.get('/:exportId/download', downloadExport);
+
+/**
+ * DELETE /api/exports/:exportId
+ * Delete an export early
+ */
+router.delete('/:exportId', deleteExport);
+
+export default router;
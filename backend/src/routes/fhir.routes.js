@@ -0,0 +1,32 @@
+import express, { Router } from 'express';
+import { exportPatientBundle, importPatientBundle } from '../controllers/fhir.controller.js';
+import { authenticate, requireRole, requireVerifiedDoctor } from '../middleware/auth.middleware.js';
+import { validate, schemas } from '../middleware/validate.middleware.js';
+import config from '../config/config.js';
+
+const router = Router();
+router.use(authenticate, requireVerifiedDoctor);
+
+/**
+ * GET /api/fhir/patients/:patientId/export
+ * Patient repository as a FHIR R4 Bundle (doctors: scoped to their grant)
+ */
+router.get('/patients/:patientId/export', exportPatientBundle);
+
+/**
+ * POST /api/fhir/patients/:patientId/import
+ * Import a FHIR Bundle's documents as new records (patient only)
+ */
+router.post(
+  '/patients/:patientId/import',
+  requireRole('patient'),
+  // Attachments are inline base64, so bundles get their own body limit
+  express.json({
+    limit: `${config.fhir.maxImportSizeMb}mb`,
+    type: ['application/json', 'application/fhir+json'],
+  }),
+  validate(schemas.fhirBundle),
+  importPatientBundle
+);
+
+export default router;
@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import { runAccessLifecycle } from '../controllers/internal.controller.js';
+import { requireJobSecret } from '../middleware/auth.middleware.js';
+
+// Job endpoints for scheduled Cloud Functions — no user auth, a shared secret instead
+const router = Router();
+router.use(requireJobSecret);
+
+/**
+ * POST /api/internal/access-lifecycle/run
+ * Expire due access grants and send expiry reminders
+ */
+router.post('/access-lifecycle/run', runAccessLifecycle);
+
+export default router;
@@ -0,0 +1,41 @@
+import { Router } from 'express';
+import {
+  getOutgoingProposals,
+  mergeProposal,
+  rejectProposal,
+} from '../controllers/proposals.controller.js';
+import { authenticate, requireRole, requireVerifiedDoctor } from '../middleware/auth.middleware.js';
+import { validate, schemas } from '../middleware/validate.middleware.js';
+
+const router = Router();
+router.use(authenticate);
+
+/**
+ * GET /api/proposals/outgoing
+ * Doctor sees all the changes they have proposed
+ */
+router.get('/outgoing', requireRole('doctor'), requireVerifiedDoctor, getOutgoingProposals);
+
+/**
+ * PATCH /api/proposals/:proposalId/merge
+ * Patient merges a proposed change into the record as a new version
+ */
+router.patch(
+  '/:proposalId/merge',
+  requireRole('patient'),
+  validate(schemas.proposalMerge),
+  mergeProposal
+);
+
+/**
+ * PATCH /api/proposals/:proposalId/reject
+ * Patient rejects a proposed change with a comment
+ */
+router.patch(
+  '/:proposalId/reject',
+  requireRole('patient'),
+  validate(schemas.proposalReject),
+  rejectProposal
+);
+
+export default router;
@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { viewEmergencyCard } from '../controllers/emergency-card.controller.js';
+import { openShareLink, streamSharedContent } from '../controllers/share-links.controller.js';
+
+// Unauthenticated routes — keep this list short
+const router = Router();
+
+/**
+ * GET /api/public/emergency-card/:token
+ * Emergency card behind a QR code (rate-limited per IP)
+ */
+router.get('/emergency-card/:token', viewEmergencyCard);
+
+/**
+ * GET /api/public/share/:token
+ * Records on a share link (passcode in X-Share-Passcode)
+ */
+router.get('/share/:token', openShareLink);
+
+/**
+ * GET /api/public/share/:token/records/:recordId/content
+ * Download a shared file (counts as a view)
+ */
+router.get('/share/:token/records/:recordId/content', streamSharedContent);
+
+export default router;
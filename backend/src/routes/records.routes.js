@@ -2,18 +2,48 @@ import { Router } from 'express';
 import {
   uploadRecord,
   addRecordVersion,
+  updateRecordMetadata,
+  archiveRecord,
+  unarchiveRecord,
+  deleteRecord,
+  revertRecordVersion,
   getRecordVersions,
   getVersionDownloadUrl,
+  streamVersionContent,
+  downloadVersionArchive,
+  getVersionPreview,
+  getRecordDiff,
   getPatientRecords,
+  getArchivedRecords,
+  searchPatientRecords,
   getPatientCommitLog,
+  verifyPatientRepositoryIntegrity,
 } from '../controllers/records.controller.js';
+import {
+  createProposal,
+  getRecordProposals,
+  getPatientProposals,
+} from '../controllers/proposals.controller.js';
+import {
+  addObservations,
+  getVersionObservations,
+  getPatientObservations,
+} from '../controllers/observations.controller.js';
 import { authenticate, requireRole, requireVerifiedDoctor } from '../middleware/auth.middleware.js';
 import { validate, schemas } from '../middleware/validate.middleware.js';
-import { upload } from '../utils/multer.js';
+import { uploadBundle, verifyUploadedFiles } from '../utils/multer.js';
 
 const router = Router();
 router.use(authenticate);
 
+// Multipart bodies skip Joi validation, so commit messages are checked here
+const requireCommitMessage = (req, res, next) => {
+  if (!req.body.commitMessage || req.body.commitMessage.length < 5) {
+    return res.status(422).json({ error: 'commitMessage must be at least 5 characters.' });
+  }
+  next();
+};
+
 // ─── Patient record upload ────────────────────────────────────────────────────
 
 /**
@@ -23,7 +53,8 @@ router.use(authenticate);
 router.post(
   '/',
   requireRole('patient'),
-  upload.single('file'),
+  uploadBundle,
+  verifyUploadedFiles,
   validate(schemas.uploadRecord),
   uploadRecord
 );
@@ -35,17 +66,52 @@ router.post(
 router.post(
   '/:recordId/versions',
   requireVerifiedDoctor,
-  upload.single('file'),
-  (req, res, next) => {
-    // Inject commitMessage validation
-    if (!req.body.commitMessage || req.body.commitMessage.length < 5) {
-      return res.status(422).json({ error: 'commitMessage must be at least 5 characters.' });
-    }
-    next();
-  },
+  uploadBundle,
+  verifyUploadedFiles,
+  requireCommitMessage,
   addRecordVersion
 );
 
+/**
+ * PATCH /api/records/:recordId
+ * Correct record metadata as a metadata-only commit (patient or authorized doctor)
+ */
+router.patch(
+  '/:recordId',
+  requireVerifiedDoctor,
+  validate(schemas.updateRecordMetadata),
+  updateRecordMetadata
+);
+
+/**
+ * PATCH /api/records/:recordId/archive
+ * Archive a record (hidden from the default listing)
+ */
+router.patch('/:recordId/archive', requireRole('patient'), archiveRecord);
+
+/**
+ * PATCH /api/records/:recordId/unarchive
+ * Restore an archived record
+ */
+router.patch('/:recordId/unarchive', requireRole('patient'), unarchiveRecord);
+
+/**
+ * DELETE /api/records/:recordId
+ * Permanently delete an archived record (leaves a tombstone commit)
+ */
+router.delete('/:recordId', requireRole('patient'), deleteRecord);
+
+/**
+ * POST /api/records/:recordId/versions/:versionId/revert
+ * Revert a record to an earlier version as a new commit (patient or authorized doctor)
+ */
+router.post(
+  '/:recordId/versions/:versionId/revert',
+  requireVerifiedDoctor,
+  validate(schemas.revertRecord),
+  revertRecordVersion
+);
+
 /**
  * GET /api/records/:recordId/versions
  * Get version history (git log) for a record
@@ -54,10 +120,75 @@ router.get('/:recordId/versions', requireVerifiedDoctor, getRecordVersions);
 
 /**
  * GET /api/records/:recordId/versions/:versionId/download
- * Get a signed download URL for a specific version
+ * Get a download URL for a specific version (signed bucket URLs are opt-in)
  */
 router.get('/:recordId/versions/:versionId/download', requireVerifiedDoctor, getVersionDownloadUrl);
 
+/**
+ * GET /api/records/:recordId/versions/:versionId/content
+ * Stream a version's file through the API (supports Range requests)
+ */
+router.get('/:recordId/versions/:versionId/content', requireVerifiedDoctor, streamVersionContent);
+
+/**
+ * GET /api/records/:recordId/versions/:versionId/archive
+ * Download all files of a version as a zip
+ */
+router.get('/:recordId/versions/:versionId/archive', requireVerifiedDoctor, downloadVersionArchive);
+
+/**
+ * GET /api/records/:recordId/versions/:versionId/preview
+ * Thumbnail / first-page preview of a version (202 while generating)
+ */
+router.get('/:recordId/versions/:versionId/preview', requireVerifiedDoctor, getVersionPreview);
+
+/**
+ * GET /api/records/:recordId/diff?from=&to=
+ * Compare two versions of a record (text, metadata, image and bundle changes)
+ */
+router.get('/:recordId/diff', requireVerifiedDoctor, getRecordDiff);
+
+// ─── Lab observations ─────────────────────────────────────────────────────────
+
+/**
+ * POST /api/records/:recordId/versions/:versionId/observations
+ * Attach structured lab results to a lab_report version (patient or authorized doctor)
+ */
+router.post(
+  '/:recordId/versions/:versionId/observations',
+  requireVerifiedDoctor,
+  validate(schemas.addObservations),
+  addObservations
+);
+
+/**
+ * GET /api/records/:recordId/versions/:versionId/observations
+ * Lab results attached to a version
+ */
+router.get('/:recordId/versions/:versionId/observations', requireVerifiedDoctor, getVersionObservations);
+
+// ─── Proposed changes (pull requests) ─────────────────────────────────────────
+
+/**
+ * POST /api/records/:recordId/proposals
+ * Doctor with write access proposes a new version for patient review
+ */
+router.post(
+  '/:recordId/proposals',
+  requireRole('doctor'),
+  requireVerifiedDoctor,
+  uploadBundle,
+  verifyUploadedFiles,
+  requireCommitMessage,
+  createProposal
+);
+
+/**
+ * GET /api/records/:recordId/proposals
+ * Proposals against a record (doctors only see their own)
+ */
+router.get('/:recordId/proposals', requireVerifiedDoctor, getRecordProposals);
+
 // ─── Patient-scoped routes ────────────────────────────────────────────────────
 
 /**
@@ -66,10 +197,40 @@ router.get('/:recordId/versions/:versionId/download', requireVerifiedDoctor, get
  */
 router.get('/patients/:patientId/records', requireVerifiedDoctor, getPatientRecords);
 
+/**
+ * GET /api/patients/:patientId/records/archived
+ * List a patient's archived records
+ */
+router.get('/patients/:patientId/records/archived', requireRole('patient'), getArchivedRecords);
+
+/**
+ * GET /api/patients/:patientId/records/search
+ * Full-text, faceted, cursor-paginated record search
+ */
+router.get('/patients/:patientId/records/search', requireVerifiedDoctor, searchPatientRecords);
+
 /**
  * GET /api/patients/:patientId/commits
  * Full commit log for a patient's medical repository
  */
 router.get('/patients/:patientId/commits', requireVerifiedDoctor, getPatientCommitLog);
 
+/**
+ * GET /api/patients/:patientId/verify
+ * Re-hash stored files and walk the commit hash chain
+ */
+router.get('/patients/:patientId/verify', requireVerifiedDoctor, verifyPatientRepositoryIntegrity);
+
+/**
+ * GET /api/patients/:patientId/observations?code=&from=&to=
+ * Time series of one lab analyte with out-of-range flags (analyte list without `code`)
+ */
+router.get('/patients/:patientId/observations', requireVerifiedDoctor, getPatientObservations);
+
+/**
+ * GET /api/patients/:patientId/proposals
+ * Patient's review queue of proposed changes across all records
+ */
+router.get('/patients/:patientId/proposals', requireRole('patient'), getPatientProposals);
+
 export default router;
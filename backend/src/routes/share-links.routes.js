@@ -0,0 +1,38 @@
+import { Router } from 'express';
+import {
+  createShareLink,
+  getShareLinks,
+  getShareLink,
+  revokeShareLink,
+} from '../controllers/share-links.controller.js';
+import { authenticate, requireRole } from '../middleware/auth.middleware.js';
+import { validate, schemas } from '../middleware/validate.middleware.js';
+
+const router = Router();
+router.use(authenticate, requireRole('patient'));
+
+/**
+ * POST /api/share-links
+ * Share records with someone without an account
+ */
+router.post('/', validate(schemas.shareLink), createShareLink);
+
+/**
+ * GET /api/share-links?status=active
+ * The patient's share links, newest first
+ */
+router.get('/', getShareLinks);
+
+/**
+ * GET /api/share-links/:linkId
+ * One share link with its view log
+ */
+router.get('/:linkId', getShareLink);
+
+/**
+ * DELETE /api/share-links/:linkId
+ * Revoke a share link
+ */
+router.delete('/:linkId', revokeShareLink);
+
+export default router;
@@ -0,0 +1,50 @@
+import express, { Router } from 'express';
+import {
+  createSession,
+  getSession,
+  uploadChunk,
+  finalizeSession,
+  abortSession,
+} from '../controllers/uploads.controller.js';
+import { authenticate, requireVerifiedDoctor } from '../middleware/auth.middleware.js';
+import { validate, schemas } from '../middleware/validate.middleware.js';
+import { CHUNK_SIZE } from '../services/upload-sessions.service.js';
+
+const router = Router();
+router.use(authenticate, requireVerifiedDoctor);
+
+/**
+ * POST /api/uploads
+ * Open a resumable upload session (new record or new version)
+ */
+router.post('/', validate(schemas.createUploadSession), createSession);
+
+/**
+ * GET /api/uploads/:sessionId
+ * Session status and missing chunk offsets
+ */
+router.get('/:sessionId', getSession);
+
+/**
+ * PUT /api/uploads/:sessionId/chunks/:index
+ * Upload one chunk (raw body)
+ */
+router.put(
+  '/:sessionId/chunks/:index',
+  express.raw({ type: () => true, limit: CHUNK_SIZE }),
+  uploadChunk
+);
+
+/**
+ * POST /api/uploads/:sessionId/finalize
+ * Assemble, verify and commit the uploaded file
+ */
+router.post('/:sessionId/finalize', finalizeSession);
+
+/**
+ * DELETE /api/uploads/:sessionId
+ * Abort the session and discard its chunks
+ */
+router.delete('/:sessionId', abortSession);
+
+export default router;
@@ -0,0 +1,365 @@
+import { db, FieldValue, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import config from '../config/config.js';
+import { createNotification } from './notification.service.js';
+import { logActivity } from './activity.service.js';
+import { httpError } from '../utils/http-error.js';
+
+const settings = config.accessLifecycle;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Where an access request can go from each status. Everything else —
+ * denied, withdrawn, revoked, expired — is final.
+ */
+const TRANSITIONS = {
+  pending: ['approved', 'denied', 'withdrawn'],
+  approved: ['revoked', 'expired', 'withdrawn'],
+};
+
+// The timestamp each transition sets
+const TRANSITION_TIMESTAMPS = {
+  approved: 'respondedAt',
+  denied: 'respondedAt',
+  withdrawn: 'withdrawnAt',
+  revoked: 'revokedAt',
+  expired: 'expiredAt',
+};
+
+/**
+ * Whether a grant gives access right now. `expiresAt` is checked here rather
+ * than trusting `isExpired`, which is only set once the expiry job (or a
+ * lazy expiry) has caught up.
+ */
+export const isGrantLive = (grant, now = Date.now()) =>
+  grant.status === 'approved' &&
+  !grant.isExpired &&
+  (!grant.expiresAt || grant.expiresAt.toMillis() > now);
+
+/**
+ * Move an access request to a new status — the only place statuses change.
+ * Runs in a transaction that also keeps the counters in step: entering
+ * `approved` adds one to the patient's `activeCollaborators` and the
+ * doctor's `stats.activeCases`, leaving it takes one off. Emergency
+ * (break-glass) grants are never counted.
+ *
+ * Throws 404 for an unknown request and 409 when the transition isn't
+ * allowed from the current status; an approved grant past its `expiresAt`
+ * can only expire.
+ *
+ * @param {string} requestId
+ * @param {'approved'|'denied'|'withdrawn'|'revoked'|'expired'} to
+ * @param {Object} [updates] - Other fields to set in the same write (terms, notes…)
+ * @returns {Promise<Object>} The request as updated
+ */
+export const transitionAccessRequest = async (requestId, to, updates = {}) => {
+  const requestRef = db.collection(COLLECTIONS.ACCESS_REQUESTS).doc(requestId);
+
+  return db.runTransaction(async (tx) => {
+    const requestDoc = await tx.get(requestRef);
+    if (!requestDoc.exists) throw httpError(404, 'Request not found.');
+
+    const request = requestDoc.data();
+    const from = request.status;
+    if (!TRANSITIONS[from]?.includes(to)) {
+      throw httpError(409, `Request is already ${from}.`);
+    }
+    if (from === 'approved' && to !== 'expired' && !isGrantLive(request)) {
+      throw httpError(409, 'This access has already expired.');
+    }
+
+    const counted = !request.isEmergency;
+    const delta = to === 'approved' ? 1 : from === 'approved' ? -1 : 0;
+    // Transactions read before they write
+    const counterRefs = counted && delta
+      ? [
+          db.collection(COLLECTIONS.PATIENTS).doc(request.patientId),
+          db.collection(COLLECTIONS.DOCTORS).doc(request.doctorId),
+        ]
+      : [];
+    const [patientDoc, doctorDoc] = await Promise.all(counterRefs.map((ref) => tx.get(ref)));
+
+    const now = Timestamp.now();
+    const update = {
+      ...updates,
+      status: to,
+      [TRANSITION_TIMESTAMPS[to]]: now,
+      ...(from === 'approved' && { isExpired: true }),
+    };
+    tx.update(requestRef, update);
+
+    if (patientDoc?.exists) {
+      tx.update(patientDoc.ref, { activeCollaborators: FieldValue.increment(delta), updatedAt: now });
+    }
+    if (doctorDoc?.exists) {
+      tx.update(doctorDoc.ref, { 'stats.activeCases': FieldValue.increment(delta), updatedAt: now });
+    }
+
+    return { ...request, ...update };
+  });
+};
+
+/**
+ * Doctor asks to extend a live, non-emergency grant. The grant itself stays
+ * as it is until the patient responds (respondToRenewal). Runs in a
+ * transaction, so a grant revoked or expired meanwhile can't take a renewal.
+ *
+ * @param {string} requestId
+ * @param {{ doctorId: string, expiryDays: number, reason?: string }} params
+ * @returns {Promise<{ request: Object, renewal: Object }>} The grant as read, and its new renewal
+ */
+export const requestRenewal = async (requestId, { doctorId, expiryDays, reason }) => {
+  const requestRef = db.collection(COLLECTIONS.ACCESS_REQUESTS).doc(requestId);
+
+  return db.runTransaction(async (tx) => {
+    const requestDoc = await tx.get(requestRef);
+    if (!requestDoc.exists) throw httpError(404, 'Request not found.');
+
+    const request = requestDoc.data();
+    if (request.doctorId !== doctorId) throw httpError(403, 'Access denied.');
+    if (request.isEmergency) throw httpError(409, 'Emergency access cannot be renewed.');
+    if (!isGrantLive(request)) {
+      throw httpError(409, 'Only active access can be renewed. Send a new access request instead.');
+    }
+    if (request.renewal?.status === 'pending') {
+      throw httpError(409, 'A renewal is already waiting for the patient.');
+    }
+
+    const renewal = {
+      status: 'pending', // pending | approved | declined
+      expiryDays,
+      reason: reason || null,
+      requestedAt: Timestamp.now(),
+      respondedAt: null,
+      grantedDays: null,
+      note: null,
+    };
+    tx.update(requestRef, { renewal });
+    return { request, renewal };
+  });
+};
+
+/**
+ * Patient accepts (optionally for fewer days) or declines a pending renewal.
+ * An accepted renewal extends `expiresAt` from the current expiry, counts in
+ * `renewalCount` and resets `remindersSent` so reminders go out again before
+ * the new expiry. Runs in a transaction that re-checks the grant is still
+ * live, so a grant revoked or expired meanwhile can't be brought back.
+ *
+ * @param {string} requestId
+ * @param {{ patientId: string, approved: boolean, expiryDays?: number, note?: string }} params
+ * @returns {Promise<{ request: Object, renewed: Object, grantedDays: number|null }>}
+ *   The grant before and after, and the days granted (null when declined)
+ */
+export const respondToRenewal = async (requestId, { patientId, approved, expiryDays, note }) => {
+  const requestRef = db.collection(COLLECTIONS.ACCESS_REQUESTS).doc(requestId);
+
+  return db.runTransaction(async (tx) => {
+    const requestDoc = await tx.get(requestRef);
+    if (!requestDoc.exists) throw httpError(404, 'Request not found.');
+
+    const request = requestDoc.data();
+    if (request.patientId !== patientId) throw httpError(403, 'This request is not addressed to you.');
+    if (request.renewal?.status !== 'pending') {
+      throw httpError(409, 'There is no pending renewal for this access.');
+    }
+
+    const now = Timestamp.now();
+    const update = {
+      renewal: {
+        ...request.renewal,
+        status: approved ? 'approved' : 'declined',
+        respondedAt: now,
+        note: note || null,
+      },
+    };
+
+    let grantedDays = null;
+    if (approved) {
+      if (!isGrantLive(request, now.toMillis())) {
+        throw httpError(409, 'This access has already ended and can no longer be renewed.');
+      }
+      if (expiryDays > request.renewal.expiryDays) {
+        throw httpError(422, `At most ${request.renewal.expiryDays} days were requested.`);
+      }
+
+      grantedDays = expiryDays || request.renewal.expiryDays;
+      update.renewal.grantedDays = grantedDays;
+      Object.assign(update, {
+        expiresAt: Timestamp.fromMillis(request.expiresAt.toMillis() + grantedDays * DAY_MS),
+        remindersSent: [],
+      });
+    }
+
+    tx.update(requestRef, {
+      ...update,
+      ...(approved && { renewalCount: FieldValue.increment(1) }),
+    });
+    const renewed = {
+      ...request,
+      ...update,
+      ...(approved && { renewalCount: (request.renewalCount || 0) + 1 }),
+    };
+    return { request, renewed, grantedDays };
+  });
+};
+
+/**
+ * Expire one grant and tell the patient and doctor. Safe to call from
+ * several places at once (the job, an access check): whoever loses the
+ * transaction gets `null` back and sends nothing.
+ */
+export const expireGrant = async (requestId) => {
+  let grant;
+  try {
+    grant = await transitionAccessRequest(requestId, 'expired');
+  } catch (err) {
+    if (err.status === 409) return null;
+    throw err;
+  }
+
+  await Promise.all([
+    createNotification({
+      recipientId: grant.patientId,
+      type: 'access_expired',
+      title: 'Access Expired',
+      body: `Dr. ${grant.doctorName}'s ${grant.isEmergency ? 'emergency ' : ''}access to your records has ended.`,
+      metadata: { requestId, doctorId: grant.doctorId },
+    }),
+    createNotification({
+      recipientId: grant.doctorId,
+      type: 'access_expired',
+      title: 'Access Expired',
+      body: `Your ${grant.isEmergency ? 'emergency ' : ''}access to a patient's records has ended. Send a new access request if you still need it.`,
+      metadata: { requestId, patientId: grant.patientId },
+    }),
+  ]);
+
+  await logActivity({
+    actorId: null,
+    actorRole: 'system',
+    action: 'access_expired',
+    resourceId: requestId,
+    metadata: { patientId: grant.patientId, doctorId: grant.doctorId, isEmergency: Boolean(grant.isEmergency) },
+  });
+
+  return grant;
+};
+
+/**
+ * Expire every approved grant whose `expiresAt` has passed. Returns how
+ * many this call expired.
+ */
+export const expireDueGrants = async () => {
+  const snap = await db
+    .collection(COLLECTIONS.ACCESS_REQUESTS)
+    .where('status', '==', 'approved')
+    .where('isExpired', '==', false)
+    .where('expiresAt', '<=', Timestamp.now())
+    .get();
+
+  let expired = 0;
+  for (const d of snap.docs) {
+    if (await expireGrant(d.id)) expired++;
+  }
+  return expired;
+};
+
+/**
+ * Remind patient and doctor that a grant is about to end, once per entry in
+ * `accessLifecycle.reminderDaysBeforeExpiry`. A grant approved for less time
+ * than a reminder's lead gets one reminder, not several. Sent reminders are
+ * recorded on the grant (`remindersSent`) in a transaction, so concurrent
+ * runs don't double up. Emergency grants are too short to remind about.
+ * Returns how many grants were reminded about.
+ */
+export const sendExpiryReminders = async () => {
+  const leads = settings.reminderDaysBeforeExpiry;
+  if (!leads.length) return 0;
+
+  const now = Date.now();
+  const snap = await db
+    .collection(COLLECTIONS.ACCESS_REQUESTS)
+    .where('status', '==', 'approved')
+    .where('isExpired', '==', false)
+    .where('expiresAt', '>', Timestamp.fromMillis(now))
+    .where('expiresAt', '<=', Timestamp.fromMillis(now + Math.max(...leads) * DAY_MS))
+    .get();
+
+  // Leads already reached for this grant, if any hasn't been sent yet
+  const dueLeads = (grant) => {
+    const reached = leads.filter((days) => grant.expiresAt.toMillis() - now <= days * DAY_MS);
+    return reached.some((days) => !(grant.remindersSent || []).includes(days)) ? reached : [];
+  };
+
+  let reminded = 0;
+  for (const d of snap.docs) {
+    if (d.get('isEmergency') || !dueLeads(d.data()).length) continue;
+
+    const grant = await db.runTransaction(async (tx) => {
+      const fresh = await tx.get(d.ref);
+      const data = fresh.data();
+      const due = isGrantLive(data, now) ? dueLeads(data) : [];
+      if (!due.length) return null;
+      tx.update(d.ref, { remindersSent: FieldValue.arrayUnion(...due) });
+      return data;
+    });
+    if (!grant) continue;
+
+    const ends = grant.expiresAt.toDate().toDateString();
+    const daysLeft = Math.ceil((grant.expiresAt.toMillis() - now) / DAY_MS);
+    const inDays = daysLeft === 1 ? 'within a day' : `in ${daysLeft} days`;
+    await Promise.all([
+      createNotification({
+        recipientId: grant.patientId,
+        type: 'access_expiring',
+        title: 'Access Ending Soon',
+        body: `Dr. ${grant.doctorName}'s access to your records ends on ${ends} (${inDays}). Nothing needs doing unless you want to revoke it sooner.`,
+        metadata: { requestId: grant.id, doctorId: grant.doctorId },
+      }),
+      createNotification({
+        recipientId: grant.doctorId,
+        type: 'access_expiring',
+        title: 'Access Ending Soon',
+        body: `Your access to a patient's records ends on ${ends} (${inDays}). Request a renewal if you still need it.`,
+        metadata: { requestId: grant.id, patientId: grant.patientId },
+      }),
+    ]);
+    reminded++;
+  }
+  return reminded;
+};
+
+/**
+ * One run of the lifecycle jobs: expire due grants, then send reminders.
+ * Safe to run from several places at once (API instances, the scheduled
+ * Cloud Function via POST /api/internal/access-lifecycle/run).
+ *
+ * @returns {Promise<{ expired: number, reminded: number }>}
+ */
+export const runAccessLifecycleJobs = async () => {
+  const expired = await expireDueGrants();
+  const reminded = await sendExpiryReminders();
+  return { expired, reminded };
+};
+
+/**
+ * Run the lifecycle jobs now and then every
+ * `accessLifecycle.checkIntervalMinutes`, for an API that is always running.
+ * Access checks enforce `expiresAt` themselves, so the interval only bounds
+ * how late counters and notifications catch up.
+ */
+export const startAccessLifecycleJobs = () => {
+  const run = async () => {
+    try {
+      const { expired, reminded } = await runAccessLifecycleJobs();
+      if (expired || reminded) {
+        console.log(`⏳ Access lifecycle: ${expired} grant(s) expired, ${reminded} reminder(s) sent`);
+      }
+    } catch (err) {
+      console.error('Access lifecycle job failed:', err.message);
+    }
+  };
+
+  run();
+  setInterval(run, settings.checkIntervalMinutes * 60 * 1000).unref();
+};
@@ -0,0 +1,148 @@
+import { db, COLLECTIONS } from '../config/firebase.js';
+import { isGrantLive, expireGrant } from './access-lifecycle.service.js';
+import { logActivity } from './activity.service.js';
+
+/**
+ * Throws a 403 unless the doctor holds an approved, unexpired grant for the
+ * patient that covers the given record type ('all' = any grant at all).
+ * Returns the grant so callers can scope listings to it — with several live
+ * grants (e.g. a regular grant plus break-glass access) and 'all', their
+ * record types and record IDs are combined.
+ *
+ * A grant limited to explicit records (`requestedRecordIds`) doesn't cover
+ * their type as a whole — check single records with `assertDoctorRecordAccess`.
+ *
+ * `read` names what the doctor is reading (e.g. 'records', 'fhir_export');
+ * reads covered by break-glass access are audited under that grant.
+ */
+export const assertDoctorReadAccess = async (doctorId, patientId, recordType, read) => {
+  const grants = await liveGrants(doctorId, patientId);
+
+  if (!grants.length) {
+    const err = new Error('You do not have approved access to this patient\'s records.');
+    err.status = 403;
+    throw err;
+  }
+
+  if (recordType === 'all') {
+    await Promise.all(grants.filter((g) => g.isEmergency).map((g) => auditEmergencyRead(g, read)));
+    return grants.length === 1
+      ? grants[0]
+      : {
+          ...grants[0],
+          requestedRecordTypes: [...new Set(grants.flatMap((g) => g.requestedRecordTypes))],
+          requestedRecordIds: [...new Set(grants.flatMap((g) => g.requestedRecordIds || []))],
+        };
+  }
+
+  const access = preferRegular(grants, (g) => canReadRecordType(g, recordType));
+  if (!access) {
+    const err = new Error(`You do not have access to record type: ${recordType}`);
+    err.status = 403;
+    throw err;
+  }
+
+  if (access.isEmergency) await auditEmergencyRead(access, read, { recordType });
+  return access;
+};
+
+/**
+ * Throws a 403 unless the doctor holds an approved, unexpired grant covering
+ * this record — by its type or by naming it. Returns that grant. `read` is
+ * as for assertDoctorReadAccess.
+ */
+export const assertDoctorRecordAccess = async (doctorId, record, read) => {
+  const grants = await liveGrants(doctorId, record.patientId);
+
+  if (!grants.length) {
+    const err = new Error('You do not have approved access to this patient\'s records.');
+    err.status = 403;
+    throw err;
+  }
+
+  const access = preferRegular(grants, (g) => canReadRecord(g, record));
+  if (!access) {
+    const err = new Error('You do not have access to this record.');
+    err.status = 403;
+    throw err;
+  }
+
+  if (access.isEmergency) {
+    await auditEmergencyRead(access, read, { recordId: record.id, recordType: record.recordType });
+  }
+  return access;
+};
+
+/**
+ * Whether an approved grant covers a record type.
+ */
+export const canReadRecordType = (access, recordType) =>
+  access.requestedRecordTypes.includes('all') ||
+  access.requestedRecordTypes.includes(recordType);
+
+/**
+ * Whether an approved grant covers a record (`{ id, recordType }`): its whole
+ * type, or the record by ID.
+ */
+export const canReadRecord = (access, record) =>
+  canReadRecordType(access, record.recordType) ||
+  (access.requestedRecordIds || []).includes(record.id);
+
+// Whether a grant covers every record the patient has
+export const coversAllRecords = (access) => access.requestedRecordTypes.includes('all');
+
+/**
+ * Throws a 403 unless the doctor holds an approved, unexpired read_write grant
+ * for the patient — one covering `record`, when given.
+ */
+export const assertDoctorWriteAccess = async (doctorId, patientId, record) => {
+  const grants = await liveGrants(doctorId, patientId, 'read_write');
+
+  if (!grants.length) {
+    const err = new Error('You do not have write access to this patient\'s records.');
+    err.status = 403;
+    throw err;
+  }
+  if (record && !grants.some((g) => canReadRecord(g, record))) {
+    const err = new Error('You do not have write access to this record.');
+    err.status = 403;
+    throw err;
+  }
+};
+
+// The first grant matching `covers`, preferring a regular grant to
+// break-glass access, so reads a regular grant allows aren't audited as emergency reads
+const preferRegular = (grants, covers) =>
+  grants.find((g) => !g.isEmergency && covers(g)) || grants.find(covers);
+
+// Every read under break-glass access is logged against the grant for the patient's review
+const auditEmergencyRead = (grant, read, { recordId = null, recordType = null } = {}) =>
+  logActivity({
+    actorId: grant.doctorId,
+    actorRole: 'doctor',
+    action: 'emergency_access_read',
+    resourceId: grant.id,
+    metadata: { patientId: grant.patientId, read: read || 'read', recordId, recordType },
+  });
+
+// Approved grants not yet expired. `expiresAt` is enforced here, not left to
+// the expiry job; grants found past it are expired on the spot (in the
+// background — the caller already doesn't get them).
+const liveGrants = async (doctorId, patientId, accessLevel) => {
+  let query = db
+    .collection(COLLECTIONS.ACCESS_REQUESTS)
+    .where('doctorId', '==', doctorId)
+    .where('patientId', '==', patientId)
+    .where('status', '==', 'approved')
+    .where('isExpired', '==', false);
+  if (accessLevel) query = query.where('accessLevel', '==', accessLevel);
+
+  const snap = await query.get();
+  const grants = snap.docs.map((d) => d.data());
+
+  grants
+    .filter((g) => !isGrantLive(g))
+    .forEach((g) => expireGrant(g.id).catch((err) => console.error('Lazy expiry failed:', err.message)));
+
+  return grants.filter((g) => isGrantLive(g));
+};
@@ -3,15 +3,17 @@ import { v4 as uuidv4 } from 'uuid';
 
 /**
  * Log an activity event to the audit trail.
- * Every meaningful action in Medilocker is recorded here.
+ * Every meaningful action in Medilocker is recorded here. Events that must
+ * stand out in a review (e.g. break-glass access) are logged as `critical`.
  */
-export const logActivity = async ({ actorId, actorRole, action, resourceId, metadata = {} }) => {
+export const logActivity = async ({ actorId, actorRole, action, resourceId, metadata = {}, severity = 'info' }) => {
   try {
     const log = {
       id: uuidv4(),
       actorId,
       actorRole,
       action,
+      severity, // info | critical
       resourceId: resourceId || null,
       metadata,
       createdAt: Timestamp.now(),
@@ -0,0 +1,102 @@
+import { Readable } from 'stream';
+import { ZipArchive } from 'archiver';
+import { uploadPatientFile, uploadPatientFileStream, openStoredFile, versionFiles } from './storage.service.js';
+import { hashContent, hashManifest } from './integrity.service.js';
+
+const UPLOAD_CONCURRENCY = 8;
+
+/**
+ * Store the files of a new version (or proposal) and build its manifest.
+ *
+ * A single file is stored at `{pathPrefix}.{ext}` as before; a bundle stores
+ * each file under `{pathPrefix}/`. The returned fields are spread onto the
+ * version: the top-level file fields describe the first (primary) file, which
+ * previews and DICOM parsing use, while `fileSize` is the bundle total and
+ * `contentHash` covers every file.
+ *
+ * @param {Object[]} files               - Verified multer files, in bundle order. A file too
+ *                                         large to buffer (resumable uploads) has no `buffer`
+ *                                         but `createReadStream()` and its `contentHash` instead
+ * @param {Object}   options
+ * @param {string}   options.patientId
+ * @param {string}   options.pathPrefix  - e.g. `records/{patientId}/{recordId}/v2_{versionId}`
+ * @param {Object}   [options.metadata]  - Custom metadata stored on every object
+ */
+export const storeUploadedFiles = async (files, { patientId, pathPrefix, metadata = {} }) => {
+  const isBundle = files.length > 1;
+  const manifest = new Array(files.length);
+
+  for (let i = 0; i < files.length; i += UPLOAD_CONCURRENCY) {
+    await Promise.all(files.slice(i, i + UPLOAD_CONCURRENCY).map(async (file, offset) => {
+      const index = i + offset;
+      const contentHash = file.buffer ? hashContent(file.buffer) : file.contentHash;
+      const storagePath = isBundle
+        ? `${pathPrefix}/${String(index + 1).padStart(4, '0')}.${file.extension}`
+        : `${pathPrefix}.${file.extension}`;
+
+      const options = {
+        patientId,
+        contentType: file.mimetype,
+        metadata: { ...metadata, contentHash, ...(isBundle && { fileIndex: String(index) }) },
+      };
+      const encrypted = file.buffer
+        ? await uploadPatientFile(storagePath, file.buffer, options)
+        : await uploadPatientFileStream(storagePath, file.createReadStream, options);
+
+      manifest[index] = {
+        index,
+        fileName: file.originalname,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        storagePath,
+        contentHash,
+        encrypted,
+      };
+    }));
+  }
+
+  const [primary] = manifest;
+  return {
+    storagePath: primary.storagePath,
+    fileName: primary.fileName,
+    fileSize: manifest.reduce((sum, f) => sum + f.fileSize, 0),
+    mimeType: primary.mimeType,
+    contentHash: isBundle ? hashManifest(manifest) : primary.contentHash,
+    encrypted: primary.encrypted,
+    fileCount: manifest.length,
+    files: manifest,
+  };
+};
+
+/**
+ * Zip every file of a version, streamed one file at a time so only the file
+ * being added is ever held in memory. Listen for `error` on the result.
+ */
+export const createBundleArchive = (version) => {
+  const archive = new ZipArchive({ zlib: { level: 6 } });
+  const usedNames = new Set();
+
+  for (const file of versionFiles(version)) {
+    // Opened lazily — the archive reads its entries in order
+    const content = Readable.from((async function* () {
+      const opened = await openStoredFile(file);
+      yield* opened.createReadStream();
+    })());
+    // Entry streams' errors aren't forwarded by archiver
+    content.on('error', (err) => archive.emit('error', err));
+    archive.append(content, { name: uniqueName(file.fileName, usedNames) });
+  }
+
+  archive.finalize().catch(() => {}); // failures are also emitted as `error`
+  return archive;
+};
+
+// Bundles may hold several files with the same name — suffix repeats: "scan (2).dcm"
+export const uniqueName = (fileName, usedNames) => {
+  let name = fileName;
+  for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+    name = fileName.replace(/(\.[^.]*)?$/, ` (${n})$1`);
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+};
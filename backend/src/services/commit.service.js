@@ -0,0 +1,44 @@
+import { db, COLLECTIONS } from '../config/firebase.js';
+import { hashCommit } from './integrity.service.js';
+
+/**
+ * Write a commit to the patient's log together with the changes it describes.
+ *
+ * Runs in a transaction so each commit is chained (git-style) to the patient's
+ * previous commit: it stores the previous commit's ID and hash, and its own
+ * hash covers both. The patient document holds the chain head.
+ *
+ * @param {Object}   params
+ * @param {Object}   params.commit          - Commit document (without chain fields)
+ * @param {Object}   [params.patientUpdates] - Extra fields to update on the patient doc (e.g. counters)
+ * @param {Function} [params.precondition]  - async (tx) => void — read inside the transaction and
+ *                                            throw to abort (e.g. the record moved on meanwhile)
+ * @param {Function} [params.writes]        - (tx) => void — stage the record/version writes on the transaction
+ * @returns {Promise<Object>} The chained commit as stored
+ */
+export const writeCommit = async ({ commit, patientUpdates = {}, precondition, writes = () => {} }) => {
+  const patientRef = db.collection(COLLECTIONS.PATIENTS).doc(commit.patientId);
+
+  return db.runTransaction(async (tx) => {
+    if (precondition) await precondition(tx);
+    const patientDoc = await tx.get(patientRef);
+    const patient = patientDoc.data() || {};
+
+    const chained = {
+      ...commit,
+      previousCommitId: patient.headCommitId || null,
+      previousCommitHash: patient.headCommitHash || null,
+    };
+    chained.hash = hashCommit(chained);
+
+    writes(tx);
+    tx.set(db.collection(COLLECTIONS.COMMITS).doc(chained.id), chained);
+    tx.update(patientRef, {
+      ...patientUpdates,
+      headCommitId: chained.id,
+      headCommitHash: chained.hash,
+    });
+
+    return chained;
+  });
+};
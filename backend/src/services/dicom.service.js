@@ -0,0 +1,121 @@
+import dicomParser from 'dicom-parser';
+import { db, COLLECTIONS } from '../config/firebase.js';
+
+export const DICOM_MIME_TYPE = 'application/dicom';
+
+// Study-level tags stored on the version (and mirrored on the record)
+const STUDY_TAGS = {
+  modality: 'x00080060',
+  studyDate: 'x00080020',
+  studyDescription: 'x00081030',
+  seriesDescription: 'x0008103e',
+  studyInstanceUid: 'x0020000d',
+  seriesInstanceUid: 'x0020000e',
+  bodyPartExamined: 'x00180015',
+  institutionName: 'x00080080',
+};
+
+// Patient-identifying tags — compared with the patient profile, never stored
+const PATIENT_TAGS = {
+  name: 'x00100010',
+  birthDate: 'x00100030',
+  sex: 'x00100040',
+};
+
+const SEX_CODES = { M: 'male', F: 'female', O: 'other' };
+
+/**
+ * Parse the header of an uploaded DICOM file and check its patient tags
+ * against the profile of the patient the record belongs to. For a bundle the
+ * first DICOM file is read — the files of a series share their study tags.
+ *
+ * Returns `dicom: null` if no file is DICOM. Problems never block the upload —
+ * they come back as `warnings` for the client to show:
+ * - `DICOM_UNPARSEABLE`       the header could not be read
+ * - `DICOM_PATIENT_MISMATCH`  name, birth date or sex differ from the profile
+ *
+ * @param {Object[]} files     - multer files (buffer + detected mimetype); a streamed
+ *                               file's `head` (its first bytes) stands in for the buffer
+ * @param {string}   patientId - Owner of the record
+ * @returns {Promise<{ dicom: Object|null, warnings: Object[] }>}
+ */
+export const extractDicomMetadata = async (files, patientId) => {
+  const file = files.find((f) => f.mimetype === DICOM_MIME_TYPE);
+  if (!file) return { dicom: null, warnings: [] };
+
+  let dataSet;
+  try {
+    // Pixel data is never needed — stop before it to keep parsing cheap
+    dataSet = dicomParser.parseDicom(new Uint8Array(file.buffer || file.head), { untilTag: 'x7fe00010' });
+  } catch (err) {
+    return {
+      dicom: null,
+      warnings: [{ code: 'DICOM_UNPARSEABLE', message: `DICOM header could not be parsed: ${err.message || err}` }],
+    };
+  }
+
+  const dicom = Object.fromEntries(
+    Object.entries(STUDY_TAGS).map(([field, tag]) => [field, readString(dataSet, tag)])
+  );
+  dicom.studyDate = toIsoDate(dicom.studyDate);
+
+  const patientDoc = await db.collection(COLLECTIONS.PATIENTS).doc(patientId).get();
+  const mismatchedFields = comparePatient(dataSet, patientDoc.data());
+  dicom.identityCheck = mismatchedFields === null
+    ? { status: 'unavailable', mismatchedFields: [] }
+    : { status: mismatchedFields.length ? 'mismatch' : 'matched', mismatchedFields };
+
+  const warnings = mismatchedFields?.length
+    ? [{
+        code: 'DICOM_PATIENT_MISMATCH',
+        message: `Patient details in the DICOM header (${mismatchedFields.join(', ')}) don't match the patient profile. Check this study belongs to this patient.`,
+        fields: mismatchedFields,
+      }]
+    : [];
+
+  return { dicom, warnings };
+};
+
+/**
+ * Filter records by the imaging metadata mirrored onto them.
+ * `modality` may be a comma-separated list; dates are ISO (YYYY-MM-DD).
+ */
+export const filterByStudy = (records, { modality, studyDateFrom, studyDateTo }) => {
+  const modalities = modality ? modality.split(',').map((m) => m.trim().toUpperCase()) : [];
+  return records.filter((r) => {
+    if (modalities.length && !modalities.includes(r.dicom?.modality?.toUpperCase())) return false;
+    if (studyDateFrom && !(r.dicom?.studyDate >= studyDateFrom)) return false;
+    if (studyDateTo && !(r.dicom?.studyDate <= studyDateTo)) return false;
+    return true;
+  });
+};
+
+// Returns the mismatched field names, or null if the file has no patient tags to compare
+const comparePatient = (dataSet, profile = {}) => {
+  const name = readString(dataSet, PATIENT_TAGS.name);
+  const birthDate = toIsoDate(readString(dataSet, PATIENT_TAGS.birthDate));
+  const sex = SEX_CODES[readString(dataSet, PATIENT_TAGS.sex)?.toUpperCase()];
+
+  if (!name && !birthDate && !sex) return null;
+
+  const mismatched = [];
+  if (name && profile.displayName && !namesMatch(name, profile.displayName)) mismatched.push('name');
+  if (birthDate && profile.dateOfBirth && birthDate !== String(profile.dateOfBirth).slice(0, 10)) {
+    mismatched.push('birthDate');
+  }
+  if (sex && ['male', 'female'].includes(profile.gender) && sex !== profile.gender) mismatched.push('sex');
+  return mismatched;
+};
+
+// DICOM names are "Family^Given^Middle"; match if every name part appears in the profile name
+const namesMatch = (dicomName, displayName) => {
+  const parts = (s) => s.toLowerCase().split(/[\^\s,]+/).filter(Boolean);
+  const profileParts = new Set(parts(displayName));
+  const dicomParts = parts(dicomName);
+  return dicomParts.length > 0 && dicomParts.every((p) => profileParts.has(p));
+};
+
+const readString = (dataSet, tag) => dataSet.string(tag)?.trim() || null;
+
+// DICOM DA is YYYYMMDD
+const toIsoDate = (da) => (/^\d{8}$/.test(da || '') ? `${da.slice(0, 4)}-${da.slice(4, 6)}-${da.slice(6, 8)}` : null);
@@ -0,0 +1,208 @@
+import { diffLines } from 'diff';
+import pdf from 'pdf-parse/lib/pdf-parse.js';
+import sharp from 'sharp';
+import { readStoredFile, versionFiles } from './storage.service.js';
+
+// Version fields compared in the metadata diff
+const METADATA_FIELDS = [
+  'fileName',
+  'fileSize',
+  'mimeType',
+  'committedBy',
+  'committedByRole',
+  'commitMessage',
+  'changeType',
+];
+
+const TEXT_MIME_TYPES = ['application/pdf', 'application/json', 'application/xml'];
+
+const MAX_TEXT_CHARS = 200 * 1000; // cap extracted text so huge reports can't stall a request
+const IMAGE_COMPARE_SIZE = 256;    // both images are normalised to this square before pixel comparison
+const PIXEL_CHANGE_THRESHOLD = 25; // grey-level delta (0-255) that counts as a changed pixel
+const SIMILAR_HASH_DISTANCE = 5;   // dHash hamming distance at or below which images look the same
+
+/**
+ * Compare two versions of the same record.
+ * Returns a metadata diff plus a content diff suited to the file type:
+ * a line diff of extracted text for PDFs/text, a change summary for images,
+ * or the files added, removed and changed when either version is a bundle.
+ */
+export const diffVersions = async (fromVersion, toVersion) => {
+  const metadata = diffMetadata(fromVersion, toVersion);
+
+  // Reverts and merges can point at the exact same stored file
+  if (fromVersion.storagePath === toVersion.storagePath) {
+    return { metadata, content: { kind: 'identical' } };
+  }
+
+  if (fromVersion.fileCount > 1 || toVersion.fileCount > 1) {
+    return { metadata, content: diffBundles(fromVersion, toVersion) };
+  }
+
+  const [fromBuffer, toBuffer] = await Promise.all([
+    readStoredFile(fromVersion),
+    readStoredFile(toVersion),
+  ]);
+
+  let content;
+  if (isTextBased(fromVersion.mimeType) && isTextBased(toVersion.mimeType)) {
+    content = await diffText(fromVersion, fromBuffer, toVersion, toBuffer);
+  } else if (isImage(fromVersion.mimeType) && isImage(toVersion.mimeType)) {
+    content = await diffImages(fromBuffer, toBuffer);
+  } else {
+    content = {
+      kind: 'binary',
+      identical: fromBuffer.equals(toBuffer),
+      sizeDelta: toBuffer.length - fromBuffer.length,
+    };
+  }
+
+  return { metadata, content };
+};
+
+const diffMetadata = (fromVersion, toVersion) =>
+  METADATA_FIELDS
+    .filter((field) => (fromVersion[field] ?? null) !== (toVersion[field] ?? null))
+    .map((field) => ({
+      field,
+      from: fromVersion[field] ?? null,
+      to: toVersion[field] ?? null,
+    }));
+
+// Files are matched by name; a file whose name repeats is matched in bundle order
+const diffBundles = (fromVersion, toVersion) => {
+  const summarise = ({ index, fileName, fileSize, mimeType }) => ({ index, fileName, fileSize, mimeType });
+  const remaining = versionFiles(fromVersion);
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const file of versionFiles(toVersion)) {
+    const i = remaining.findIndex((f) => f.fileName === file.fileName);
+    if (i === -1) {
+      added.push(summarise(file));
+      continue;
+    }
+    const [previous] = remaining.splice(i, 1);
+    if (previous.contentHash && previous.contentHash === file.contentHash) unchanged++;
+    else changed.push({ from: summarise(previous), to: summarise(file) });
+  }
+
+  return {
+    kind: 'bundle',
+    identical: added.length === 0 && changed.length === 0 && remaining.length === 0,
+    summary: { added: added.length, removed: remaining.length, changed: changed.length, unchanged },
+    added,
+    removed: remaining.map(summarise),
+    changed,
+  };
+};
+
+const isTextBased = (mimeType) =>
+  TEXT_MIME_TYPES.includes(mimeType) || mimeType?.startsWith('text/');
+
+// DICOM is image data but not something sharp can decode
+const isImage = (mimeType) => mimeType?.startsWith('image/') && mimeType !== 'image/dicom';
+
+const extractText = async (mimeType, buffer) => {
+  const text = mimeType === 'application/pdf'
+    ? (await pdf(buffer)).text
+    : buffer.toString('utf8');
+  return text.length > MAX_TEXT_CHARS
+    ? { text: text.slice(0, MAX_TEXT_CHARS), truncated: true }
+    : { text, truncated: false };
+};
+
+const diffText = async (fromVersion, fromBuffer, toVersion, toBuffer) => {
+  let from;
+  let to;
+  try {
+    [from, to] = await Promise.all([
+      extractText(fromVersion.mimeType, fromBuffer),
+      extractText(toVersion.mimeType, toBuffer),
+    ]);
+  } catch (err) {
+    console.error('Text extraction for diff failed:', err.message);
+    return { kind: 'text', error: 'Text could not be extracted from one of the versions.' };
+  }
+
+  let linesAdded = 0;
+  let linesRemoved = 0;
+  const changes = diffLines(from.text, to.text)
+    .filter((part) => part.added || part.removed)
+    .map((part) => {
+      if (part.added) linesAdded += part.count;
+      else linesRemoved += part.count;
+      return { type: part.added ? 'added' : 'removed', lines: part.count, value: part.value };
+    });
+
+  return {
+    kind: 'text',
+    identical: changes.length === 0,
+    truncated: from.truncated || to.truncated,
+    summary: { linesAdded, linesRemoved },
+    changes,
+  };
+};
+
+const diffImages = async (fromBuffer, toBuffer) => {
+  try {
+    const [fromMeta, toMeta, fromHash, toHash, fromPixels, toPixels] = await Promise.all([
+      sharp(fromBuffer).metadata(),
+      sharp(toBuffer).metadata(),
+      differenceHash(fromBuffer),
+      differenceHash(toBuffer),
+      greyscalePixels(fromBuffer),
+      greyscalePixels(toBuffer),
+    ]);
+
+    let changedPixels = 0;
+    for (let i = 0; i < fromPixels.length; i++) {
+      if (Math.abs(fromPixels[i] - toPixels[i]) > PIXEL_CHANGE_THRESHOLD) changedPixels++;
+    }
+
+    let hashDistance = 0;
+    for (let i = 0; i < fromHash.length; i++) {
+      if (fromHash[i] !== toHash[i]) hashDistance++;
+    }
+
+    return {
+      kind: 'image',
+      from: { width: fromMeta.width, height: fromMeta.height, format: fromMeta.format },
+      to: { width: toMeta.width, height: toMeta.height, format: toMeta.format },
+      dimensionsChanged: fromMeta.width !== toMeta.width || fromMeta.height !== toMeta.height,
+      perceptualHashDistance: hashDistance,
+      perceptuallySimilar: hashDistance <= SIMILAR_HASH_DISTANCE,
+      changedPixelRatio: parseFloat((changedPixels / fromPixels.length).toFixed(4)),
+    };
+  } catch (err) {
+    console.error('Image comparison for diff failed:', err.message);
+    return { kind: 'image', error: 'One of the versions could not be decoded as an image.' };
+  }
+};
+
+const greyscalePixels = (buffer) =>
+  sharp(buffer)
+    .removeAlpha()
+    .greyscale()
+    .resize(IMAGE_COMPARE_SIZE, IMAGE_COMPARE_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+// 64-bit difference hash: compares each pixel to its right neighbour on a 9x8 thumbnail
+const differenceHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .removeAlpha()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  const bits = [];
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      bits.push(pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1 : 0);
+    }
+  }
+  return bits;
+};
@@ -1,12 +1,12 @@
 import { db, FieldValue, Timestamp, COLLECTIONS } from '../config/firebase.js';
 
 /**
- * Update a doctor's contribution stats and graph.
+ * Update a doctor's contribution stats and graph. `stats.activeCases` is kept
+ * by the access lifecycle service, which sees every grant start and end.
  *
  * @param {string} doctorId
  * @param {Object} options
  * @param {boolean} [options.newCase]        - Doctor was approved for a new patient case
- * @param {boolean} [options.caseCompleted]  - Doctor marked a case as complete
  * @param {boolean} [options.recordUpdated]  - Doctor committed a record update
  * @param {string}  [options.patientId]      - Related patient (for condition tag extraction)
  * @param {string[]} [options.conditionTags] - New condition tags derived from the case
@@ -27,11 +27,6 @@ export const updateDoctorStats = async (doctorId, options = {}) => {
 
     if (options.newCase) {
       updates['stats.totalCasesHandled'] = FieldValue.increment(1);
-      updates['stats.activeCases'] = FieldValue.increment(1);
-    }
-
-    if (options.caseCompleted) {
-      updates['stats.activeCases'] = FieldValue.increment(-1);
     }
 
     if (options.recordUpdated) {
@@ -89,34 +84,3 @@ export const recalculateDoctorAccuracyScore = async (doctorId) => {
     console.error('recalculateDoctorAccuracyScore failed:', err.message);
   }
 };
-
-/**
- * Scheduled job helper: expire access requests that are past their expiresAt date.
- * Call this from a Cloud Function cron job or a scheduled script.
- */
-export const expireStaleAccessRequests = async () => {
-  try {
-    const now = Timestamp.now();
-    const snap = await db
-      .collection(COLLECTIONS.ACCESS_REQUESTS)
-      .where('status', '==', 'approved')
-      .where('isExpired', '==', false)
-      .where('expiresAt', '<=', now)
-      .get();
-
-    if (snap.empty) {
-      console.log('No stale access requests to expire.');
-      return;
-    }
-
-    const batch = db.batch();
-    snap.docs.forEach((d) => {
-      batch.update(d.ref, { status: 'expired', isExpired: true });
-    });
-    await batch.commit();
-
-    console.log(`Expired ${snap.size} access requests.`);
-  } catch (err) {
-    console.error('expireStaleAccessRequests failed:', err.message);
-  }
-};
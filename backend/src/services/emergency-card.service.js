@@ -0,0 +1,47 @@
+import QRCode from 'qrcode';
+import config from '../config/config.js';
+
+// Profile fields a patient can put on their emergency card
+export const EMERGENCY_CARD_FIELDS = [
+  'displayName',
+  'dateOfBirth',
+  'bloodGroup',
+  'allergies',
+  'criticalConditions',
+  'emergencyContact',
+];
+
+export const DEFAULT_CARD_FIELDS = ['bloodGroup', 'allergies', 'criticalConditions', 'emergencyContact'];
+
+// The link the QR code opens: the card page, with the token as last path segment
+export const cardUrl = (token) =>
+  `${config.emergencyCard.publicUrl.replace(/\/+$/, '')}/${token}`;
+
+/**
+ * Render the card link as a QR code — a PNG data URL for display and an SVG
+ * for printing.
+ */
+export const renderCardQr = async (token) => {
+  const url = cardUrl(token);
+  const options = { errorCorrectionLevel: 'M', margin: 2 };
+  const [png, svg] = await Promise.all([
+    QRCode.toDataURL(url, { ...options, width: 320 }),
+    QRCode.toString(url, { ...options, type: 'svg' }),
+  ]);
+  return { url, png, svg };
+};
+
+/**
+ * The public card: only the fields the patient chose, and only those that
+ * have a value. Fields are always returned in the same order.
+ */
+export const buildEmergencyCard = (patient, fields) => {
+  const card = {};
+  for (const field of EMERGENCY_CARD_FIELDS) {
+    if (!fields.includes(field)) continue;
+    const value = patient[field];
+    if (value === undefined || value === null || (Array.isArray(value) && !value.length)) continue;
+    card[field] = value;
+  }
+  return card;
+};
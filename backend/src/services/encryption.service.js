@@ -0,0 +1,364 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import { Duplex, Readable } from 'stream';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { db, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import config, { ROOT_DIR } from '../config/config.js';
+
+/**
+ * Envelope encryption for stored record files.
+ *
+ * Each patient has a random 256-bit data key (DEK). Files are encrypted with
+ * the DEK using AES-256-GCM; the DEK itself is only ever stored wrapped
+ * (encrypted) by a master key held by the key provider. Rotating the master
+ * key re-wraps DEKs without touching any stored file.
+ *
+ * Files are sealed in fixed-size segments, each with its own GCM tag, so a
+ * byte range can be fetched and decrypted without the rest of the file:
+ *
+ *   header   "MLE2" | segment size (uint32 BE) | nonce prefix (7 bytes)
+ *   segment  ciphertext (segment size; the last one shorter) | tag (16 bytes)
+ *
+ * Segment i's nonce is the prefix, i (uint32 BE), and 1 for the last segment
+ * or 0 otherwise, and every tag also covers the header — so segments can't be
+ * reordered, dropped or cut off without failing authentication. Files written
+ * before segmenting ("MLE1": iv | tag | ciphertext) still decrypt, whole.
+ *
+ * The `local` provider keeps master keys in a JSON key file and stands in for
+ * a KMS in development and tests.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+// Prefixes on encrypted files so they are never mistaken for plaintext
+const LEGACY_FILE_MAGIC = Buffer.from('MLE1', 'ascii');
+const FILE_MAGIC = Buffer.from('MLE2', 'ascii');
+const NONCE_PREFIX_LENGTH = 7;
+const HEADER_LENGTH = FILE_MAGIC.length + 4 + NONCE_PREFIX_LENGTH;
+const SEGMENT_SIZE = 64 * 1024;
+
+export const ENCRYPTION_ALGORITHM = 'AES-256-GCM';
+
+// ─── Key providers ───────────────────────────────────────────────────────────
+
+/**
+ * Local key file: { "activeKeyId": "...", "keys": { "<keyId>": "<base64 key>" } }
+ * Created with a fresh master key on first use.
+ */
+const createLocalKeyProvider = () => {
+  const keyFilePath = path.resolve(ROOT_DIR, config.encryption.localKeyFile);
+
+  const load = () => {
+    if (!existsSync(keyFilePath)) {
+      const keyId = newMasterKeyId();
+      const keyFile = { activeKeyId: keyId, keys: { [keyId]: randomBytes(32).toString('base64') } };
+      writeFileSync(keyFilePath, JSON.stringify(keyFile, null, 2), { mode: 0o600 });
+      console.warn(`⚠️  Created local master key file ${keyFilePath} — keep it out of version control.`);
+      return keyFile;
+    }
+    return JSON.parse(readFileSync(keyFilePath, 'utf8'));
+  };
+
+  const masterKey = (keyId) => {
+    const key = load().keys[keyId];
+    if (!key) throw new Error(`Master key ${keyId} not found in ${keyFilePath}.`);
+    return Buffer.from(key, 'base64');
+  };
+
+  return {
+    activeKeyId: () => load().activeKeyId,
+    wrapKey: (dataKey, keyId = load().activeKeyId) => ({
+      keyId,
+      wrappedKey: seal(masterKey(keyId), dataKey).toString('base64'),
+    }),
+    unwrapKey: ({ keyId, wrappedKey }) => open(masterKey(keyId), Buffer.from(wrappedKey, 'base64')),
+    addMasterKey: () => {
+      const keyFile = load();
+      const keyId = newMasterKeyId();
+      keyFile.keys[keyId] = randomBytes(32).toString('base64');
+      keyFile.activeKeyId = keyId;
+      writeFileSync(keyFilePath, JSON.stringify(keyFile, null, 2), { mode: 0o600 });
+      return keyId;
+    },
+    removeMasterKeys: (keepKeyId) => {
+      const keyFile = load();
+      const removed = Object.keys(keyFile.keys).filter((id) => id !== keepKeyId);
+      removed.forEach((id) => delete keyFile.keys[id]);
+      writeFileSync(keyFilePath, JSON.stringify(keyFile, null, 2), { mode: 0o600 });
+      return removed;
+    },
+  };
+};
+
+const KEY_PROVIDERS = { local: createLocalKeyProvider };
+
+let provider = null;
+const keyProvider = () => {
+  if (!provider) {
+    const factory = KEY_PROVIDERS[config.encryption.keyProvider];
+    if (!factory) throw new Error(`Unsupported key provider: ${config.encryption.keyProvider}`);
+    provider = factory();
+  }
+  return provider;
+};
+
+// ─── Patient data keys ───────────────────────────────────────────────────────
+
+// Unwrapped DEKs, cached per process. Rotation re-wraps but never changes a DEK.
+const dataKeyCache = new Map();
+
+const getPatientDataKey = async (patientId) => {
+  if (dataKeyCache.has(patientId)) return dataKeyCache.get(patientId);
+
+  const keyRef = db.collection(COLLECTIONS.PATIENT_KEYS).doc(patientId);
+  let keyDoc = await keyRef.get();
+
+  if (!keyDoc.exists) {
+    const now = Timestamp.now();
+    try {
+      // create() fails if a concurrent upload already made the key
+      await keyRef.create({
+        patientId,
+        ...keyProvider().wrapKey(randomBytes(32)),
+        createdAt: now,
+        rotatedAt: null,
+      });
+    } catch (err) {
+      if (err.code !== 6) throw err; // 6 = ALREADY_EXISTS
+    }
+    keyDoc = await keyRef.get();
+  }
+
+  const dataKey = keyProvider().unwrapKey(keyDoc.data());
+  dataKeyCache.set(patientId, dataKey);
+  return dataKey;
+};
+
+/**
+ * Encrypt a file for storage under the patient's data key.
+ */
+export const encryptForPatient = async (patientId, buffer) =>
+  collect(sealSegments([buffer], await getPatientDataKey(patientId)));
+
+/**
+ * Streaming counterpart of encryptForPatient, for files too large to hold in
+ * memory: a transform from plaintext to exactly what encryptForPatient
+ * produces, holding at most one segment at a time.
+ */
+export const createPatientEncryptStream = async (patientId) => {
+  const key = await getPatientDataKey(patientId);
+  return Duplex.from((source) => sealSegments(source, key));
+};
+
+/**
+ * Decrypt a stored file held in memory. Throws if it was tampered with (GCM
+ * auth tag mismatch).
+ */
+export const decryptForPatient = async (patientId, buffer) => {
+  const key = await getPatientDataKey(patientId);
+  if (buffer.subarray(0, LEGACY_FILE_MAGIC.length).equals(LEGACY_FILE_MAGIC)) {
+    return open(key, buffer.subarray(LEGACY_FILE_MAGIC.length));
+  }
+
+  const header = parseHeader(buffer);
+  const layout = segmentLayout(header, buffer.length);
+  return collect(openSegments(
+    [buffer.subarray(HEADER_LENGTH)],
+    key,
+    header,
+    { first: 0, last: layout.segmentCount - 1, segmentCount: layout.segmentCount }
+  ));
+};
+
+/**
+ * Open an encrypted stored file for reading without loading it: `storedSize`
+ * is its size in the bucket and `readStored(start, end)` streams those stored
+ * bytes (inclusive). A plaintext range only fetches and decrypts the segments
+ * it touches. Files in the legacy whole-file format are decrypted in memory.
+ *
+ * @returns {Promise<{ size: number, createReadStream: (range?: { start: number, end: number }) => Readable }>}
+ */
+export const openPatientFile = async (patientId, storedSize, readStored) => {
+  const headerBytes = await collect(readStored(0, Math.min(HEADER_LENGTH, storedSize) - 1));
+
+  if (headerBytes.subarray(0, LEGACY_FILE_MAGIC.length).equals(LEGACY_FILE_MAGIC)) {
+    const content = await decryptForPatient(patientId, await collect(readStored(0, storedSize - 1)));
+    return {
+      size: content.length,
+      createReadStream: ({ start = 0, end = content.length - 1 } = {}) =>
+        Readable.from([content.subarray(start, end + 1)]),
+    };
+  }
+
+  const key = await getPatientDataKey(patientId);
+  const header = parseHeader(headerBytes);
+  const { segmentCount, plaintextSize } = segmentLayout(header, storedSize);
+  const sealedSize = header.segmentSize + TAG_LENGTH;
+
+  return {
+    size: plaintextSize,
+    createReadStream: ({ start = 0, end = plaintextSize - 1 } = {}) => {
+      // An empty file is one empty segment, which still has to authenticate
+      const first = Math.floor(start / header.segmentSize);
+      const last = Math.max(first, Math.floor(end / header.segmentSize));
+      const stored = readStored(
+        HEADER_LENGTH + first * sealedSize,
+        Math.min(storedSize, HEADER_LENGTH + (last + 1) * sealedSize) - 1
+      );
+      const plaintext = openSegments(stored, key, header, { first, last, segmentCount });
+      return Readable.from(sliceBytes(plaintext, start - first * header.segmentSize, end - start + 1));
+    },
+  };
+};
+
+/**
+ * Rotate the master key: create a new active master key and re-wrap every
+ * patient data key with it. Stored files are not re-encrypted.
+ *
+ * @param {Object}  [options]
+ * @param {boolean} [options.prune] - Remove old master keys once every data key is re-wrapped
+ * @returns {Promise<{ keyId: string, rewrapped: number, prunedKeyIds: string[] }>}
+ */
+export const rotateMasterKey = async ({ prune = false } = {}) => {
+  const kp = keyProvider();
+  const keyId = kp.addMasterKey();
+
+  const snap = await db.collection(COLLECTIONS.PATIENT_KEYS).get();
+  let rewrapped = 0;
+
+  // Firestore batches cap at 500 writes
+  for (let i = 0; i < snap.docs.length; i += 450) {
+    const batch = db.batch();
+    snap.docs.slice(i, i + 450).forEach((d) => {
+      const wrapped = d.data();
+      if (wrapped.keyId === keyId) return;
+      batch.update(d.ref, { ...kp.wrapKey(kp.unwrapKey(wrapped), keyId), rotatedAt: Timestamp.now() });
+      rewrapped++;
+    });
+    await batch.commit();
+  }
+
+  const prunedKeyIds = prune ? kp.removeMasterKeys(keyId) : [];
+  return { keyId, rewrapped, prunedKeyIds };
+};
+
+// ─── AES-256-GCM helpers ─────────────────────────────────────────────────────
+
+// Output: [prefix][iv][auth tag][ciphertext]. Wraps data keys; files written
+// before segmenting have this layout too, under LEGACY_FILE_MAGIC.
+const seal = (key, plaintext, prefix = Buffer.alloc(0)) => {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([prefix, iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const open = (key, sealed) => {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+// ─── Segmented files ─────────────────────────────────────────────────────────
+
+const segmentNonce = ({ noncePrefix }, index, isLast) => {
+  const nonce = Buffer.alloc(IV_LENGTH);
+  noncePrefix.copy(nonce);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+  nonce[IV_LENGTH - 1] = isLast ? 1 : 0;
+  return nonce;
+};
+
+const parseHeader = (buffer) => {
+  if (buffer.length < HEADER_LENGTH || !buffer.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC)) {
+    throw new Error('Stored file is not in the expected encrypted format.');
+  }
+  return {
+    bytes: buffer.subarray(0, HEADER_LENGTH),
+    segmentSize: buffer.readUInt32BE(FILE_MAGIC.length),
+    noncePrefix: buffer.subarray(FILE_MAGIC.length + 4, HEADER_LENGTH),
+  };
+};
+
+// How a stored file of `storedSize` bytes splits into segments
+const segmentLayout = ({ segmentSize }, storedSize) => {
+  const segmentCount = Math.max(1, Math.ceil((storedSize - HEADER_LENGTH) / (segmentSize + TAG_LENGTH)));
+  const plaintextSize = storedSize - HEADER_LENGTH - segmentCount * TAG_LENGTH;
+  if (plaintextSize < 0) throw new Error('Stored file is truncated.');
+  return { segmentCount, plaintextSize };
+};
+
+const sealSegment = (key, header, index, isLast, plaintext) => {
+  const cipher = createCipheriv(ALGORITHM, key, segmentNonce(header, index, isLast));
+  cipher.setAAD(header.bytes);
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+};
+
+// Header, then each SEGMENT_SIZE of `source` sealed. A segment is only
+// sealed once the next byte arrives, since the last one is marked as such.
+async function* sealSegments(source, key) {
+  const headerBytes = Buffer.alloc(HEADER_LENGTH);
+  FILE_MAGIC.copy(headerBytes);
+  headerBytes.writeUInt32BE(SEGMENT_SIZE, FILE_MAGIC.length);
+  randomBytes(NONCE_PREFIX_LENGTH).copy(headerBytes, FILE_MAGIC.length + 4);
+  const header = parseHeader(headerBytes);
+  yield headerBytes;
+
+  let pending = Buffer.alloc(0);
+  let index = 0;
+  for await (const chunk of source) {
+    pending = Buffer.concat([pending, chunk]);
+    while (pending.length > SEGMENT_SIZE) {
+      yield sealSegment(key, header, index++, false, pending.subarray(0, SEGMENT_SIZE));
+      pending = pending.subarray(SEGMENT_SIZE);
+    }
+  }
+  yield sealSegment(key, header, index, true, pending);
+}
+
+// Decrypt segments `first`..`last` of a file with `segmentCount` segments
+// from `stored`, the stored bytes starting at segment `first`
+async function* openSegments(stored, key, header, { first, last, segmentCount }) {
+  const sealedSize = header.segmentSize + TAG_LENGTH;
+  const openSegment = (index, sealed) => {
+    if (index > last || sealed.length < TAG_LENGTH) throw new Error('Stored file is truncated.');
+    const decipher = createDecipheriv(ALGORITHM, key, segmentNonce(header, index, index === segmentCount - 1));
+    decipher.setAAD(header.bytes);
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_LENGTH));
+    return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_LENGTH)), decipher.final()]);
+  };
+
+  let pending = Buffer.alloc(0);
+  let index = first;
+  for await (const chunk of stored) {
+    pending = Buffer.concat([pending, chunk]);
+    while (pending.length >= sealedSize) {
+      yield openSegment(index++, pending.subarray(0, sealedSize));
+      pending = pending.subarray(sealedSize);
+    }
+  }
+  if (pending.length || index === first) yield openSegment(index++, pending);
+  if (index !== last + 1) throw new Error('Stored file is truncated.');
+}
+
+const collect = async (source) => {
+  const chunks = [];
+  for await (const chunk of source) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// `length` bytes of `source` after skipping the first `skip`
+async function* sliceBytes(source, skip, length) {
+  for await (const chunk of source) {
+    const part = chunk.subarray(Math.min(skip, chunk.length), skip + length);
+    skip = Math.max(0, skip - chunk.length);
+    length -= part.length;
+    if (part.length) yield part;
+    if (length <= 0) return;
+  }
+}
+
+const newMasterKeyId = () => `mk-${new Date().toISOString().slice(0, 10)}-${randomBytes(4).toString('hex')}`;
@@ -0,0 +1,300 @@
+import crypto from 'crypto';
+import { db, COLLECTIONS } from '../config/firebase.js';
+import config from '../config/config.js';
+import { createRecord } from './records.service.js';
+import { FHIR_SYSTEMS, RECORD_TYPE_LOINC } from './fhir.service.js';
+import { isAllowedMimeType, verifyFileContent, MAX_BUNDLE_SIZE } from '../utils/multer.js';
+import { httpError } from '../utils/http-error.js';
+
+const LOINC = 'http://loinc.org';
+const DIAGNOSTIC_SECTIONS = 'http://terminology.hl7.org/CodeSystem/v2-0074';
+
+const RECORD_TYPES = [...Object.keys(RECORD_TYPE_LOINC), 'other'];
+
+// LOINC document codes we recognise (beyond the ones our export writes)
+const LOINC_RECORD_TYPES = {
+  '57833-6': 'prescription',       // Prescription for medication
+  '11502-2': 'lab_report',         // Laboratory report
+  '26436-6': 'lab_report',         // Laboratory studies
+  '18748-4': 'imaging',            // Diagnostic imaging study
+  '18726-0': 'imaging',            // Radiology studies
+  '18842-5': 'discharge_summary',  // Discharge summary
+  '34105-7': 'discharge_summary',  // Hospital discharge summary
+  '11369-6': 'vaccination',        // History of immunization narrative
+};
+
+// DiagnosticReport categories (HL7 v2 table 0074 — diagnostic service sections)
+const SECTION_RECORD_TYPES = {
+  LAB: 'lab_report', HM: 'lab_report', CH: 'lab_report', MB: 'lab_report', SR: 'lab_report',
+  BLB: 'lab_report', IMM: 'lab_report', SP: 'lab_report', CP: 'lab_report',
+  RX: 'xray',
+  RAD: 'imaging', CT: 'imaging', NMR: 'imaging', NMS: 'imaging', RUS: 'imaging', VUS: 'imaging', XRC: 'imaging',
+};
+
+const DOCUMENT_TYPES = ['DocumentReference', 'DiagnosticReport'];
+const SKIPPED_STATUSES = ['entered-in-error', 'cancelled', 'superseded'];
+
+/**
+ * Import the documents of a FHIR R4 Bundle as new records, one record per
+ * `DocumentReference` / `DiagnosticReport` with its attachments as the first
+ * version, each written as an `import` commit.
+ *
+ * Attachments are taken from inline `data` or from a `Binary` in the same
+ * bundle; external URLs are never fetched. Entries are processed one at a
+ * time and never fail the whole import — every entry gets a report line:
+ * `imported` (with the new record), `skipped` (with a reason) or `failed`.
+ * Documents imported before (same identifier) are skipped, so a bundle can be
+ * re-sent after a partial failure.
+ *
+ * @param {Object} params
+ * @param {string} params.patientId
+ * @param {Object} params.bundle - Validated FHIR Bundle
+ * @returns {Promise<{ summary: Object, entries: Object[] }>}
+ */
+export const importBundle = async ({ patientId, bundle }) => {
+  const entries = bundle.entry || [];
+
+  const documentCount = entries.filter((e) => DOCUMENT_TYPES.includes(e.resource.resourceType)).length;
+  if (documentCount > config.fhir.maxImportDocuments) {
+    throw httpError(
+      413,
+      `Bundle has ${documentCount} documents — import at most ${config.fhir.maxImportDocuments} per request.`,
+      'FHIR_IMPORT_TOO_LARGE'
+    );
+  }
+
+  // Attachments may reference other entries by fullUrl or by "Binary/{id}"
+  const byReference = new Map();
+  entries.forEach((entry, index) => {
+    const { resource } = entry;
+    if (entry.fullUrl) byReference.set(entry.fullUrl, index);
+    if (resource.id) byReference.set(`${resource.resourceType}/${resource.id}`, index);
+  });
+
+  const existingSnap = await db
+    .collection(COLLECTIONS.RECORDS)
+    .where('patientId', '==', patientId)
+    .select('importedFrom')
+    .get();
+  const importedKeys = new Set(existingSnap.docs.map((d) => d.get('importedFrom.sourceKey')).filter(Boolean));
+
+  const report = entries.map((entry, index) => ({
+    index,
+    resourceType: entry.resource.resourceType,
+    id: entry.resource.id || null,
+    status: 'skipped',
+    reason: `${entry.resource.resourceType} resources are not imported.`,
+  }));
+
+  for (const [index, entry] of entries.entries()) {
+    const { resource } = entry;
+    if (!DOCUMENT_TYPES.includes(resource.resourceType)) continue;
+
+    const line = report[index];
+    try {
+      Object.assign(line, await importDocument({
+        patientId,
+        entry,
+        entries,
+        byReference,
+        importedKeys,
+        onAttachment: (binaryIndex) => {
+          report[binaryIndex].reason = `Attachment of entry ${index}.`;
+        },
+      }));
+    } catch (err) {
+      if (!err.status || err.status >= 500) {
+        console.error(`FHIR import of entry ${index} failed:`, err.message);
+      }
+      Object.assign(line, {
+        status: 'failed',
+        reason: err.status && err.status < 500 ? err.message : 'The document could not be stored.',
+      });
+    }
+  }
+
+  const count = (status) => report.filter((r) => r.status === status).length;
+  return {
+    summary: {
+      entries: report.length,
+      documents: documentCount,
+      imported: count('imported'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+    },
+    entries: report,
+  };
+};
+
+// Returns the report fields for one document entry; throws (4xx) to fail it
+const importDocument = async ({ patientId, entry, entries, byReference, importedKeys, onAttachment }) => {
+  const { resource } = entry;
+
+  if (SKIPPED_STATUSES.includes(resource.status)) {
+    return { status: 'skipped', reason: `Status is ${resource.status}.` };
+  }
+
+  const sourceKey = sourceKeyOf(entry);
+  if (importedKeys.has(sourceKey)) {
+    return { status: 'skipped', reason: 'Already imported.' };
+  }
+
+  const attachments = resource.resourceType === 'DocumentReference'
+    ? (resource.content || []).map((c) => c.attachment).filter(Boolean)
+    : resource.presentedForm || [];
+
+  const files = [];
+  const warnings = [];
+  for (const attachment of attachments) {
+    const resolved = resolveAttachment(attachment, entries, byReference);
+    if (resolved.skip) {
+      warnings.push({ code: 'ATTACHMENT_SKIPPED', message: resolved.skip });
+      continue;
+    }
+    if (resolved.binaryIndex !== undefined) onAttachment(resolved.binaryIndex);
+    files.push(verifyAttachment(attachment, resolved));
+  }
+
+  if (!files.length) {
+    return {
+      status: 'skipped',
+      reason: attachments.length
+        ? 'No attachment could be imported.'
+        : 'Has no attachments — only documents with files are imported.',
+      warnings,
+    };
+  }
+
+  const totalSize = files.reduce((sum, f) => sum + f.size, 0);
+  if (totalSize > MAX_BUNDLE_SIZE) {
+    throw httpError(413, `Attachments exceed ${config.uploads.maxBundleSizeMb}MB.`);
+  }
+
+  const fields = documentFields(resource, files);
+  const { record, warnings: recordWarnings } = await createRecord({
+    patientId,
+    fields,
+    files,
+    importedFrom: {
+      format: 'fhir',
+      resourceType: resource.resourceType,
+      resourceId: resource.id || null,
+      fullUrl: entry.fullUrl || null,
+      sourceKey,
+    },
+  });
+  importedKeys.add(sourceKey);
+
+  return {
+    status: 'imported',
+    reason: undefined,
+    recordId: record.id,
+    title: record.title,
+    recordType: record.recordType,
+    fileCount: files.length,
+    warnings: [...warnings, ...recordWarnings],
+  };
+};
+
+// Stable identity of a source document: business identifier first, then its URL
+const sourceKeyOf = ({ resource, fullUrl }) => {
+  const identifier = resource.masterIdentifier || resource.identifier?.[0];
+  const key = identifier?.value
+    ? `${identifier.system || ''}|${identifier.value}`
+    : fullUrl || `${resource.resourceType}/${resource.id}`;
+  return crypto.createHash('sha256').update(`${resource.resourceType}:${key}`).digest('hex');
+};
+
+const resolveAttachment = (attachment, entries, byReference) => {
+  if (attachment.data) {
+    return { contentType: attachment.contentType, data: attachment.data };
+  }
+  if (!attachment.url) return { skip: 'Attachment has neither data nor url.' };
+
+  const binaryIndex = byReference.get(attachment.url);
+  const binary = entries[binaryIndex]?.resource;
+  if (binary?.resourceType !== 'Binary') {
+    return { skip: `Attachment ${attachment.url} is not in the bundle — external URLs are not fetched.` };
+  }
+  if (!binary.data) return { skip: `Binary ${attachment.url} has no data.` };
+
+  return { contentType: attachment.contentType || binary.contentType, data: binary.data, binaryIndex };
+};
+
+// Decode an attachment into a verified file, checking its declared size and hashes
+const verifyAttachment = (attachment, { contentType, data }) => {
+  if (!contentType || !isAllowedMimeType(contentType)) {
+    throw httpError(415, `Attachment type ${contentType || '(none)'} not allowed. Allowed types: PDF, JPEG, PNG, WEBP, GIF, DICOM`);
+  }
+
+  const buffer = Buffer.from(data, 'base64');
+  if (attachment.size !== undefined && attachment.size !== buffer.length) {
+    throw httpError(422, `Attachment is ${buffer.length} bytes but declares size ${attachment.size}.`);
+  }
+  // FHIR's attachment hash is a base64 SHA-1
+  if (attachment.hash && crypto.createHash('sha1').update(buffer).digest('base64') !== attachment.hash) {
+    throw httpError(422, 'Attachment does not match its hash.');
+  }
+
+  return verifyFileContent({
+    buffer,
+    size: buffer.length,
+    mimetype: contentType,
+    originalname: attachment.title || 'attachment',
+  });
+};
+
+const documentFields = (resource, files) => {
+  const isReport = resource.resourceType === 'DiagnosticReport';
+  const concept = isReport ? resource.code : resource.type;
+
+  const title = [
+    !isReport && resource.description,
+    concept?.text,
+    concept?.coding?.find((c) => c.display)?.display,
+    files[0].originalname,
+  ].find((t) => typeof t === 'string' && t.trim().length >= 2)?.trim() || 'Imported document';
+
+  const issuedDate = [
+    ...(isReport
+      ? [resource.effectiveDateTime, resource.effectivePeriod?.start, resource.issued]
+      : [resource.date, resource.content?.[0]?.attachment?.creation]),
+  ].find((d) => d && !Number.isNaN(Date.parse(d)));
+
+  const issuedBy = isReport
+    ? resource.performer?.[0]?.display
+    : resource.custodian?.display || resource.author?.[0]?.display;
+
+  return {
+    title: title.slice(0, 200),
+    recordType: mapRecordType(resource),
+    description: (isReport ? resource.conclusion : null)?.slice(0, 1000) || null,
+    tags: [],
+    issuedBy: issuedBy?.slice(0, 100) || null,
+    issuedDate: issuedDate || null,
+    commitMessage: `Import ${resource.resourceType} "${title.slice(0, 200)}" from FHIR bundle`,
+  };
+};
+
+/**
+ * Map a document's FHIR type/category codings onto our `recordType` enum:
+ * our own record-type codes first (round-trips an export), then LOINC
+ * document codes, then DiagnosticReport service sections. Anything else is
+ * `other`.
+ */
+const mapRecordType = (resource) => {
+  const codings = [resource.type, resource.code, ...(resource.category || [])]
+    .filter(Boolean)
+    .flatMap((concept) => concept.coding || []);
+
+  const own = codings.find((c) => c.system === FHIR_SYSTEMS.recordType && RECORD_TYPES.includes(c.code));
+  if (own) return own.code;
+
+  const loinc = codings.find((c) => c.system === LOINC && LOINC_RECORD_TYPES[c.code]);
+  if (loinc) return LOINC_RECORD_TYPES[loinc.code];
+
+  const section = codings.find((c) => c.system === DIAGNOSTIC_SECTIONS && SECTION_RECORD_TYPES[c.code]);
+  if (section) return SECTION_RECORD_TYPES[section.code];
+
+  return 'other';
+};
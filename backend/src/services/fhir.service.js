@@ -0,0 +1,430 @@
+import { db, COLLECTIONS } from '../config/firebase.js';
+import config from '../config/config.js';
+import { canReadRecord } from './access.service.js';
+import { isGrantLive } from './access-lifecycle.service.js';
+import { readStoredFile, versionFiles } from './storage.service.js';
+import { httpError } from '../utils/http-error.js';
+
+/**
+ * FHIR R4 mapping of a patient's repository:
+ *
+ *   patient profile      → Patient
+ *   doctors              → Practitioner
+ *   record version       → DocumentReference (older versions `superseded`, linked by `relatesTo`)
+ *   stored file          → Binary
+ *   lab observation      → Observation
+ *   access grant         → Consent
+ *   commit               → Provenance
+ *
+ * Our own identifiers and codes live under `config.fhir.baseUrl`, which is
+ * also the base of every entry's `fullUrl` so relative references resolve
+ * inside the bundle.
+ */
+
+const BASE = config.fhir.baseUrl;
+export const FHIR_SYSTEMS = {
+  recordType: `${BASE}/CodeSystem/record-type`,
+  changeType: `${BASE}/CodeSystem/change-type`,
+  recordState: `${BASE}/CodeSystem/record-state`,
+  recordId: `${BASE}/sid/record`,
+  patientId: `${BASE}/sid/patient`,
+  license: `${BASE}/sid/medical-license`,
+  contentSha256: `${BASE}/StructureDefinition/content-sha256`,
+  commitHash: `${BASE}/StructureDefinition/commit-hash`,
+  previousCommitHash: `${BASE}/StructureDefinition/previous-commit-hash`,
+};
+
+const LOINC = 'http://loinc.org';
+
+// Closest LOINC document type for each record type (`other` has none)
+export const RECORD_TYPE_LOINC = {
+  prescription: { code: '57833-6', display: 'Prescription for medication' },
+  lab_report: { code: '11502-2', display: 'Laboratory report' },
+  xray: { code: '18748-4', display: 'Diagnostic imaging study' },
+  imaging: { code: '18748-4', display: 'Diagnostic imaging study' },
+  discharge_summary: { code: '18842-5', display: 'Discharge summary' },
+  vaccination: { code: '11369-6', display: 'History of Immunization Narrative' },
+};
+
+const DATA_OPERATION = {
+  initial_upload: 'CREATE',
+  import: 'CREATE',
+  record_deleted: 'DELETE',
+};
+
+const INTERPRETATION = { low: 'L', high: 'H', normal: 'N' };
+
+const FETCH_CONCURRENCY = 4;
+
+/**
+ * Build a FHIR `collection` Bundle of everything the caller may see.
+ *
+ * @param {Object}      params
+ * @param {string}      params.patientId
+ * @param {Object|null} params.access      - The doctor's approved grant, or null for the patient
+ * @param {string}      [params.doctorId]  - Calling doctor (their own grants are the only Consents shown)
+ * @param {'inline'|'url'} [params.attachments] - Embed file bytes as Binary resources, or link to the content endpoint
+ * @param {string}      params.apiBaseUrl  - e.g. `https://api.example.com` — used for `url` attachments
+ * @returns {Promise<Object>} The Bundle
+ */
+export const buildPatientBundle = async ({ patientId, access, doctorId, attachments = 'inline', apiBaseUrl }) => {
+  const patientDoc = await db.collection(COLLECTIONS.PATIENTS).doc(patientId).get();
+  if (!patientDoc.exists) throw httpError(404, 'Patient not found.');
+
+  const [recordsSnap, commitsSnap, grantsSnap, observationsSnap] = await Promise.all([
+    db.collection(COLLECTIONS.RECORDS).where('patientId', '==', patientId).get(),
+    db.collection(COLLECTIONS.COMMITS).where('patientId', '==', patientId).get(),
+    access
+      ? db.collection(COLLECTIONS.ACCESS_REQUESTS)
+        .where('patientId', '==', patientId)
+        .where('doctorId', '==', doctorId)
+        .get()
+      : db.collection(COLLECTIONS.ACCESS_REQUESTS).where('patientId', '==', patientId).get(),
+    db.collection(COLLECTIONS.OBSERVATIONS).where('patientId', '==', patientId).get(),
+  ]);
+
+  // Doctors get the same view as their listings: unarchived records their grant covers
+  const records = recordsSnap.docs
+    .map((d) => d.data())
+    .filter((r) => !access || (!r.isArchived && canReadRecord(access, r)));
+  const recordIds = new Set(records.map((r) => r.id));
+
+  const versionsByRecord = new Map();
+  for (let i = 0; i < records.length; i += FETCH_CONCURRENCY) {
+    await Promise.all(records.slice(i, i + FETCH_CONCURRENCY).map(async (record) => {
+      const snap = await db
+        .collection(COLLECTIONS.RECORDS).doc(record.id)
+        .collection(COLLECTIONS.RECORD_VERSIONS)
+        .orderBy('versionNumber', 'asc')
+        .get();
+      versionsByRecord.set(record.id, snap.docs.map((d) => d.data()));
+    }));
+  }
+
+  const commits = commitsSnap.docs
+    .map((d) => d.data())
+    .filter((c) => !access || (c.recordType && canReadRecord(access, { id: c.recordId, recordType: c.recordType })))
+    .sort((a, b) => a.createdAt.toMillis() - b.createdAt.toMillis());
+  const grants = grantsSnap.docs.map((d) => d.data());
+  const observations = observationsSnap.docs
+    .map((d) => d.data())
+    .filter((o) => recordIds.has(o.recordId));
+
+  // Binaries — reverted and merged versions share stored files, so each path appears once
+  const binaries = new Map(); // storagePath → { id, file }
+  for (const versions of versionsByRecord.values()) {
+    for (const version of versions) {
+      for (const file of versionFiles(version)) {
+        if (!binaries.has(file.storagePath)) {
+          binaries.set(file.storagePath, { id: `${version.id}-${file.index}`, versionId: version.id, file });
+        }
+      }
+    }
+  }
+
+  let binaryResources = [];
+  if (attachments === 'inline') {
+    const totalBytes = [...binaries.values()].reduce((sum, { file }) => sum + (file.fileSize || 0), 0);
+    if (totalBytes > config.fhir.maxInlineAttachmentsMb * 1024 * 1024) {
+      throw httpError(
+        413,
+        `Files total more than ${config.fhir.maxInlineAttachmentsMb}MB — export with ?attachments=url to link them instead.`,
+        'FHIR_EXPORT_TOO_LARGE'
+      );
+    }
+    binaryResources = await buildBinaries([...binaries.values()]);
+  }
+
+  const doctorIds = new Set([
+    ...grants.map((g) => g.doctorId),
+    ...commits.filter((c) => c.committedByRole === 'doctor').map((c) => c.committedBy),
+  ]);
+  const doctors = doctorIds.size
+    ? (await db.getAll(...[...doctorIds].map((id) => db.collection(COLLECTIONS.DOCTORS).doc(id))))
+      .filter((d) => d.exists)
+      .map((d) => d.data())
+    : [];
+
+  const versionIds = new Set();
+  const documentReferences = records.flatMap((record) =>
+    versionsByRecord.get(record.id).map((version, i, versions) => {
+      versionIds.add(version.id);
+      return toDocumentReference(record, version, versions[i - 1], {
+        binaryId: (file) => binaries.get(file.storagePath).id,
+        attachments,
+        apiBaseUrl,
+      });
+    })
+  );
+
+  const resources = [
+    toPatient(patientDoc.data()),
+    ...doctors.map(toPractitioner),
+    ...documentReferences,
+    ...binaryResources,
+    ...observations.map(toObservation),
+    ...grants.map(toConsent),
+    ...commits.map((c) => toProvenance(c, versionIds)),
+  ];
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: resources.map((resource) => ({
+      fullUrl: `${BASE}/${resource.resourceType}/${resource.id}`,
+      resource,
+    })),
+  };
+};
+
+const buildBinaries = async (entries) => {
+  const resources = new Array(entries.length);
+  for (let i = 0; i < entries.length; i += FETCH_CONCURRENCY) {
+    await Promise.all(entries.slice(i, i + FETCH_CONCURRENCY).map(async ({ id, versionId, file }, offset) => {
+      const content = await readStoredFile(file);
+      resources[i + offset] = {
+        resourceType: 'Binary',
+        id,
+        contentType: file.mimeType,
+        securityContext: { reference: `DocumentReference/${versionId}` },
+        data: content.toString('base64'),
+      };
+    }));
+  }
+  return resources;
+};
+
+// ─── Resource mappers ─────────────────────────────────────────────────────────
+
+const iso = (ts) => (ts?.toDate ? ts.toDate().toISOString() : ts || undefined);
+
+const agentReference = (uid, role) => ({
+  reference: role === 'doctor' ? `Practitioner/${uid}` : `Patient/${uid}`,
+});
+
+const FHIR_GENDER = { male: 'male', female: 'female', other: 'other', prefer_not_to_say: 'unknown' };
+
+const toPatient = (patient) => ({
+  resourceType: 'Patient',
+  id: patient.uid,
+  identifier: [{ system: FHIR_SYSTEMS.patientId, value: patient.uid }],
+  name: [{ text: patient.displayName }],
+  gender: FHIR_GENDER[patient.gender] || 'unknown',
+  birthDate: patient.dateOfBirth ? String(patient.dateOfBirth).slice(0, 10) : undefined,
+  telecom: patient.phone ? [{ system: 'phone', value: patient.phone }] : undefined,
+  contact: patient.emergencyContact
+    ? [{
+        relationship: [{ text: patient.emergencyContact.relation }],
+        name: { text: patient.emergencyContact.name },
+        telecom: [{ system: 'phone', value: patient.emergencyContact.phone }],
+      }]
+    : undefined,
+});
+
+const toPractitioner = (doctor) => ({
+  resourceType: 'Practitioner',
+  id: doctor.uid,
+  identifier: doctor.licenseNumber
+    ? [{ system: FHIR_SYSTEMS.license, value: doctor.licenseNumber }]
+    : undefined,
+  name: [{ text: doctor.displayName }],
+  qualification: (doctor.qualifications || []).map((q) => ({ code: { text: q } })),
+});
+
+const toDocumentReference = (record, version, previous, { binaryId, attachments, apiBaseUrl }) => {
+  const loinc = RECORD_TYPE_LOINC[record.recordType];
+  return {
+    resourceType: 'DocumentReference',
+    id: version.id,
+    meta: {
+      versionId: String(version.versionNumber),
+      lastUpdated: iso(version.createdAt),
+      tag: record.isArchived ? [{ system: FHIR_SYSTEMS.recordState, code: 'archived' }] : undefined,
+    },
+    masterIdentifier: { system: 'urn:ietf:rfc:3986', value: `urn:uuid:${version.id}` },
+    identifier: [{ system: FHIR_SYSTEMS.recordId, value: record.id }],
+    status: version.id === record.currentVersionId ? 'current' : 'superseded',
+    docStatus: 'final',
+    type: {
+      coding: [
+        ...(loinc ? [{ system: LOINC, ...loinc }] : []),
+        { system: FHIR_SYSTEMS.recordType, code: record.recordType },
+      ],
+      text: record.title,
+    },
+    category: [{ coding: [{ system: FHIR_SYSTEMS.recordType, code: record.recordType }] }],
+    subject: { reference: `Patient/${record.patientId}` },
+    date: iso(version.createdAt),
+    author: [agentReference(version.committedBy, version.committedByRole)],
+    description: record.description || record.title,
+    relatesTo: previous
+      ? [{ code: 'replaces', target: { reference: `DocumentReference/${previous.id}` } }]
+      : undefined,
+    content: versionFiles(version).map((file) => ({
+      attachment: {
+        contentType: file.mimeType,
+        url: attachments === 'inline'
+          ? `Binary/${binaryId(file)}`
+          : `${apiBaseUrl}/api/records/${record.id}/versions/${version.id}/content?file=${file.index}`,
+        size: file.fileSize,
+        title: file.fileName,
+        creation: record.issuedDate || undefined,
+      },
+      ...(file.contentHash && {
+        extension: [{ url: FHIR_SYSTEMS.contentSha256, valueString: file.contentHash }],
+      }),
+    })),
+    context: record.issuedBy ? { related: [{ display: record.issuedBy }] } : undefined,
+  };
+};
+
+const toObservation = (o) => ({
+  resourceType: 'Observation',
+  id: o.id,
+  status: 'final',
+  category: [{
+    coding: [{
+      system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+      code: 'laboratory',
+    }],
+  }],
+  code: { coding: [{ system: LOINC, code: o.code, display: o.display || undefined }], text: o.display || o.code },
+  subject: { reference: `Patient/${o.patientId}` },
+  effectiveDateTime: iso(o.collectedAt),
+  issued: iso(o.createdAt),
+  valueQuantity: { value: o.value, unit: o.unit },
+  interpretation: o.flag
+    ? [{
+        coding: [{
+          system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+          code: INTERPRETATION[o.flag],
+        }],
+      }]
+    : undefined,
+  referenceRange: o.referenceRange
+    ? [{
+        low: o.referenceRange.low !== undefined ? { value: o.referenceRange.low, unit: o.unit } : undefined,
+        high: o.referenceRange.high !== undefined ? { value: o.referenceRange.high, unit: o.unit } : undefined,
+        text: o.referenceRange.text || undefined,
+      }]
+    : undefined,
+  note: o.note ? [{ text: o.note }] : undefined,
+  derivedFrom: [{ reference: `DocumentReference/${o.versionId}` }],
+});
+
+const CONSENT_STATUS = {
+  pending: 'proposed',
+  approved: 'active',
+  denied: 'rejected',
+  withdrawn: 'inactive',
+  revoked: 'inactive',
+  expired: 'inactive',
+};
+
+const toConsent = (grant) => {
+  const status = grant.status === 'approved' && !isGrantLive(grant) ? 'inactive' : CONSENT_STATUS[grant.status];
+  const recordTypes = grant.requestedRecordTypes || [];
+  const recordIds = grant.requestedRecordIds || [];
+  return {
+    resourceType: 'Consent',
+    id: grant.id,
+    status: status || 'inactive',
+    scope: {
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/consentscope', code: 'patient-privacy' }],
+    },
+    category: [{ coding: [{ system: LOINC, code: '59284-0', display: 'Patient Consent' }] }],
+    patient: { reference: `Patient/${grant.patientId}` },
+    dateTime: iso(grant.respondedAt || grant.requestedAt),
+    performer: [{ reference: `Patient/${grant.patientId}` }],
+    policyRule: {
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'OPTIN' }],
+    },
+    provision: {
+      type: 'permit',
+      period: grant.respondedAt
+        ? { start: iso(grant.respondedAt), end: iso(grant.revokedAt || grant.expiresAt) }
+        : undefined,
+      actor: [{
+        role: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ParticipationType', code: 'PRCP' }],
+        },
+        reference: { reference: `Practitioner/${grant.doctorId}`, display: grant.doctorName },
+      }],
+      action: [
+        { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/consentaction', code: 'access' }] },
+        ...(grant.accessLevel === 'read_write'
+          ? [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/consentaction', code: 'correct' }] }]
+          : []),
+      ],
+      ...consentScope(recordTypes, recordIds),
+    },
+  };
+};
+
+// What a grant covers: whole record types (`class`) and/or single records
+// (`data`, by record identifier). Both together are permits nested under a
+// deny, since FHIR reads restrictions on one provision as "and".
+const consentScope = (recordTypes, recordIds) => {
+  // 'all' grants cover every record type — no restriction to list
+  if (recordTypes.includes('all')) return {};
+
+  const byType = recordTypes.length
+    ? { class: recordTypes.map((code) => ({ system: FHIR_SYSTEMS.recordType, code })) }
+    : null;
+  const byRecord = recordIds.length
+    ? {
+        data: recordIds.map((value) => ({
+          meaning: 'instance',
+          reference: { identifier: { system: FHIR_SYSTEMS.recordId, value } },
+        })),
+      }
+    : null;
+
+  if (byType && byRecord) {
+    return { type: 'deny', provision: [{ type: 'permit', ...byType }, { type: 'permit', ...byRecord }] };
+  }
+  return byType || byRecord || {};
+};
+
+const toProvenance = (commit, versionIds) => ({
+  resourceType: 'Provenance',
+  id: commit.id,
+  // Versions outside the bundle (deleted or out of scope) are referenced by record identifier
+  target: [
+    commit.versionId && versionIds.has(commit.versionId)
+      ? { reference: `DocumentReference/${commit.versionId}` }
+      : {
+          identifier: { system: FHIR_SYSTEMS.recordId, value: commit.recordId },
+          display: commit.recordTitle || undefined,
+        },
+  ],
+  recorded: iso(commit.createdAt),
+  activity: {
+    coding: [
+      {
+        system: 'http://terminology.hl7.org/CodeSystem/v3-DataOperation',
+        code: DATA_OPERATION[commit.changeType] || 'UPDATE',
+      },
+      { system: FHIR_SYSTEMS.changeType, code: commit.changeType },
+    ],
+    text: commit.commitMessage,
+  },
+  agent: [{
+    type: {
+      coding: [{
+        system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type',
+        code: 'author',
+      }],
+    },
+    who: agentReference(commit.committedBy, commit.committedByRole),
+  }],
+  extension: commit.hash
+    ? [
+        { url: FHIR_SYSTEMS.commitHash, valueString: commit.hash },
+        ...(commit.previousCommitHash
+          ? [{ url: FHIR_SYSTEMS.previousCommitHash, valueString: commit.previousCommitHash }]
+          : []),
+      ]
+    : undefined,
+});
@@ -0,0 +1,161 @@
+import { createHash } from 'crypto';
+import { db, COLLECTIONS } from '../config/firebase.js';
+import { openStoredFile, versionFiles } from './storage.service.js';
+
+/**
+ * SHA-256 of a file's bytes, as stored on every version (`contentHash`).
+ */
+export const hashContent = (buffer) => createHash('sha256').update(buffer).digest('hex');
+
+// hashContent of a stored file, streamed — stored files can be far too large to buffer
+const hashStoredFile = async (file) => {
+  const hash = createHash('sha256');
+  const opened = await openStoredFile(file);
+  for await (const chunk of opened.createReadStream()) hash.update(chunk);
+  return hash.digest('hex');
+};
+
+/**
+ * `contentHash` of a multi-file version: SHA-256 over the manifest's file
+ * names and content hashes, in bundle order.
+ */
+export const hashManifest = (files) =>
+  createHash('sha256')
+    .update(canonicalize(files.map(({ fileName, contentHash }) => ({ fileName, contentHash }))))
+    .digest('hex');
+
+/**
+ * SHA-256 over every field of a commit except its own `hash`.
+ * Keys are sorted and Timestamps serialised exactly, so the hash can be
+ * recomputed from the document as read back from Firestore.
+ */
+export const hashCommit = (commit) => {
+  const { hash, ...fields } = commit;
+  return createHash('sha256').update(canonicalize(fields)).digest('hex');
+};
+
+/**
+ * Re-hash a patient's stored files and walk their commit chain.
+ *
+ * Reports a break when:
+ * - `hash_mismatch`     a commit's fields no longer match its stored hash
+ * - `chain_broken`      a commit's previousCommitHash doesn't match the commit it points at
+ * - `missing_commit`    a commit points at a commit that no longer exists
+ * - `orphaned_commit`   a chained commit is not reachable from the chain head
+ * - `content_mismatch`  a stored file no longer matches its version's contentHash
+ *                       (or, if encrypted, no longer decrypts)
+ * - `manifest_mismatch` a bundle's file list no longer matches its version's contentHash
+ * - `missing_file`      a version's file is gone from the bucket
+ *
+ * Commits written before hash chaining existed carry no hash and are only counted.
+ */
+export const verifyPatientRepository = async (patientId) => {
+  const breaks = [];
+
+  const [patientDoc, commitsSnap, recordsSnap] = await Promise.all([
+    db.collection(COLLECTIONS.PATIENTS).doc(patientId).get(),
+    db.collection(COLLECTIONS.COMMITS).where('patientId', '==', patientId).get(),
+    db.collection(COLLECTIONS.RECORDS).where('patientId', '==', patientId).get(),
+  ]);
+
+  // ── Commit chain ──
+  const commits = new Map(commitsSnap.docs.map((d) => [d.id, d.data()]));
+  const chained = [...commits.values()].filter((c) => c.hash);
+
+  chained.forEach((c) => {
+    if (hashCommit(c) !== c.hash) {
+      breaks.push({ type: 'hash_mismatch', commitId: c.id, recordId: c.recordId });
+    }
+  });
+
+  const reachable = new Set();
+  let cursorId = patientDoc.data()?.headCommitId || null;
+  let expectedHash = patientDoc.data()?.headCommitHash || null;
+  while (cursorId) {
+    const c = commits.get(cursorId);
+    if (!c) {
+      breaks.push({ type: 'missing_commit', commitId: cursorId });
+      break;
+    }
+    if (reachable.has(cursorId)) break; // defensive: never loop on a corrupted chain
+    reachable.add(cursorId);
+
+    if (c.hash !== expectedHash) {
+      breaks.push({ type: 'chain_broken', commitId: c.id, recordId: c.recordId });
+    }
+    cursorId = c.previousCommitId;
+    expectedHash = c.previousCommitHash;
+  }
+
+  chained
+    .filter((c) => !reachable.has(c.id))
+    .forEach((c) => breaks.push({ type: 'orphaned_commit', commitId: c.id, recordId: c.recordId }));
+
+  // ── Stored files ──
+  const versionSnaps = await Promise.all(
+    recordsSnap.docs.map((d) => d.ref.collection(COLLECTIONS.RECORD_VERSIONS).get())
+  );
+  const versions = versionSnaps.flatMap((s) => s.docs.map((d) => d.data()));
+
+  // Reverts and merges share stored files — hash each path once
+  const hashesByPath = new Map();
+  let checkedFiles = 0;
+  for (const v of versions.filter((v) => v.contentHash)) {
+    if (v.files?.length > 1 && hashManifest(v.files) !== v.contentHash) {
+      breaks.push({ type: 'manifest_mismatch', recordId: v.recordId, versionId: v.id });
+    }
+
+    for (const file of versionFiles(v).filter((f) => f.contentHash)) {
+      if (!hashesByPath.has(file.storagePath)) {
+        let actual = null;
+        try {
+          actual = await hashStoredFile(file);
+        } catch (err) {
+          if (err.code === 404) actual = null;
+          // Encrypted files that fail GCM authentication were modified in the bucket
+          else if (file.encrypted) actual = 'undecryptable';
+          else throw err;
+        }
+        hashesByPath.set(file.storagePath, actual);
+        checkedFiles++;
+      }
+
+      const actual = hashesByPath.get(file.storagePath);
+      const fileBreak = { recordId: v.recordId, versionId: v.id, ...(v.files?.length > 1 && { fileIndex: file.index }) };
+      if (actual === null) {
+        breaks.push({ type: 'missing_file', ...fileBreak });
+      } else if (actual !== file.contentHash) {
+        breaks.push({ type: 'content_mismatch', ...fileBreak });
+      }
+    }
+  }
+
+  return {
+    patientId,
+    verified: breaks.length === 0,
+    headCommitId: patientDoc.data()?.headCommitId || null,
+    checkedCommits: chained.length,
+    unchainedCommits: commits.size - chained.length,
+    checkedVersions: versions.filter((v) => v.contentHash).length,
+    unhashedVersions: versions.filter((v) => !v.contentHash).length,
+    checkedFiles,
+    breaks,
+  };
+};
+
+// Deterministic JSON: sorted keys, Timestamps as seconds.nanoseconds
+const canonicalize = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value.toMillis === 'function' && 'nanoseconds' in value) {
+    return JSON.stringify(`${value.seconds}.${String(value.nanoseconds).padStart(9, '0')}`);
+  }
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalize(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
@@ -0,0 +1,50 @@
+/**
+ * Structured lab results ("observations") attached to lab_report versions.
+ * Codes are free text but should be LOINC codes (e.g. 4548-4 for HbA1c) so
+ * results from different labs line up in one series.
+ */
+
+/**
+ * Compare a value with its reference range: `low`, `high`, `normal`, or null
+ * when the range has no numeric bounds.
+ */
+export const flagObservation = (value, referenceRange) => {
+  const { low, high } = referenceRange || {};
+  if (low === undefined && high === undefined) return null;
+  if (low !== undefined && value < low) return 'low';
+  if (high !== undefined && value > high) return 'high';
+  return 'normal';
+};
+
+/**
+ * Build the time series for one analyte from its observations (oldest first).
+ * Units are reported as found — results in different units are never converted.
+ */
+export const buildSeries = (code, observations) => {
+  const points = observations.map((o) => ({
+    id: o.id,
+    collectedAt: o.collectedAt,
+    value: o.value,
+    unit: o.unit,
+    referenceRange: o.referenceRange,
+    flag: o.flag,
+    outOfRange: o.flag === 'low' || o.flag === 'high',
+    recordId: o.recordId,
+    versionId: o.versionId,
+  }));
+
+  const values = points.map((p) => p.value);
+  return {
+    code,
+    display: observations.findLast((o) => o.display)?.display || null,
+    units: [...new Set(points.map((p) => p.unit))],
+    points,
+    summary: {
+      count: points.length,
+      outOfRange: points.filter((p) => p.outOfRange).length,
+      min: points.length ? Math.min(...values) : null,
+      max: points.length ? Math.max(...values) : null,
+      latest: points.at(-1) || null,
+    },
+  };
+};
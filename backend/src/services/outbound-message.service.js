@@ -0,0 +1,33 @@
+import { db, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Queue a message for someone outside the app (e.g. a patient's emergency
+ * contact, who has no Medilocker account). Messages are written to
+ * `outbound_messages` with status `queued`; the `deliverOutboundMessage` Cloud
+ * Function sends them and records the outcome. Returns the message, or
+ * undefined if it could not be queued.
+ *
+ * Keep bodies free of clinical details — SMS is not a secure channel.
+ */
+export const queueOutboundMessage = async ({ channel = 'sms', to, recipientName, body, metadata = {} }) => {
+  try {
+    const message = {
+      id: uuidv4(),
+      channel,
+      to,
+      recipientName: recipientName || null,
+      body,
+      metadata,
+      status: 'queued', // queued | sending | sent | failed (set by deliverOutboundMessage)
+      attempts: 0,
+      createdAt: Timestamp.now(),
+      sentAt: null,
+    };
+
+    await db.collection(COLLECTIONS.OUTBOUND_MESSAGES).doc(message.id).set(message);
+    return message;
+  } catch (err) {
+    console.error('queueOutboundMessage failed:', err.message);
+  }
+};
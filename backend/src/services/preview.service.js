@@ -0,0 +1,103 @@
+import sharp from 'sharp';
+import { db, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import { readStoredFile, uploadPatientFile } from './storage.service.js';
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const PDF_MIME_TYPE = 'application/pdf';
+
+const PREVIEW_MAX_SIZE = 320;      // thumbnails fit inside this square (px)
+const PDF_RENDER_SCALE = 1.5;      // first page is rendered at 108 dpi, then downscaled
+export const PREVIEW_MIME_TYPE = 'image/webp';
+
+/**
+ * Initial `preview` field for a new version: `pending` if a preview will be
+ * generated for its file type, `unsupported` otherwise.
+ */
+export const initialPreview = (mimeType) => ({
+  status: IMAGE_MIME_TYPES.includes(mimeType) || mimeType === PDF_MIME_TYPE ? 'pending' : 'unsupported',
+});
+
+/**
+ * Generate a version's preview in the background so uploads return straight
+ * away. The version's `preview.status` moves from `pending` to `ready` (or
+ * `failed`); failures are logged and never surface to the uploader.
+ */
+export const schedulePreview = (version) => {
+  if (version.preview?.status !== 'pending') return;
+  setImmediate(() => {
+    generatePreview(version).catch((err) => {
+      console.error(`Preview generation failed for version ${version.id}:`, err.message);
+    });
+  });
+};
+
+/**
+ * Render a thumbnail (images) or first-page image (PDFs) for a version and
+ * store it next to the version's file, encrypted like the file itself.
+ */
+export const generatePreview = async (version) => {
+  const versionRef = db
+    .collection(COLLECTIONS.RECORDS).doc(version.recordId)
+    .collection(COLLECTIONS.RECORD_VERSIONS).doc(version.id);
+
+  try {
+    const content = await readStoredFile(version);
+    const source = version.mimeType === PDF_MIME_TYPE ? await renderFirstPage(content) : content;
+
+    const { data, info } = await sharp(source, { animated: false })
+      .rotate() // respect EXIF orientation from phone photos
+      .resize(PREVIEW_MAX_SIZE, PREVIEW_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer({ resolveWithObject: true });
+
+    const storagePath = `${version.storagePath.replace(/\.[^./]+$/, '')}_preview.webp`;
+    const encrypted = await uploadPatientFile(storagePath, data, {
+      patientId: version.patientId,
+      contentType: PREVIEW_MIME_TYPE,
+      metadata: { recordId: version.recordId, versionId: version.id },
+    });
+
+    const preview = {
+      status: 'ready',
+      storagePath,
+      mimeType: PREVIEW_MIME_TYPE,
+      width: info.width,
+      height: info.height,
+      fileSize: data.length,
+      encrypted,
+      generatedAt: Timestamp.now(),
+    };
+    await versionRef.update({ preview });
+    return preview;
+  } catch (err) {
+    // The record may have been deleted while the preview was rendering
+    await versionRef
+      .update({ preview: { status: 'failed', error: err.message, generatedAt: Timestamp.now() } })
+      .catch(() => {});
+    throw err;
+  }
+};
+
+// mupdf is a WASM build — load it on first use rather than at startup
+let mupdf = null;
+
+const renderFirstPage = async (pdfBuffer) => {
+  mupdf ??= await import('mupdf');
+
+  const doc = mupdf.Document.openDocument(pdfBuffer, PDF_MIME_TYPE);
+  try {
+    if (doc.countPages() === 0) throw new Error('PDF has no pages.');
+    const page = doc.loadPage(0);
+    const pixmap = page.toPixmap(
+      mupdf.Matrix.scale(PDF_RENDER_SCALE, PDF_RENDER_SCALE),
+      mupdf.ColorSpace.DeviceRGB,
+      false
+    );
+    const png = Buffer.from(pixmap.asPNG());
+    pixmap.destroy();
+    page.destroy();
+    return png;
+  } finally {
+    doc.destroy();
+  }
+};
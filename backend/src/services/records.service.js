@@ -0,0 +1,277 @@
+import { db, bucket, FieldValue, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import { v4 as uuidv4 } from 'uuid';
+import { logActivity } from './activity.service.js';
+import { updateDoctorStats } from './doctor-stats.service.js';
+import { assertDoctorWriteAccess } from './access.service.js';
+import { writeCommit } from './commit.service.js';
+import { storeUploadedFiles } from './bundle.service.js';
+import { versionFiles } from './storage.service.js';
+import { initialPreview, schedulePreview } from './preview.service.js';
+import { extractDicomMetadata } from './dicom.service.js';
+import { httpError } from '../utils/http-error.js';
+
+/**
+ * Create a record from uploaded file(s) as its first commit (version 1).
+ * Shared by the multipart upload endpoint, resumable upload sessions and
+ * FHIR imports.
+ *
+ * @param {Object}   params
+ * @param {string}   params.patientId
+ * @param {Object}   params.fields         - title, recordType, description, tags, issuedBy, issuedDate, commitMessage
+ * @param {Object[]} params.files          - Verified files ({ buffer, originalname, mimetype, extension, size };
+ *                                            streamed files as described in storeUploadedFiles)
+ * @param {Object}   [params.importedFrom] - Source of an imported record; makes the first commit an `import`
+ * @returns {Promise<{ record: Object, version: Object, warnings: Object[] }>}
+ */
+export const createRecord = async ({ patientId, fields, files, importedFrom = null }) => {
+  const { title, recordType, description, tags, issuedBy, issuedDate, commitMessage } = fields;
+  const changeType = importedFrom ? 'import' : 'initial_upload';
+
+  const recordId = uuidv4();
+  const versionId = uuidv4();
+  const now = Timestamp.now();
+  const { dicom, warnings } = await extractDicomMetadata(files, patientId);
+
+  // Upload the file(s) to Firebase Storage (encrypted under the patient's data key)
+  const stored = await storeUploadedFiles(files, {
+    patientId,
+    pathPrefix: `records/${patientId}/${recordId}/v1_${versionId}`,
+    metadata: {
+      patientId,
+      recordId,
+      versionId,
+      uploadedAt: now.toDate().toISOString(),
+    },
+  });
+
+  // Create the record document
+  const record = {
+    id: recordId,
+    patientId,
+    title,
+    recordType,
+    description: description || null,
+    tags: tags || [],
+    issuedBy: issuedBy || null,
+    issuedDate: issuedDate || null,
+    dicom, // imaging study metadata of the current version (DICOM only)
+    importedFrom,
+    currentVersion: 1,
+    currentVersionId: versionId,
+    totalVersions: 1,
+    isArchived: false,
+    createdAt: now,
+    updatedAt: now,
+    createdBy: patientId, // could be a doctor with write access
+  };
+
+  // Create the version document (a "commit")
+  const version = {
+    id: versionId,
+    recordId,
+    patientId,
+    versionNumber: 1,
+    commitMessage,
+    committedBy: patientId,
+    committedByRole: 'patient',
+    ...stored, // storagePath, fileName, fileSize, mimeType, contentHash, encrypted, fileCount, files
+    preview: initialPreview(stored.mimeType),
+    dicom,
+    changeType,
+    diff: null, // For text records, could store diff
+    createdAt: now,
+  };
+
+  // Commit log entry
+  const commit = {
+    id: uuidv4(),
+    recordId,
+    versionId,
+    patientId,
+    committedBy: patientId,
+    committedByRole: 'patient',
+    commitMessage,
+    changeType,
+    contentHash: stored.contentHash,
+    recordType,
+    createdAt: now,
+  };
+
+  // Atomic write, chained onto the patient's commit log
+  await writeCommit({
+    commit,
+    // Increment patient stats
+    patientUpdates: {
+      totalRecords: FieldValue.increment(1),
+      totalVersions: FieldValue.increment(1),
+      updatedAt: now,
+    },
+    writes: (tx) => {
+      tx.set(db.collection(COLLECTIONS.RECORDS).doc(recordId), record);
+      tx.set(
+        db.collection(COLLECTIONS.RECORDS).doc(recordId)
+          .collection(COLLECTIONS.RECORD_VERSIONS).doc(versionId),
+        version
+      );
+    },
+  });
+
+  schedulePreview(version);
+
+  await logActivity({
+    actorId: patientId,
+    actorRole: 'patient',
+    action: importedFrom ? 'record_imported' : 'record_uploaded',
+    resourceId: recordId,
+    metadata: { recordType, title },
+  });
+
+  return { record, version, warnings };
+};
+
+/**
+ * Load a record the caller may commit to: the patient who owns it or a doctor
+ * with write access, and not archived. Throws with `status` 404/403/409.
+ */
+export const loadWritableRecord = async ({ callerId, callerRole, recordId }) => {
+  const recordRef = db.collection(COLLECTIONS.RECORDS).doc(recordId);
+  const recordDoc = await recordRef.get();
+  if (!recordDoc.exists) throw httpError(404, 'Record not found.');
+
+  const record = recordDoc.data();
+
+  // Access check
+  if (callerRole === 'patient' && record.patientId !== callerId) {
+    throw httpError(403, 'Access denied.');
+  }
+
+  if (callerRole === 'doctor') {
+    await assertDoctorWriteAccess(callerId, record.patientId, record);
+  }
+
+  if (record.isArchived) {
+    throw httpError(409, 'Record is archived. Unarchive it before making changes.');
+  }
+
+  return { recordRef, record };
+};
+
+/**
+ * writeCommit `precondition` for a new version built on `record` as loaded:
+ * inside the transaction the record must still be at that version and not
+ * archived. Two commits built on the same version would otherwise both take
+ * the next version number, the second silently replacing the first.
+ */
+export const assertRecordUnchanged = (recordRef, record) => async (tx) => {
+  const currentDoc = await tx.get(recordRef);
+  if (!currentDoc.exists) throw httpError(404, 'Record not found.');
+
+  const current = currentDoc.data();
+  if (current.currentVersionId !== record.currentVersionId || current.currentVersion !== record.currentVersion) {
+    throw httpError(
+      409,
+      `The record changed while this was being saved (it is now at version ${current.currentVersion}). Reload it and try again.`,
+      'RECORD_CHANGED'
+    );
+  }
+  if (current.isArchived) {
+    throw httpError(409, 'Record is archived. Unarchive it before making changes.');
+  }
+};
+
+/**
+ * Commit uploaded file(s) as a new version of an existing record
+ * (see loadWritableRecord for who may commit).
+ * Shared by the multipart endpoint and resumable upload sessions.
+ *
+ * @returns {Promise<{ record: Object, version: Object, warnings: Object[] }>}
+ */
+export const commitRecordVersion = async ({ callerId, callerRole, recordId, commitMessage, files }) => {
+  const { recordRef, record } = await loadWritableRecord({ callerId, callerRole, recordId });
+
+  const versionId = uuidv4();
+  const newVersionNumber = record.currentVersion + 1;
+  const now = Timestamp.now();
+  const { dicom, warnings } = await extractDicomMetadata(files, record.patientId);
+
+  const stored = await storeUploadedFiles(files, {
+    patientId: record.patientId,
+    pathPrefix: `records/${record.patientId}/${recordId}/v${newVersionNumber}_${versionId}`,
+  });
+
+  const version = {
+    id: versionId,
+    recordId,
+    patientId: record.patientId,
+    versionNumber: newVersionNumber,
+    commitMessage,
+    committedBy: callerId,
+    committedByRole: callerRole,
+    ...stored,
+    preview: initialPreview(stored.mimeType),
+    dicom,
+    changeType: 'update',
+    createdAt: now,
+  };
+
+  const commit = {
+    id: uuidv4(),
+    recordId,
+    versionId,
+    patientId: record.patientId,
+    committedBy: callerId,
+    committedByRole: callerRole,
+    commitMessage,
+    changeType: 'update',
+    contentHash: stored.contentHash,
+    recordType: record.recordType,
+    createdAt: now,
+  };
+
+  try {
+    await writeCommit({
+      commit,
+      patientUpdates: {
+        totalVersions: FieldValue.increment(1),
+        updatedAt: now,
+      },
+      precondition: assertRecordUnchanged(recordRef, record),
+      writes: (tx) => {
+        tx.update(recordRef, {
+          currentVersion: newVersionNumber,
+          currentVersionId: versionId,
+          totalVersions: FieldValue.increment(1),
+          dicom,
+          updatedAt: now,
+        });
+        tx.set(
+          recordRef.collection(COLLECTIONS.RECORD_VERSIONS).doc(versionId),
+          version
+        );
+      },
+    });
+  } catch (err) {
+    // Nothing points at the stored files yet
+    await Promise.all(
+      versionFiles(version).map((f) => bucket.file(f.storagePath).delete({ ignoreNotFound: true }))
+    ).catch((cleanupErr) => console.error('Removing uncommitted files failed:', cleanupErr.message));
+    throw err;
+  }
+
+  schedulePreview(version);
+
+  // Update doctor contribution graph if doctor made the commit
+  if (callerRole === 'doctor') {
+    await updateDoctorStats(callerId, { recordUpdated: true, patientId: record.patientId });
+  }
+
+  await logActivity({
+    actorId: callerId,
+    actorRole: callerRole,
+    action: 'record_version_added',
+    resourceId: recordId,
+    metadata: { versionNumber: newVersionNumber, commitMessage },
+  });
+
+  return { record, version, warnings };
+};
@@ -0,0 +1,361 @@
+import { createHash } from 'crypto';
+import { once } from 'events';
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir, readdir, rm, stat } from 'fs/promises';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { pipeline } from 'stream/promises';
+import { ZipArchive } from 'archiver';
+import { v4 as uuidv4 } from 'uuid';
+import { db, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import config, { ROOT_DIR } from '../config/config.js';
+import { httpError } from '../utils/http-error.js';
+import { readStoredFile, versionFiles } from './storage.service.js';
+import { uniqueName } from './bundle.service.js';
+import { createNotification } from './notification.service.js';
+
+/**
+ * Repository exports ("clones"): a patient asks for a copy of their whole
+ * repository and it is packaged in the background as a zip holding their
+ * profile, every record with every version's files, lab observations, access
+ * grants and the commit log, plus a manifest with a SHA-256 for every file.
+ *
+ * The archive is written to a temporary directory on this server (it holds
+ * decrypted files, so it never goes to the bucket), the patient is notified
+ * when it is ready, and it can be downloaded until it expires.
+ *
+ * Export status: pending → building → ready → expired, or failed.
+ */
+
+const settings = config.exports;
+const TTL_MS = settings.ttlHours * 60 * 60 * 1000;
+const BUILD_TIMEOUT_MS = settings.buildTimeoutMinutes * 60 * 1000;
+const TMP_DIR = path.resolve(ROOT_DIR, settings.tmpDir);
+
+export const EXPORT_FORMAT = 'medilocker-repository';
+const FORMAT_VERSION = 1;
+
+const exportsCollection = () => db.collection(COLLECTIONS.REPOSITORY_EXPORTS);
+const archivePath = (exportId) => path.join(TMP_DIR, `${exportId}.zip`);
+
+/**
+ * Queue an export of the patient's repository. Only one export may be in
+ * progress at a time.
+ */
+export const requestRepositoryExport = async (patientId) => {
+  const activeSnap = await exportsCollection()
+    .where('patientId', '==', patientId)
+    .where('status', 'in', ['pending', 'building'])
+    .limit(1)
+    .get();
+  if (!activeSnap.empty) {
+    throw httpError(409, 'An export is already being prepared.');
+  }
+
+  const now = Timestamp.now();
+  const repositoryExport = {
+    id: uuidv4(),
+    patientId,
+    status: 'pending',
+    fileSize: null,
+    sha256: null,
+    counts: null,
+    progress: null, // { recordsDone, records } while building
+    error: null,
+    requestedAt: now,
+    updatedAt: now,
+    completedAt: null,
+    expiresAt: null, // set when ready
+  };
+
+  await exportsCollection().doc(repositoryExport.id).set(repositoryExport);
+
+  setImmediate(() => {
+    buildRepositoryExport(repositoryExport).catch((err) => {
+      console.error(`Repository export ${repositoryExport.id} failed:`, err.message);
+    });
+  });
+
+  return repositoryExport;
+};
+
+/**
+ * Load an export the caller owns. Other users' exports are reported as not
+ * found rather than forbidden.
+ */
+export const loadRepositoryExport = async (exportId, patientId) => {
+  const doc = await exportsCollection().doc(exportId).get();
+  if (!doc.exists || doc.data().patientId !== patientId) throw httpError(404, 'Export not found.');
+  return doc.data();
+};
+
+/**
+ * Open a ready export's archive for download. Throws 409 while it is being
+ * built and 410 once it has expired.
+ */
+export const openRepositoryExport = async (repositoryExport) => {
+  if (['pending', 'building'].includes(repositoryExport.status)) {
+    throw httpError(409, 'The export is still being prepared.');
+  }
+  if (repositoryExport.status !== 'ready' || repositoryExport.expiresAt.toMillis() < Date.now()) {
+    throw httpError(410, 'This export is no longer available. Request a new one.');
+  }
+
+  const file = archivePath(repositoryExport.id);
+  const { size } = await stat(file).catch(() => {
+    throw httpError(410, 'This export is no longer available. Request a new one.');
+  });
+  return { size, createReadStream: () => createReadStream(file) };
+};
+
+/**
+ * Delete an export's archive before it expires.
+ */
+export const deleteRepositoryExport = async (repositoryExport) => {
+  if (['pending', 'building'].includes(repositoryExport.status)) {
+    throw httpError(409, 'The export is still being prepared.');
+  }
+  await rm(archivePath(repositoryExport.id), { force: true });
+  await exportsCollection().doc(repositoryExport.id).update({
+    status: 'expired',
+    updatedAt: Timestamp.now(),
+  });
+};
+
+/**
+ * Build the archive, then mark the export ready (or failed) and notify the patient.
+ */
+export const buildRepositoryExport = async (repositoryExport) => {
+  const { id, patientId } = repositoryExport;
+  const exportRef = exportsCollection().doc(id);
+  await exportRef.update({ status: 'building', updatedAt: Timestamp.now() });
+
+  try {
+    await mkdir(TMP_DIR, { recursive: true });
+    // Progress also keeps `updatedAt` fresh, so cleanup doesn't time out a long build
+    const { counts, sha256 } = await writeArchive(repositoryExport, archivePath(id), (progress) =>
+      exportRef.update({ progress, updatedAt: Timestamp.now() })
+    );
+    const { size } = await stat(archivePath(id));
+
+    const now = Timestamp.now();
+    const expiresAt = Timestamp.fromMillis(now.toMillis() + TTL_MS);
+    await exportRef.update({
+      status: 'ready',
+      fileSize: size,
+      sha256,
+      counts,
+      updatedAt: now,
+      completedAt: now,
+      expiresAt,
+    });
+
+    await createNotification({
+      recipientId: patientId,
+      type: 'repository_export_ready',
+      title: 'Your data export is ready',
+      body: `Your copy of your medical repository is ready to download until ${expiresAt.toDate().toUTCString()}.`,
+      metadata: { exportId: id, downloadUrl: `/api/exports/${id}/download` },
+    });
+  } catch (err) {
+    await rm(archivePath(id), { force: true });
+    await exportRef.update({ status: 'failed', error: err.message, updatedAt: Timestamp.now() });
+    await createNotification({
+      recipientId: patientId,
+      type: 'repository_export_failed',
+      title: 'Your data export failed',
+      body: 'We could not prepare your data export. Please request it again.',
+      metadata: { exportId: id },
+    });
+    throw err;
+  }
+};
+
+/**
+ * Expire exports past their download window and delete their archives, fail
+ * builds that never finished (e.g. the server restarted mid-build), and
+ * remove archive files without a ready export. Run by startExportCleanup().
+ *
+ * @returns {Promise<{ expired: number, failed: number, removedFiles: number }>}
+ */
+export const cleanupRepositoryExports = async () => {
+  const now = Timestamp.now();
+  const [expiredSnap, stalledSnap] = await Promise.all([
+    exportsCollection().where('status', '==', 'ready').where('expiresAt', '<', now).get(),
+    exportsCollection()
+      .where('status', 'in', ['pending', 'building'])
+      .where('updatedAt', '<', Timestamp.fromMillis(now.toMillis() - BUILD_TIMEOUT_MS))
+      .get(),
+  ]);
+
+  for (const doc of expiredSnap.docs) {
+    await rm(archivePath(doc.id), { force: true });
+  }
+
+  const updates = [
+    ...expiredSnap.docs.map((d) => [d.ref, { status: 'expired', updatedAt: now }]),
+    ...stalledSnap.docs.map((d) => [d.ref, { status: 'failed', error: 'Export timed out.', updatedAt: now }]),
+  ];
+  for (let i = 0; i < updates.length; i += 450) {
+    const batch = db.batch();
+    updates.slice(i, i + 450).forEach(([ref, data]) => batch.update(ref, data));
+    await batch.commit();
+  }
+
+  // Archives are only kept for ready exports (or ones still being written)
+  let removedFiles = 0;
+  const files = await readdir(TMP_DIR).catch(() => []);
+  for (const name of files.filter((f) => f.endsWith('.zip'))) {
+    const doc = await exportsCollection().doc(path.basename(name, '.zip')).get();
+    const { mtimeMs } = await stat(path.join(TMP_DIR, name));
+    const live = doc.exists && ['building', 'ready'].includes(doc.data().status);
+    if (!live && now.toMillis() - mtimeMs > BUILD_TIMEOUT_MS) {
+      await rm(path.join(TMP_DIR, name), { force: true });
+      removedFiles++;
+    }
+  }
+
+  return { expired: expiredSnap.size, failed: stalledSnap.size, removedFiles };
+};
+
+/**
+ * Run cleanupRepositoryExports() now and then every `cleanupIntervalMinutes`.
+ * Archives live on this server's disk, so the job runs in the API process.
+ */
+export const startExportCleanup = () => {
+  const run = () =>
+    cleanupRepositoryExports()
+      .then(({ expired, failed, removedFiles }) => {
+        if (expired || failed || removedFiles) {
+          console.log(`🧹 Export cleanup: ${expired} expired, ${failed} timed out, ${removedFiles} file(s) removed`);
+        }
+      })
+      .catch((err) => console.error('Export cleanup failed:', err.message));
+
+  run();
+  setInterval(run, settings.cleanupIntervalMinutes * 60 * 1000).unref();
+};
+
+// ─── Archive ──────────────────────────────────────────────────────────────────
+
+/**
+ * Layout:
+ *   manifest.json               format, counts and every file's path, size and SHA-256
+ *   checksums.sha256            the same checksums, for `sha256sum -c`
+ *   profile.json                patient profile and account
+ *   commits.json                full commit log, oldest first, with chain hashes
+ *   access-grants.json          access requests and grants
+ *   observations.json           structured lab results
+ *   records/{recordId}/record.json         record + version history (each file's path in the zip)
+ *   records/{recordId}/v{n}/{fileName}     version files (decrypted)
+ *
+ * Files shared by several versions (reverts, merges) are stored once.
+ */
+const writeArchive = async ({ id, patientId, requestedAt }, outputPath, onProgress) => {
+  const archive = new ZipArchive({ zlib: { level: 6 } });
+  const archiveHash = createHash('sha256');
+  const hashing = new PassThrough();
+  hashing.on('data', (chunk) => archiveHash.update(chunk));
+  const written = pipeline(archive, hashing, createWriteStream(outputPath));
+
+  const entries = [];
+  const add = async (name, content) => {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(JSON.stringify(content, null, 2));
+    const sha256 = createHash('sha256').update(buffer).digest('hex');
+    entries.push({ path: name, size: buffer.length, sha256 });
+    // One entry at a time, so only the file being added is held in memory
+    const added = once(archive, 'entry');
+    archive.append(buffer, { name });
+    await added;
+    return sha256;
+  };
+
+  try {
+    const [patientDoc, userDoc, recordsSnap, commitsSnap, grantsSnap, observationsSnap] = await Promise.all([
+      db.collection(COLLECTIONS.PATIENTS).doc(patientId).get(),
+      db.collection(COLLECTIONS.USERS).doc(patientId).get(),
+      db.collection(COLLECTIONS.RECORDS).where('patientId', '==', patientId).get(),
+      db.collection(COLLECTIONS.COMMITS).where('patientId', '==', patientId).get(),
+      db.collection(COLLECTIONS.ACCESS_REQUESTS).where('patientId', '==', patientId).get(),
+      db.collection(COLLECTIONS.OBSERVATIONS).where('patientId', '==', patientId).get(),
+    ]);
+
+    await add('profile.json', { patient: serialize(patientDoc.data()), account: serialize(userDoc.data()) });
+
+    const counts = { records: recordsSnap.size, versions: 0, files: 0, commits: commitsSnap.size };
+
+    for (const [index, recordDoc] of recordsSnap.docs.entries()) {
+      const record = recordDoc.data();
+      const versionsSnap = await recordDoc.ref
+        .collection(COLLECTIONS.RECORD_VERSIONS)
+        .orderBy('versionNumber', 'asc')
+        .get();
+
+      const stored = new Map(); // storagePath → path in the zip
+      const versions = [];
+      for (const versionDoc of versionsSnap.docs) {
+        const version = versionDoc.data();
+        const files = [];
+        const usedNames = new Set();
+        for (const file of versionFiles(version)) {
+          if (!stored.has(file.storagePath)) {
+            const name = `records/${record.id}/v${version.versionNumber}/${uniqueName(file.fileName, usedNames)}`;
+            const sha256 = await add(name, await readStoredFile(file));
+            stored.set(file.storagePath, { path: name, matchesContentHash: !file.contentHash || sha256 === file.contentHash });
+            counts.files++;
+          }
+          files.push({ ...stripStorage(file), ...stored.get(file.storagePath) });
+        }
+        const details = stripStorage(version);
+        delete details.preview;
+        delete details.files;
+        versions.push({ ...serialize(details), files });
+      }
+      counts.versions += versions.length;
+
+      await add(`records/${record.id}/record.json`, { record: serialize(record), versions });
+      await onProgress({ recordsDone: index + 1, records: recordsSnap.size });
+    }
+
+    const commits = commitsSnap.docs
+      .map((d) => d.data())
+      .sort((a, b) => a.createdAt.toMillis() - b.createdAt.toMillis());
+    await add('commits.json', commits.map(serialize));
+    await add('access-grants.json', grantsSnap.docs.map((d) => serialize(d.data())));
+    await add('observations.json', observationsSnap.docs.map((d) => serialize(d.data())));
+
+    const manifest = {
+      format: EXPORT_FORMAT,
+      formatVersion: FORMAT_VERSION,
+      exportId: id,
+      patientId,
+      requestedAt: requestedAt.toDate().toISOString(),
+      createdAt: new Date().toISOString(),
+      counts,
+      files: entries,
+    };
+    await add('checksums.sha256', Buffer.from(entries.map((e) => `${e.sha256}  ${e.path}\n`).join('')));
+    await add('manifest.json', manifest);
+
+    await archive.finalize();
+    await written;
+    return { counts, sha256: archiveHash.digest('hex') };
+  } catch (err) {
+    archive.destroy(err);
+    await written.catch(() => {});
+    throw err;
+  }
+};
+
+// Firestore Timestamps → ISO strings, recursively
+const serialize = (value) => {
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(serialize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, serialize(v)]));
+  }
+  return value;
+};
+
+// Bucket locations mean nothing outside Medilocker
+const stripStorage = ({ storagePath, encrypted, patientId, ...file }) => file;
@@ -0,0 +1,109 @@
+/**
+ * In-memory search over a patient's records.
+ * Firestore has no full-text search, and one patient's repository is small
+ * enough (hundreds of records) to filter, facet and page in the API.
+ */
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @param {Object[]} records - Candidate records (already scoped to what the caller may see)
+ * @param {Object} params
+ * @param {string}   [params.q]           - Free text; every term must match title, description, tags, issuedBy or recordType
+ * @param {string[]} [params.recordTypes] - Only these record types
+ * @param {string[]} [params.tags]        - Records carrying all of these tags
+ * @param {string}   [params.issuedFrom]  - ISO date, inclusive
+ * @param {string}   [params.issuedTo]    - ISO date, inclusive
+ * @param {string}   [params.updatedFrom] - ISO date, inclusive
+ * @param {string}   [params.updatedTo]   - ISO date, inclusive
+ * @param {number}   [params.limit]       - Page size (max 100)
+ * @param {string}   [params.cursor]      - `nextCursor` from the previous page
+ * @returns {{ results: Object[], facets: Object, total: number, nextCursor: string|null }}
+ */
+export const searchRecords = (records, params = {}) => {
+  const terms = (params.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+  const matched = records.filter((r) =>
+    matchesText(r, terms) &&
+    inRange(r.issuedDate ? Date.parse(r.issuedDate) : null, params.issuedFrom, params.issuedTo) &&
+    inRange(r.updatedAt?.toMillis(), params.updatedFrom, params.updatedTo)
+  );
+
+  // Facets are counted before the type/tag selections are applied, so the
+  // client can show how many results each alternative choice would give.
+  const facets = buildFacets(matched);
+
+  const results = matched
+    .filter((r) => !params.recordTypes?.length || params.recordTypes.includes(r.recordType))
+    .filter((r) => !params.tags?.length || params.tags.every((t) => (r.tags || []).includes(t)))
+    .sort(compareRecords);
+
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+  const start = params.cursor ? startAfterCursor(results, params.cursor) : 0;
+  const page = results.slice(start, start + limit);
+  const hasMore = start + limit < results.length;
+
+  return {
+    results: page,
+    facets,
+    total: results.length,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
+
+const matchesText = (record, terms) => {
+  if (!terms.length) return true;
+  const haystack = [
+    record.title,
+    record.description,
+    record.issuedBy,
+    record.recordType,
+    ...(record.tags || []),
+  ].filter(Boolean).join(' ').toLowerCase();
+  return terms.every((t) => haystack.includes(t));
+};
+
+const inRange = (millis, from, to) => {
+  if (!from && !to) return true;
+  if (millis === null || millis === undefined || Number.isNaN(millis)) return false;
+  if (from && millis < Date.parse(from)) return false;
+  // Treat a bare date as the whole day
+  if (to && millis > Date.parse(to) + (to.length === 10 ? 24 * 60 * 60 * 1000 - 1 : 0)) return false;
+  return true;
+};
+
+const buildFacets = (records) => {
+  const recordType = {};
+  const tags = {};
+  records.forEach((r) => {
+    recordType[r.recordType] = (recordType[r.recordType] || 0) + 1;
+    (r.tags || []).forEach((t) => { tags[t] = (tags[t] || 0) + 1; });
+  });
+  return { recordType, tags };
+};
+
+// Most recently updated first; ID breaks ties so the order (and cursors) are stable
+const compareRecords = (a, b) =>
+  (b.updatedAt?.toMillis() || 0) - (a.updatedAt?.toMillis() || 0) ||
+  a.id.localeCompare(b.id);
+
+const encodeCursor = (record) =>
+  Buffer.from(JSON.stringify({ u: record.updatedAt?.toMillis() || 0, id: record.id })).toString('base64url');
+
+const startAfterCursor = (results, cursor) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    position = null;
+  }
+  // Anything but what encodeCursor produces is a client error, not a crash
+  if (typeof position?.id !== 'string' || !Number.isFinite(position.u)) {
+    const err = new Error('Invalid cursor.');
+    err.status = 400;
+    throw err;
+  }
+  const anchor = { id: position.id, updatedAt: { toMillis: () => position.u } };
+  const index = results.findIndex((r) => compareRecords(anchor, r) < 0);
+  return index === -1 ? results.length : index;
+};
@@ -0,0 +1,287 @@
+import { db, FieldValue, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { createNotification } from './notification.service.js';
+import { versionFiles } from './storage.service.js';
+import { generateToken, hashToken, isTokenFormat, hashPasscode, verifyPasscode } from '../utils/tokens.js';
+import { httpError } from '../utils/http-error.js';
+
+const settings = config.shareLinks;
+
+// The link a recipient opens: the share page, with the token as last path segment
+export const shareLinkUrl = (token) =>
+  `${settings.publicUrl.replace(/\/+$/, '')}/${token}`;
+
+/**
+ * Current state of a link: `active`, or why it no longer works
+ * (`revoked` | `locked` | `expired` | `exhausted`).
+ */
+export const shareLinkStatus = (link, now = Date.now()) => {
+  if (link.status !== 'active') return link.status;
+  if (link.expiresAt.toMillis() <= now) return 'expired';
+  if (link.maxViews && link.viewCount >= link.maxViews) return 'exhausted';
+  return 'active';
+};
+
+// A link as shown to its owner — never the token or passcode hash
+export const presentShareLink = ({ tokenHash, passcodeHash, ...link }) => ({
+  ...link,
+  hasPasscode: Boolean(passcodeHash),
+  status: shareLinkStatus(link),
+});
+
+/**
+ * Create a share link to some of a patient's records, each either following
+ * the current version or pinned to one version. Returns the stored link and
+ * the token (shown once; only its hash is stored).
+ *
+ * @param {Object} params
+ * @param {string} params.patientId
+ * @param {{ recordId: string, versionId?: string }[]} params.records
+ * @param {string} [params.label] - Who the link is for, e.g. "Insurer — claim 4411"
+ * @param {number} params.expiresInHours
+ * @param {number} [params.maxViews]
+ * @param {string} [params.passcode]
+ */
+export const issueShareLink = async ({ patientId, records, label, expiresInHours, maxViews, passcode }) => {
+  const shared = await Promise.all(records.map(async ({ recordId, versionId }) => {
+    const recordRef = db.collection(COLLECTIONS.RECORDS).doc(recordId);
+    const recordDoc = await recordRef.get();
+    if (!recordDoc.exists || recordDoc.get('patientId') !== patientId) {
+      throw httpError(404, `Record ${recordId} not found.`);
+    }
+    const record = recordDoc.data();
+    if (record.isArchived) throw httpError(409, `Record "${record.title}" is archived.`);
+
+    let versionNumber = null;
+    if (versionId) {
+      const versionDoc = await recordRef.collection(COLLECTIONS.RECORD_VERSIONS).doc(versionId).get();
+      if (!versionDoc.exists) throw httpError(404, `Version ${versionId} not found in "${record.title}".`);
+      versionNumber = versionDoc.get('versionNumber');
+    }
+
+    return {
+      recordId,
+      versionId: versionId || null, // null = always the current version
+      versionNumber,
+      title: record.title,
+      recordType: record.recordType,
+    };
+  }));
+
+  const { token, tokenHash } = generateToken();
+  const now = Timestamp.now();
+  const link = {
+    id: uuidv4(),
+    patientId,
+    label: label || null,
+    records: shared,
+    recordIds: shared.map((r) => r.recordId),
+    tokenHash,
+    passcodeHash: passcode ? await hashPasscode(passcode) : null,
+    failedPasscodeAttempts: 0,
+    maxViews: maxViews || null,
+    viewCount: 0,
+    status: 'active', // active | revoked | locked (expired/exhausted are derived)
+    expiresAt: Timestamp.fromMillis(now.toMillis() + expiresInHours * 60 * 60 * 1000),
+    createdAt: now,
+    lastViewedAt: null,
+    revokedAt: null,
+  };
+
+  await db.collection(COLLECTIONS.SHARE_LINKS).doc(link.id).set(link);
+  return { link, token };
+};
+
+// The link a token opens, if it isn't revoked, locked or expired
+const findShareLink = async (token) => {
+  const notFound = httpError(404, 'Share link not found or revoked.');
+  if (!isTokenFormat(token)) throw notFound;
+
+  const snap = await db
+    .collection(COLLECTIONS.SHARE_LINKS)
+    .where('tokenHash', '==', hashToken(token))
+    .limit(1)
+    .get();
+  if (snap.empty) throw notFound;
+
+  const link = snap.docs[0].data();
+  const status = shareLinkStatus(link);
+  if (status === 'revoked') throw notFound;
+  if (status === 'locked') throw httpError(403, 'This share link has been locked after too many wrong passcodes.');
+  if (status === 'expired') throw httpError(410, 'This share link has expired.');
+
+  return { linkRef: snap.docs[0].ref, link, status };
+};
+
+const exhaustedError = () => httpError(410, 'This share link has reached its view limit.');
+
+const checkPasscode = async (linkRef, link, passcode) => {
+  if (!link.passcodeHash) return;
+  if (!passcode) throw httpError(401, 'This share link needs a passcode.', 'PASSCODE_REQUIRED');
+  if (!(await verifyPasscode(passcode, link.passcodeHash))) {
+    await recordFailedPasscode(linkRef);
+    throw httpError(401, 'Wrong passcode.', 'PASSCODE_INVALID');
+  }
+};
+
+/**
+ * Resolve a recipient's token (and passcode, if the link has one) to a link
+ * that still works. Unknown and revoked tokens get the same 404; wrong
+ * passcodes count towards `shareLinks.maxPasscodeAttempts`, after which the
+ * link is locked and the patient notified.
+ */
+export const resolveShareLink = async (token, passcode) => {
+  const { linkRef, link, status } = await findShareLink(token);
+  if (status === 'exhausted') throw exhaustedError();
+
+  await checkPasscode(linkRef, link, passcode);
+  return link;
+};
+
+/**
+ * Resolve a token for downloading one file, as resolveShareLink does. A valid
+ * download grant for that file (see issueDownloadGrant) resumes a download
+ * already counted — even the one that used up the link's last view — so the
+ * view limit only stops downloads that would count as a new view.
+ *
+ * @param {string} token
+ * @param {string} [passcode]
+ * @param {{ grant?: string, recordId: string, fileIndex: number }} download
+ * @returns {Promise<{ link: Object, resumed: boolean }>}
+ */
+export const resolveShareDownload = async (token, passcode, { grant, recordId, fileIndex }) => {
+  const { linkRef, link, status } = await findShareLink(token);
+  const resumed = await hasDownloadGrant(link.id, grant, { recordId, fileIndex });
+  if (status === 'exhausted' && !resumed) throw exhaustedError();
+
+  await checkPasscode(linkRef, link, passcode);
+  return { link, resumed };
+};
+
+// Count a wrong passcode and lock the link on the last allowed one. Runs in a
+// transaction so parallel guesses can't slip past the limit unlocked.
+const recordFailedPasscode = async (linkRef) => {
+  const { link, attempts, locked } = await db.runTransaction(async (tx) => {
+    const link = (await tx.get(linkRef)).data();
+    const attempts = (link.failedPasscodeAttempts || 0) + 1;
+    const locked = link.status === 'active' && attempts >= settings.maxPasscodeAttempts;
+
+    tx.update(linkRef, {
+      failedPasscodeAttempts: attempts,
+      ...(locked && { status: 'locked' }),
+    });
+    return { link, attempts, locked };
+  });
+
+  if (locked) {
+    await createNotification({
+      recipientId: link.patientId,
+      type: 'share_link_locked',
+      title: 'Share link locked',
+      body: `Your share link${link.label ? ` "${link.label}"` : ''} was locked after ${attempts} wrong passcodes.`,
+      metadata: { linkId: link.id },
+    });
+  }
+};
+
+/**
+ * The version a link serves for one of its records: the pinned version, or
+ * the record's current version. Throws 404 if the record is not on the link
+ * or has since been archived or deleted.
+ */
+export const loadSharedVersion = async (link, recordId) => {
+  const shared = link.records.find((r) => r.recordId === recordId);
+  if (!shared) throw httpError(404, 'Record not found on this share link.');
+
+  const recordRef = db.collection(COLLECTIONS.RECORDS).doc(recordId);
+  const recordDoc = await recordRef.get();
+  if (!recordDoc.exists || recordDoc.get('isArchived')) {
+    throw httpError(404, 'This record is no longer available.');
+  }
+  const record = recordDoc.data();
+
+  const versionDoc = await recordRef
+    .collection(COLLECTIONS.RECORD_VERSIONS)
+    .doc(shared.versionId || record.currentVersionId)
+    .get();
+  if (!versionDoc.exists) throw httpError(404, 'This record is no longer available.');
+
+  return { record, version: versionDoc.data() };
+};
+
+/**
+ * Count one view against the link's limit. Runs in a transaction so
+ * concurrent downloads can't exceed `maxViews`; throws 410 once exhausted.
+ */
+export const consumeShareLinkView = async (linkId) => {
+  const linkRef = db.collection(COLLECTIONS.SHARE_LINKS).doc(linkId);
+
+  return db.runTransaction(async (tx) => {
+    const linkDoc = await tx.get(linkRef);
+    const link = linkDoc.data();
+    if (shareLinkStatus(link) !== 'active') {
+      throw httpError(410, 'This share link is no longer available.');
+    }
+
+    tx.update(linkRef, { viewCount: FieldValue.increment(1), lastViewedAt: Timestamp.now() });
+    return link.viewCount + 1;
+  });
+};
+
+/**
+ * After a view is counted, let the recipient resume that one download (a
+ * record's file, by index) with Range requests for
+ * `shareLinks.downloadGrantMinutes` without counting again. Returns the
+ * grant token; only its hash is stored.
+ */
+export const issueDownloadGrant = async (linkId, { recordId, fileIndex }) => {
+  const { token, tokenHash } = generateToken();
+  const now = Timestamp.now();
+
+  await db
+    .collection(COLLECTIONS.SHARE_LINKS).doc(linkId)
+    .collection(COLLECTIONS.SHARE_LINK_DOWNLOADS).doc(tokenHash)
+    .set({
+      recordId,
+      fileIndex,
+      createdAt: now,
+      expiresAt: Timestamp.fromMillis(now.toMillis() + settings.downloadGrantMinutes * 60 * 1000),
+    });
+  return token;
+};
+
+/**
+ * Whether `token` is an unexpired download grant on this link for exactly
+ * this file.
+ */
+export const hasDownloadGrant = async (linkId, token, { recordId, fileIndex }) => {
+  if (!isTokenFormat(token)) return false;
+
+  const grantDoc = await db
+    .collection(COLLECTIONS.SHARE_LINKS).doc(linkId)
+    .collection(COLLECTIONS.SHARE_LINK_DOWNLOADS).doc(hashToken(token))
+    .get();
+  if (!grantDoc.exists) return false;
+
+  const grant = grantDoc.data();
+  return grant.recordId === recordId &&
+    grant.fileIndex === fileIndex &&
+    grant.expiresAt.toMillis() > Date.now();
+};
+
+// What a recipient sees of a shared record — no storage paths or hashes of other versions
+export const presentSharedRecord = (record, version) => ({
+  recordId: record.id,
+  title: record.title,
+  recordType: record.recordType,
+  issuedBy: record.issuedBy || null,
+  issuedDate: record.issuedDate || null,
+  versionNumber: version.versionNumber,
+  files: versionFiles(version).map((f, index) => ({
+    index,
+    fileName: f.fileName,
+    mimeType: f.mimeType,
+    fileSize: f.fileSize,
+  })),
+});
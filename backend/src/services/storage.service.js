@@ -0,0 +1,114 @@
+import { pipeline } from 'stream/promises';
+import { bucket } from '../config/firebase.js';
+import config from '../config/config.js';
+import { encryptForPatient, decryptForPatient, createPatientEncryptStream, openPatientFile } from './encryption.service.js';
+
+/**
+ * Download a stored object into memory, exactly as stored.
+ */
+export const downloadFile = async (storagePath) => {
+  const [buffer] = await bucket.file(storagePath).download();
+  return buffer;
+};
+
+/**
+ * Store a patient's file, encrypted under their data key when encryption is
+ * enabled. Returns whether the stored bytes are encrypted — persist it on the
+ * version (or proposal) as `encrypted` so reads know to decrypt.
+ */
+export const uploadPatientFile = async (storagePath, buffer, { patientId, contentType, metadata = {} }) => {
+  const encrypted = config.encryption.enabled;
+  const body = encrypted ? await encryptForPatient(patientId, buffer) : buffer;
+
+  await bucket.file(storagePath).save(body, objectMetadata(encrypted, contentType, metadata));
+  return encrypted;
+};
+
+/**
+ * Streaming counterpart of uploadPatientFile, for files too large to hold in
+ * memory. `openStream` returns the plaintext, which is encrypted segment by
+ * segment on its way to the bucket.
+ */
+export const uploadPatientFileStream = async (storagePath, openStream, { patientId, contentType, metadata = {} }) => {
+  const encrypted = config.encryption.enabled;
+  const target = bucket.file(storagePath).createWriteStream(objectMetadata(encrypted, contentType, metadata));
+
+  if (encrypted) {
+    await pipeline(openStream(), await createPatientEncryptStream(patientId), target);
+  } else {
+    await pipeline(openStream(), target);
+  }
+  return encrypted;
+};
+
+const objectMetadata = (encrypted, contentType, metadata) => ({
+  metadata: {
+    contentType: encrypted ? 'application/octet-stream' : contentType,
+    metadata: encrypted
+      ? { ...metadata, encrypted: 'true', originalContentType: contentType }
+      : metadata,
+  },
+});
+
+/**
+ * Read a version's (or proposal's) file as plaintext.
+ */
+export const readStoredFile = async ({ storagePath, patientId, encrypted }) => {
+  const buffer = await downloadFile(storagePath);
+  return encrypted ? decryptForPatient(patientId, buffer) : buffer;
+};
+
+/**
+ * The stored files of a version (or proposal) in bundle order, each with the
+ * patientId needed to decrypt it. Versions written before bundles existed
+ * have no `files` manifest — their single file is the version itself.
+ */
+export const versionFiles = (version) =>
+  (version.files || [{
+    index: 0,
+    fileName: version.fileName,
+    fileSize: version.fileSize,
+    mimeType: version.mimeType,
+    storagePath: version.storagePath,
+    contentHash: version.contentHash || null,
+    encrypted: version.encrypted || false,
+  }]).map((file) => ({ ...file, patientId: version.patientId }));
+
+/**
+ * Open a stored file (a version, or an entry of `versionFiles`) for
+ * streaming. A byte range is read from the bucket as just that range —
+ * for encrypted files, the segments holding it — so ranged reads of large
+ * files never load the whole file.
+ *
+ * @returns {Promise<{ size: number, createReadStream: (range?: { start: number, end: number }) => Readable }>}
+ */
+export const openStoredFile = async (version) => {
+  const file = bucket.file(version.storagePath);
+  const [metadata] = await file.getMetadata();
+  const size = Number(metadata.size);
+
+  if (version.encrypted) {
+    return openPatientFile(version.patientId, size, (start, end) => file.createReadStream({ start, end }));
+  }
+  return {
+    size,
+    createReadStream: (range) => file.createReadStream(range),
+  };
+};
+
+/**
+ * Download URL for a version. By default this is the authenticated API
+ * content endpoint. Signed bucket URLs are opt-in (`downloads.signedUrls` in
+ * config.json) since anyone holding one can reuse it until it expires, and
+ * they are never issued for encrypted files, which would only expose ciphertext.
+ */
+export const getDownloadUrl = async (version, expiresInMs) => {
+  if (!config.downloads.signedUrls || version.encrypted) {
+    return `/api/records/${version.recordId}/versions/${version.id}/content`;
+  }
+  const [signedUrl] = await bucket.file(version.storagePath).getSignedUrl({
+    action: 'read',
+    expires: Date.now() + expiresInMs,
+  });
+  return signedUrl;
+};
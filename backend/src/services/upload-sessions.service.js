@@ -0,0 +1,381 @@
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+import { mkdir, readdir, rename, rm, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { Readable } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import { db, FieldValue, Timestamp, COLLECTIONS } from '../config/firebase.js';
+import config, { ROOT_DIR } from '../config/config.js';
+import { isAllowedMimeType, verifyFileContent } from '../utils/multer.js';
+import { httpError } from '../utils/http-error.js';
+import { createRecord, commitRecordVersion, loadWritableRecord } from './records.service.js';
+
+/**
+ * Resumable uploads: a client opens a session for one file, sends it in
+ * numbered chunks (in any order, retrying any that fail), can ask which
+ * chunks have arrived, and finalizes. Chunks are written to a temporary
+ * directory on this server; on finalize they are streamed — never assembled
+ * in memory — through a check against the SHA-256 the client declared up
+ * front, and committed through the same code path as a multipart upload.
+ *
+ * Session status: active → finalizing → completed, or aborted / failed / expired.
+ */
+
+const settings = config.uploads.resumable;
+export const CHUNK_SIZE = settings.chunkSizeMb * 1024 * 1024;
+export const MAX_RESUMABLE_SIZE = settings.maxFileSizeMb * 1024 * 1024;
+const SESSION_TTL_MS = settings.sessionTtlHours * 60 * 60 * 1000;
+const FINALIZE_TIMEOUT_MS = settings.finalizeTimeoutMinutes * 60 * 1000;
+// Enough of the file for type detection and a DICOM header
+const HEAD_BYTES = 1024 * 1024;
+const TMP_DIR = path.resolve(ROOT_DIR, settings.tmpDir);
+
+const sessionsCollection = () => db.collection(COLLECTIONS.UPLOAD_SESSIONS);
+const sessionDir = (sessionId) => path.join(TMP_DIR, sessionId);
+const chunkPath = (sessionId, index) => path.join(sessionDir(sessionId), `${index}.part`);
+
+/**
+ * Open a session. For a new version the record and the caller's write access
+ * are checked now, so clients don't upload a large file only to be refused.
+ *
+ * @param {Object} caller - { uid, role }
+ * @param {Object} params - Validated body (see schemas.createUploadSession)
+ */
+export const createUploadSession = async (caller, params) => {
+  if (params.target === 'record' && caller.role !== 'patient') {
+    throw httpError(403, 'Only patients can create records.');
+  }
+  if (!isAllowedMimeType(params.mimeType)) {
+    throw httpError(415, `File type ${params.mimeType} not allowed.`, 'UNSUPPORTED_FILE_TYPE');
+  }
+  if (params.totalSize > MAX_RESUMABLE_SIZE) {
+    throw httpError(413, `File too large. Maximum size for a resumable upload is ${settings.maxFileSizeMb}MB.`);
+  }
+  if (params.target === 'version') {
+    await loadWritableRecord({ callerId: caller.uid, callerRole: caller.role, recordId: params.recordId });
+  }
+
+  const now = Timestamp.now();
+  const session = {
+    id: uuidv4(),
+    ownerId: caller.uid,
+    ownerRole: caller.role,
+    target: params.target, // record | version
+    recordId: params.recordId || null,
+    record: params.record || null, // new record fields (target = record)
+    commitMessage: params.commitMessage,
+    fileName: params.fileName,
+    mimeType: params.mimeType,
+    totalSize: params.totalSize,
+    checksum: params.checksum,
+    chunkSize: CHUNK_SIZE,
+    totalChunks: Math.ceil(params.totalSize / CHUNK_SIZE),
+    receivedChunks: [],
+    status: 'active',
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: Timestamp.fromMillis(now.toMillis() + SESSION_TTL_MS),
+  };
+
+  await mkdir(sessionDir(session.id), { recursive: true });
+  await sessionsCollection().doc(session.id).set(session);
+  return session;
+};
+
+/**
+ * Load a session the caller owns. Other users' sessions are reported as not
+ * found rather than forbidden.
+ */
+export const loadUploadSession = async (sessionId, callerId) => {
+  const doc = await sessionsCollection().doc(sessionId).get();
+  if (!doc.exists || doc.data().ownerId !== callerId) throw httpError(404, 'Upload session not found.');
+  return doc.data();
+};
+
+/**
+ * Store one chunk. Every chunk but the last must be exactly `chunkSize`
+ * bytes. Re-sending a chunk replaces it, so retries are safe. If the client
+ * sends the chunk's SHA-256 it is checked before the chunk is accepted.
+ * Each chunk extends the session's expiry.
+ */
+export const saveChunk = async (session, index, buffer, chunkChecksum) => {
+  assertActive(session);
+
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    throw httpError(400, `Chunk index must be between 0 and ${session.totalChunks - 1}.`);
+  }
+  const expectedSize = chunkRange(session, index).size;
+  if (buffer.length !== expectedSize) {
+    throw httpError(400, `Chunk ${index} must be ${expectedSize} bytes (got ${buffer.length}).`);
+  }
+  if (chunkChecksum && createHash('sha256').update(buffer).digest('hex') !== chunkChecksum.toLowerCase()) {
+    throw httpError(422, `Chunk ${index} does not match its checksum. Send it again.`);
+  }
+
+  // Write then rename, so an interrupted write never leaves a partial chunk behind
+  const sessionRef = sessionsCollection().doc(session.id);
+  const target = chunkPath(session.id, index);
+  const pending = `${target}.${uuidv4()}.tmp`;
+  await mkdir(sessionDir(session.id), { recursive: true });
+  await writeFile(pending, buffer);
+
+  try {
+    // The rename happens while this transaction holds the session, after
+    // re-checking it is active: finalize marks it `finalizing` in a
+    // transaction too, so no chunk can change once finalize has started
+    // hashing what it will store
+    await db.runTransaction(async (tx) => {
+      assertActive((await tx.get(sessionRef)).data());
+      // A retried attempt has already moved it
+      await rename(pending, target).catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+
+      const now = Timestamp.now();
+      tx.update(sessionRef, {
+        receivedChunks: FieldValue.arrayUnion(index),
+        updatedAt: now,
+        expiresAt: Timestamp.fromMillis(now.toMillis() + SESSION_TTL_MS),
+      });
+    });
+  } finally {
+    await rm(pending, { force: true });
+  }
+};
+
+/**
+ * Progress view of a session: which chunks (and byte ranges) are still missing.
+ */
+export const describeUploadSession = (session) => {
+  const received = new Set(session.receivedChunks);
+  const missingChunks = [];
+  let receivedBytes = 0;
+
+  for (let index = 0; index < session.totalChunks; index++) {
+    const range = chunkRange(session, index);
+    if (received.has(index)) receivedBytes += range.size;
+    else missingChunks.push({ index, ...range });
+  }
+
+  return { ...session, receivedBytes, missingChunks, complete: missingChunks.length === 0 };
+};
+
+/**
+ * Verify the uploaded file and create the record or version. A checksum mismatch clears the received chunks so the client can resend
+ * the file; a file whose content isn't an allowed type fails the session.
+ * Access errors leave the session active so finalize can be retried.
+ *
+ * @returns {Promise<{ record: Object, version: Object, warnings: Object[] }>}
+ */
+export const finalizeUploadSession = async (session, caller) => {
+  const sessionRef = sessionsCollection().doc(session.id);
+
+  // Only one finalize may run per session, and no chunk is saved after this (see saveChunk)
+  await db.runTransaction(async (tx) => {
+    const current = (await tx.get(sessionRef)).data();
+    assertActive(current);
+    const missing = current.totalChunks - new Set(current.receivedChunks).size;
+    if (missing > 0) throw httpError(409, `Upload incomplete: ${missing} chunk(s) missing.`);
+    tx.update(sessionRef, { status: 'finalizing', updatedAt: Timestamp.now() });
+  });
+
+  let scanned;
+  try {
+    scanned = await scanChunks(session);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      await sessionRef.update({ status: 'active', error: err.message, updatedAt: Timestamp.now() });
+      throw err;
+    }
+    // Chunks lost from the temporary directory — ask the client for them again
+    const present = (await readdir(sessionDir(session.id)).catch(() => []))
+      .filter((name) => /^\d+\.part$/.test(name))
+      .map((name) => parseInt(name, 10));
+    await sessionRef.update({ status: 'active', receivedChunks: present, updatedAt: Timestamp.now() });
+    throw httpError(409, 'Some chunks are no longer on the server. Check the session and upload the missing chunks again.');
+  }
+
+  if (scanned.size !== session.totalSize || scanned.contentHash !== session.checksum) {
+    await rm(sessionDir(session.id), { recursive: true, force: true });
+    await sessionRef.update({
+      status: 'active',
+      receivedChunks: [],
+      error: 'Checksum mismatch — upload the file again.',
+      updatedAt: Timestamp.now(),
+    });
+    throw httpError(422, 'The assembled file does not match the declared checksum. Upload the file again.');
+  }
+
+  let file;
+  try {
+    const verified = verifyFileContent({
+      buffer: scanned.head,
+      mimetype: session.mimeType,
+      originalname: session.fileName,
+    });
+    file = {
+      mimetype: verified.mimetype,
+      extension: verified.extension,
+      originalname: verified.originalname,
+      size: scanned.size,
+      contentHash: scanned.contentHash,
+      head: scanned.head,
+      createReadStream: () => Readable.from(readChunks(session)),
+    };
+  } catch (err) {
+    await failSession(session.id, err.message);
+    throw err;
+  }
+
+  let result;
+  try {
+    result = session.target === 'record'
+      ? await createRecord({
+          patientId: caller.uid,
+          fields: { ...session.record, commitMessage: session.commitMessage },
+          files: [file],
+        })
+      : await commitRecordVersion({
+          callerId: caller.uid,
+          callerRole: caller.role,
+          recordId: session.recordId,
+          commitMessage: session.commitMessage,
+          files: [file],
+        });
+  } catch (err) {
+    await sessionRef.update({ status: 'active', error: err.message, updatedAt: Timestamp.now() });
+    throw err;
+  }
+
+  await sessionRef.update({
+    status: 'completed',
+    result: { recordId: result.version.recordId, versionId: result.version.id },
+    error: null,
+    updatedAt: Timestamp.now(),
+  });
+  await rm(sessionDir(session.id), { recursive: true, force: true });
+
+  return result;
+};
+
+/**
+ * Cancel a session and delete its chunks.
+ */
+export const abortUploadSession = async (session) => {
+  if (['completed', 'finalizing'].includes(session.status)) {
+    throw httpError(409, `Upload session is ${session.status}.`);
+  }
+  await rm(sessionDir(session.id), { recursive: true, force: true });
+  await sessionsCollection().doc(session.id).update({ status: 'aborted', updatedAt: Timestamp.now() });
+};
+
+/**
+ * Expire abandoned sessions and delete their chunks, plus any chunk
+ * directory left without a live session (e.g. after a crash). A session
+ * still `finalizing` after `finalizeTimeoutMinutes` was cut off mid-finalize
+ * (the process died); it is failed so the client can start a new upload.
+ * Run on a schedule by startUploadCleanup().
+ *
+ * @returns {Promise<{ expiredSessions: number, stuckSessions: number, removedDirectories: number }>}
+ */
+export const cleanupUploadSessions = async () => {
+  const now = Timestamp.now();
+  const [expiredSnap, stuckSnap] = await Promise.all([
+    sessionsCollection()
+      .where('status', '==', 'active')
+      .where('expiresAt', '<', now)
+      .get(),
+    sessionsCollection()
+      .where('status', '==', 'finalizing')
+      .where('updatedAt', '<', Timestamp.fromMillis(now.toMillis() - FINALIZE_TIMEOUT_MS))
+      .get(),
+  ]);
+
+  for (const d of stuckSnap.docs) {
+    await failSession(d.id, 'Finalizing did not complete. Start a new upload.');
+  }
+
+  for (let i = 0; i < expiredSnap.docs.length; i += 450) {
+    const batch = db.batch();
+    expiredSnap.docs.slice(i, i + 450).forEach((d) => {
+      batch.update(d.ref, { status: 'expired', updatedAt: now });
+    });
+    await batch.commit();
+  }
+
+  // Any directory not belonging to an active, unexpired session is abandoned
+  let removedDirectories = 0;
+  const entries = await readdir(TMP_DIR, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries.filter((e) => e.isDirectory())) {
+    const doc = await sessionsCollection().doc(entry.name).get();
+    const live = doc.exists && ['active', 'finalizing'].includes(doc.data().status) &&
+      doc.data().expiresAt.toMillis() > now.toMillis();
+    // Directories without a session doc may belong to one being created right now
+    const { mtimeMs } = await stat(path.join(TMP_DIR, entry.name));
+    if (!live && (doc.exists || now.toMillis() - mtimeMs > SESSION_TTL_MS)) {
+      await rm(path.join(TMP_DIR, entry.name), { recursive: true, force: true });
+      removedDirectories++;
+    }
+  }
+
+  return { expiredSessions: expiredSnap.size, stuckSessions: stuckSnap.size, removedDirectories };
+};
+
+/**
+ * Run cleanupUploadSessions() now and then every `cleanupIntervalMinutes`.
+ * Chunks live on this server's disk, so the job runs in the API process.
+ */
+export const startUploadCleanup = () => {
+  const run = () =>
+    cleanupUploadSessions()
+      .then(({ expiredSessions, stuckSessions, removedDirectories }) => {
+        if (expiredSessions || stuckSessions || removedDirectories) {
+          console.log(`🧹 Upload cleanup: ${expiredSessions} session(s) expired, ${stuckSessions} stuck finalize(s) failed, ${removedDirectories} chunk dir(s) removed`);
+        }
+      })
+      .catch((err) => console.error('Upload cleanup failed:', err.message));
+
+  run();
+  setInterval(run, settings.cleanupIntervalMinutes * 60 * 1000).unref();
+};
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const chunkRange = (session, index) => {
+  const offset = index * session.chunkSize;
+  return { offset, size: Math.min(session.chunkSize, session.totalSize - offset) };
+};
+
+// The file's bytes, chunk by chunk, read from disk as they are consumed
+async function* readChunks(session) {
+  for (let index = 0; index < session.totalChunks; index++) {
+    yield* createReadStream(chunkPath(session.id, index));
+  }
+}
+
+// One pass over the chunks: total size, SHA-256, and the first HEAD_BYTES
+const scanChunks = async (session) => {
+  const hash = createHash('sha256');
+  const head = [];
+  let size = 0;
+
+  for await (const data of readChunks(session)) {
+    hash.update(data);
+    if (size < HEAD_BYTES) head.push(data.subarray(0, HEAD_BYTES - size));
+    size += data.length;
+  }
+
+  return { size, contentHash: hash.digest('hex'), head: Buffer.concat(head) };
+};
+
+const assertActive = (session) => {
+  if (session.status !== 'active') throw httpError(409, `Upload session is ${session.status}.`);
+  if (session.expiresAt.toMillis() < Date.now()) throw httpError(410, 'Upload session has expired.');
+};
+
+const failSession = async (sessionId, error) => {
+  await rm(sessionDir(sessionId), { recursive: true, force: true });
+  await sessionsCollection().doc(sessionId).update({ status: 'failed', error, updatedAt: Timestamp.now() });
+};
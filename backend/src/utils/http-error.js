@@ -0,0 +1,10 @@
+/**
+ * Error carrying an HTTP status for the global error handler, which returns
+ * its message to the client for 4xx statuses.
+ */
+export const httpError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
@@ -0,0 +1,29 @@
+/**
+ * Parse an HTTP Range header against a resource size.
+ * Only single byte ranges are honoured; anything else (absent, malformed,
+ * multi-range) returns null and the whole resource should be sent.
+ *
+ * @returns {null | { start: number, end: number } | { unsatisfiable: true }}
+ */
+export const parseRange = (header, size) => {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+};
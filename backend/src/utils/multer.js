@@ -1,4 +1,6 @@
 import multer from 'multer';
+import path from 'path';
+import config from '../config/config.js';
 
 const ALLOWED_MIME_TYPES = [
   'application/pdf',
@@ -10,17 +12,75 @@ const ALLOWED_MIME_TYPES = [
   'application/dicom',
 ];
 
-const MAX_FILE_SIZE = 20 * 1024 * 1024; // 20MB
+const MAX_FILE_SIZE = config.uploads.maxFileSizeMb * 1024 * 1024;
 
-// Use memory storage — files are piped directly to Firebase Storage
-const storage = multer.memoryStorage();
+// A version may be a bundle of files (imaging series, scanned pages); this
+// limit applies to the whole version, on top of the per-file limit
+export const MAX_BUNDLE_SIZE = config.uploads.maxBundleSizeMb * 1024 * 1024;
+export const MAX_BUNDLE_FILES = config.uploads.maxBundleFiles;
+
+// Magic-byte signatures for every allowed type. `mimeType` is the canonical
+// type stored on the version; `extension` is used for the storage path.
+const FILE_SIGNATURES = [
+  { mimeType: 'application/pdf', extension: 'pdf', matches: (b) => startsWith(b, '%PDF-') },
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  {
+    mimeType: 'image/png',
+    extension: 'png',
+    matches: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  { mimeType: 'image/gif', extension: 'gif', matches: (b) => startsWith(b, 'GIF87a') || startsWith(b, 'GIF89a') },
+  { mimeType: 'image/webp', extension: 'webp', matches: (b) => startsWith(b, 'RIFF') && startsWith(b, 'WEBP', 8) },
+  // DICOM Part 10: 128-byte preamble followed by "DICM"
+  { mimeType: 'application/dicom', extension: 'dcm', matches: (b) => startsWith(b, 'DICM', 128) },
+];
+
+// Clients label DICOM either way — both map to the same canonical type
+const MIME_ALIASES = { 'image/dicom': 'application/dicom' };
+
+// Bytes buffered so far for each request, across all its files
+const receivedBytes = new WeakMap();
+
+// Memory storage (files are piped directly to Firebase Storage) that keeps a
+// running total per request and gives up as soon as it passes
+// MAX_BUNDLE_SIZE, so an oversized bundle is never buffered in full. Busboy
+// enforces the per-file limit (`limits.fileSize`).
+const storage = {
+  _handleFile(req, file, cb) {
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      const total = (receivedBytes.get(req) || 0) + chunk.length;
+      receivedBytes.set(req, total);
+      if (total > MAX_BUNDLE_SIZE) {
+        file.stream.off('data', onData).off('end', onEnd);
+        chunks.length = 0;
+        file.stream.resume(); // discard the rest until multer unpipes the request
+        return cb(bundleTooLargeError());
+      }
+      chunks.push(chunk);
+      size += chunk.length;
+    };
+    const onEnd = () => cb(null, { buffer: Buffer.concat(chunks, size), size });
+
+    file.stream.on('data', onData).on('end', onEnd);
+  },
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  },
+};
+
+export const isAllowedMimeType = (mimeType) => ALLOWED_MIME_TYPES.includes(mimeType);
 
 const fileFilter = (req, file, cb) => {
-  if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+  if (isAllowedMimeType(file.mimetype)) {
     cb(null, true);
   } else {
     cb(
-      new Error(
+      unsupportedFileError(
         `File type ${file.mimetype} not allowed. Allowed types: PDF, JPEG, PNG, WEBP, GIF, DICOM`
       ),
       false
@@ -30,6 +90,99 @@ const fileFilter = (req, file, cb) => {
 
 export const upload = multer({
   storage,
-  limits: { fileSize: MAX_FILE_SIZE },
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_BUNDLE_FILES },
   fileFilter,
 });
+
+/**
+ * Upload middleware for record versions: accepts one file as `file` or a
+ * bundle as `files` (or both), and flattens them into `req.files` in upload
+ * order. Oversized files and bundles are rejected with 413 while parsing.
+ */
+export const uploadBundle = [
+  upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'files', maxCount: MAX_BUNDLE_FILES },
+  ]),
+  (req, res, next) => {
+    req.files = [...(req.files?.file || []), ...(req.files?.files || [])];
+    next();
+  },
+];
+
+/**
+ * Middleware (after `upload`): checks each uploaded file's magic bytes against
+ * its declared MIME type and rejects mismatches with 415. On success the file's
+ * `mimetype` is replaced by the detected canonical type, `extension` is set
+ * from the detected type, and `originalname` is sanitised.
+ */
+export const verifyUploadedFiles = (req, res, next) => {
+  const files = req.files ? Object.values(req.files).flat() : [req.file].filter(Boolean);
+
+  try {
+    files.forEach(verifyFileContent);
+  } catch (err) {
+    return next(err);
+  }
+  next();
+};
+
+/**
+ * Verify one file ({ buffer, mimetype, originalname }) as described above,
+ * for files that don't arrive through multer (resumable uploads).
+ * Throws a 415 `UNSUPPORTED_FILE_TYPE` error on mismatch.
+ */
+export const verifyFileContent = (file) => {
+  const detected = FILE_SIGNATURES.find((s) => s.matches(file.buffer));
+  const declared = MIME_ALIASES[file.mimetype] || file.mimetype;
+
+  if (!detected || detected.mimeType !== declared) {
+    throw unsupportedFileError(
+      `File content does not match its declared type ${file.mimetype}` +
+      (detected ? ` (detected ${detected.mimeType}).` : '.')
+    );
+  }
+
+  file.mimetype = detected.mimeType;
+  file.extension = detected.extension;
+  file.originalname = sanitizeFileName(file.originalname, detected.extension);
+  return file;
+};
+
+/**
+ * Make a client-supplied file name safe to store and display: no directory
+ * parts, control or reserved characters, bounded length, and an extension
+ * that matches the detected type.
+ */
+export const sanitizeFileName = (name, extension) => {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'))
+    .replace(/\.[^.]*$/, '')                  // drop the client's extension
+    .replace(/[\u0000-\u001f\u007f]/g, '')    // control characters
+    .replace(/[^\w\-. ()]/g, '_')             // anything outside a conservative set
+    .replace(/^[.\s]+|[.\s]+$/g, '')          // no leading dots (hidden files) or trailing dots/spaces
+    .slice(0, 200);
+
+  return `${base || 'file'}.${extension}`;
+};
+
+const startsWith = (buffer, signature, offset = 0) => {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'ascii') : Buffer.from(signature);
+  return buffer.length >= offset + bytes.length &&
+    buffer.subarray(offset, offset + bytes.length).equals(bytes);
+};
+
+const bundleTooLargeError = () => {
+  const err = new Error(
+    `Bundle too large. Maximum total size per version is ${config.uploads.maxBundleSizeMb}MB.`
+  );
+  err.status = 413;
+  err.code = 'BUNDLE_TOO_LARGE';
+  return err;
+};
+
+const unsupportedFileError = (message) => {
+  const err = new Error(message);
+  err.status = 415;
+  err.code = 'UNSUPPORTED_FILE_TYPE';
+  return err;
+};
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * New bearer token for a public link: 32 random bytes, base64url (43 chars).
+ * Store only `tokenHash` — the token itself is shown to the patient once.
+ */
+export const generateToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+export const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+export const isTokenFormat = (token) => /^[A-Za-z0-9_-]{43}$/.test(token);
+
+/**
+ * Hash a short user-chosen secret (e.g. a share-link passcode) with scrypt
+ * and a random salt. Returns `scrypt$<salt>$<hash>`, both base64.
+ */
+export const hashPasscode = async (passcode) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(passcode, salt, 32);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+export const verifyPasscode = async (passcode, stored) => {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(passcode, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
@@ -0,0 +1,319 @@
+import { describe, expect, it } from 'vitest';
+import config from '../../src/config/config.js';
+import { db, COLLECTIONS, Timestamp } from '../../src/config/firebase.js';
+import {
+  expireDueGrants,
+  expireGrant,
+  isGrantLive,
+  requestRenewal,
+  respondToRenewal,
+  runAccessLifecycleJobs,
+  sendExpiryReminders,
+  transitionAccessRequest,
+} from '../../src/services/access-lifecycle.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const patientId = 'patient-1';
+const doctorId = 'doctor-1';
+
+const requestRef = (id) => db.collection(COLLECTIONS.ACCESS_REQUESTS).doc(id);
+const patientRef = () => db.collection(COLLECTIONS.PATIENTS).doc(patientId);
+const doctorRef = () => db.collection(COLLECTIONS.DOCTORS).doc(doctorId);
+
+const inDays = (days) => Timestamp.fromMillis(Date.now() + days * DAY_MS);
+
+const seedRequest = async (id, fields = {}) => {
+  if (!(await patientRef().get()).exists) {
+    await patientRef().set({ uid: patientId, activeCollaborators: 0 });
+    await doctorRef().set({ uid: doctorId, stats: { activeCases: 0 } });
+  }
+  const request = {
+    id,
+    patientId,
+    doctorId,
+    doctorName: 'Rivera',
+    status: 'pending',
+    isEmergency: false,
+    isExpired: false,
+    expiresAt: null,
+    remindersSent: [],
+    ...fields,
+  };
+  await requestRef(id).set(request);
+  return request;
+};
+
+// An approved grant, counted as the service would have counted it
+const seedGrant = async (id, fields = {}) => {
+  await seedRequest(id, { status: 'pending', expiresAt: inDays(30), ...fields });
+  return transitionAccessRequest(id, 'approved');
+};
+
+const stored = async (id) => (await requestRef(id).get()).data();
+const counters = async () => ({
+  activeCollaborators: (await patientRef().get()).get('activeCollaborators'),
+  activeCases: (await doctorRef().get()).get('stats.activeCases'),
+});
+const notifications = async (type) =>
+  (await db.collection(COLLECTIONS.NOTIFICATIONS).where('type', '==', type).get()).docs.map((d) => d.data());
+
+describe('isGrantLive', () => {
+  const grant = { status: 'approved', isExpired: false, expiresAt: Timestamp.fromMillis(2_000) };
+
+  it('is live until expiresAt, whether or not the expiry job has run', () => {
+    expect(isGrantLive(grant, 1_999)).toBe(true);
+    expect(isGrantLive(grant, 2_000)).toBe(false);
+    expect(isGrantLive({ ...grant, expiresAt: null }, 1e15)).toBe(true);
+    expect(isGrantLive({ ...grant, isExpired: true }, 1_000)).toBe(false);
+    expect(isGrantLive({ ...grant, status: 'revoked' }, 1_000)).toBe(false);
+  });
+});
+
+describe('transitionAccessRequest', () => {
+  it.each([
+    ['pending', 'approved'],
+    ['pending', 'denied'],
+    ['pending', 'withdrawn'],
+    ['approved', 'revoked'],
+    ['approved', 'expired'],
+    ['approved', 'withdrawn'],
+  ])('moves %s to %s', async (from, to) => {
+    await seedRequest('request-1', { status: from, expiresAt: inDays(30) });
+
+    const updated = await transitionAccessRequest('request-1', to, { note: 'ok' });
+
+    expect(updated).toMatchObject({ status: to, note: 'ok' });
+    expect(await stored('request-1')).toMatchObject({ status: to, note: 'ok' });
+  });
+
+  it.each([
+    ['pending', 'revoked'],
+    ['pending', 'expired'],
+    ['denied', 'approved'],
+    ['withdrawn', 'approved'],
+    ['revoked', 'approved'],
+    ['expired', 'approved'],
+    ['approved', 'approved'],
+  ])('refuses %s to %s with 409', async (from, to) => {
+    await seedRequest('request-1', { status: from });
+
+    await expect(transitionAccessRequest('request-1', to)).rejects.toMatchObject({ status: 409 });
+    expect((await stored('request-1')).status).toBe(from);
+  });
+
+  it('throws 404 for an unknown request', async () => {
+    await expect(transitionAccessRequest('missing', 'approved')).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('only expires a grant past its expiresAt', async () => {
+    await seedRequest('request-1', { status: 'approved', expiresAt: inDays(-1) });
+
+    await expect(transitionAccessRequest('request-1', 'revoked')).rejects.toMatchObject({ status: 409 });
+    await expect(transitionAccessRequest('request-1', 'expired')).resolves.toMatchObject({ status: 'expired' });
+  });
+
+  it('stamps the time of each transition', async () => {
+    await seedRequest('request-1');
+
+    await transitionAccessRequest('request-1', 'approved');
+    await transitionAccessRequest('request-1', 'revoked');
+
+    expect(await stored('request-1')).toMatchObject({
+      respondedAt: expect.any(Timestamp),
+      revokedAt: expect.any(Timestamp),
+      isExpired: true,
+    });
+  });
+
+  it('counts a grant while it is approved', async () => {
+    await seedRequest('request-1');
+
+    await transitionAccessRequest('request-1', 'approved');
+    expect(await counters()).toEqual({ activeCollaborators: 1, activeCases: 1 });
+
+    await transitionAccessRequest('request-1', 'revoked');
+    expect(await counters()).toEqual({ activeCollaborators: 0, activeCases: 0 });
+  });
+
+  it('leaves counters alone for requests never approved and for emergency grants', async () => {
+    await seedRequest('request-1');
+    await seedRequest('emergency-1', { status: 'approved', isEmergency: true, expiresAt: inDays(1) });
+
+    await transitionAccessRequest('request-1', 'denied');
+    await transitionAccessRequest('emergency-1', 'expired');
+
+    expect(await counters()).toEqual({ activeCollaborators: 0, activeCases: 0 });
+  });
+
+  it('applies only one of two racing transitions', async () => {
+    await seedRequest('request-1');
+
+    const results = await Promise.allSettled([
+      transitionAccessRequest('request-1', 'approved'),
+      transitionAccessRequest('request-1', 'approved'),
+    ]);
+
+    expect(results.map((r) => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(await counters()).toEqual({ activeCollaborators: 1, activeCases: 1 });
+  });
+});
+
+describe('expiry', () => {
+  it('expires a grant once, notifying both sides', async () => {
+    await seedGrant('request-1');
+
+    const results = await Promise.all([expireGrant('request-1'), expireGrant('request-1')]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(await stored('request-1')).toMatchObject({ status: 'expired', isExpired: true });
+    expect((await notifications('access_expired')).map((n) => n.recipientId).sort()).toEqual([doctorId, patientId]);
+    expect(await counters()).toEqual({ activeCollaborators: 0, activeCases: 0 });
+  });
+
+  it('expires every grant past its expiresAt and nothing else', async () => {
+    await seedGrant('due-1');
+    await seedGrant('due-2');
+    await seedGrant('live');
+    await requestRef('due-1').update({ expiresAt: inDays(-1) });
+    await requestRef('due-2').update({ expiresAt: inDays(-0.01) });
+
+    expect(await expireDueGrants()).toBe(2);
+    expect(await expireDueGrants()).toBe(0);
+
+    expect((await stored('due-1')).status).toBe('expired');
+    expect((await stored('due-2')).status).toBe('expired');
+    expect((await stored('live')).status).toBe('approved');
+    expect(await counters()).toEqual({ activeCollaborators: 1, activeCases: 1 });
+  });
+});
+
+describe('sendExpiryReminders', () => {
+  const { reminderDaysBeforeExpiry } = config.accessLifecycle;
+
+  it('is configured with a week and a day of notice', () => {
+    expect(reminderDaysBeforeExpiry).toEqual([7, 1]);
+  });
+
+  it('reminds once per lead as expiry approaches', async () => {
+    await seedGrant('request-1');
+    await requestRef('request-1').update({ expiresAt: inDays(6) });
+
+    expect(await sendExpiryReminders()).toBe(1);
+    expect(await sendExpiryReminders()).toBe(0);
+    expect((await stored('request-1')).remindersSent).toEqual([7]);
+
+    await requestRef('request-1').update({ expiresAt: inDays(0.5) });
+    expect(await sendExpiryReminders()).toBe(1);
+    expect(await sendExpiryReminders()).toBe(0);
+
+    expect((await stored('request-1')).remindersSent).toEqual([7, 1]);
+    expect(await notifications('access_expiring')).toHaveLength(4);
+  });
+
+  it('sends one reminder to a grant already inside every lead', async () => {
+    await seedGrant('request-1', { expiresAt: inDays(0.5) });
+
+    expect(await sendExpiryReminders()).toBe(1);
+    expect(await sendExpiryReminders()).toBe(0);
+    expect((await stored('request-1')).remindersSent).toEqual([7, 1]);
+  });
+
+  it('skips grants far from expiry and emergency grants', async () => {
+    await seedGrant('later', { expiresAt: inDays(20) });
+    await seedRequest('emergency-1', { status: 'approved', isEmergency: true, expiresAt: inDays(0.2) });
+
+    expect(await sendExpiryReminders()).toBe(0);
+  });
+
+  it('runs expiry before reminders', async () => {
+    await seedGrant('due', { expiresAt: inDays(30) });
+    await seedGrant('soon', { expiresAt: inDays(3) });
+    await requestRef('due').update({ expiresAt: inDays(-1) });
+
+    expect(await runAccessLifecycleJobs()).toEqual({ expired: 1, reminded: 1 });
+  });
+});
+
+describe('renewals', () => {
+  it('lets the doctor ask and the patient extend from the current expiry', async () => {
+    const grant = await seedGrant('request-1', { expiresAt: inDays(5), remindersSent: [7] });
+
+    const { renewal } = await requestRenewal('request-1', { doctorId, expiryDays: 30, reason: 'Follow-up' });
+    expect(renewal).toMatchObject({ status: 'pending', expiryDays: 30, reason: 'Follow-up' });
+
+    const { renewed, grantedDays } = await respondToRenewal('request-1', { patientId, approved: true, expiryDays: 14 });
+
+    expect(grantedDays).toBe(14);
+    expect(renewed.expiresAt.toMillis()).toBe(grant.expiresAt.toMillis() + 14 * DAY_MS);
+    expect(await stored('request-1')).toMatchObject({
+      status: 'approved',
+      expiresAt: renewed.expiresAt,
+      renewalCount: 1,
+      remindersSent: [],
+      renewal: { status: 'approved', grantedDays: 14 },
+    });
+  });
+
+  it('keeps the grant as it is when the patient declines', async () => {
+    const grant = await seedGrant('request-1');
+    await requestRenewal('request-1', { doctorId, expiryDays: 30 });
+
+    const { grantedDays } = await respondToRenewal('request-1', { patientId, approved: false, note: 'Not now' });
+
+    expect(grantedDays).toBeNull();
+    const after = await stored('request-1');
+    expect(after.expiresAt.toMillis()).toBe(grant.expiresAt.toMillis());
+    expect(after.renewal).toMatchObject({ status: 'declined', note: 'Not now' });
+    expect(after.renewalCount).toBeUndefined();
+  });
+
+  it('only takes renewals for the doctor\'s own live, non-emergency grant', async () => {
+    await seedGrant('request-1');
+    await seedRequest('pending-1');
+    await seedRequest('emergency-1', { status: 'approved', isEmergency: true, expiresAt: inDays(1) });
+
+    await expect(requestRenewal('missing', { doctorId, expiryDays: 7 })).rejects.toMatchObject({ status: 404 });
+    await expect(requestRenewal('request-1', { doctorId: 'doctor-2', expiryDays: 7 })).rejects.toMatchObject({ status: 403 });
+    await expect(requestRenewal('pending-1', { doctorId, expiryDays: 7 })).rejects.toMatchObject({ status: 409 });
+    await expect(requestRenewal('emergency-1', { doctorId, expiryDays: 7 })).rejects.toMatchObject({ status: 409 });
+
+    await requestRenewal('request-1', { doctorId, expiryDays: 7 });
+    await expect(requestRenewal('request-1', { doctorId, expiryDays: 7 })).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('refuses a response from anyone but the patient, or without a pending renewal', async () => {
+    await seedGrant('request-1');
+
+    await expect(respondToRenewal('request-1', { patientId, approved: true })).rejects.toMatchObject({ status: 409 });
+
+    await requestRenewal('request-1', { doctorId, expiryDays: 7 });
+    await expect(respondToRenewal('request-1', { patientId: 'patient-2', approved: true }))
+      .rejects.toMatchObject({ status: 403 });
+    await expect(respondToRenewal('request-1', { patientId, approved: true, expiryDays: 8 }))
+      .rejects.toMatchObject({ status: 422 });
+  });
+
+  it('cannot bring back a grant revoked or expired after the renewal was asked for', async () => {
+    await seedGrant('revoked-1');
+    await seedGrant('expired-1');
+    await requestRenewal('revoked-1', { doctorId, expiryDays: 7 });
+    await requestRenewal('expired-1', { doctorId, expiryDays: 7 });
+    await transitionAccessRequest('revoked-1', 'revoked');
+    await requestRef('expired-1').update({ expiresAt: inDays(-0.01) });
+
+    await expect(respondToRenewal('revoked-1', { patientId, approved: true })).rejects.toMatchObject({ status: 409 });
+    await expect(respondToRenewal('expired-1', { patientId, approved: true })).rejects.toMatchObject({ status: 409 });
+    expect((await stored('revoked-1')).status).toBe('revoked');
+  });
+
+  it('takes only one of two racing renewal requests', async () => {
+    await seedGrant('request-1');
+
+    const results = await Promise.allSettled([
+      requestRenewal('request-1', { doctorId, expiryDays: 7 }),
+      requestRenewal('request-1', { doctorId, expiryDays: 30 }),
+    ]);
+
+    expect(results.map((r) => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+  });
+});
@@ -0,0 +1,237 @@
+import { randomBytes } from 'crypto';
+import { readFileSync } from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { describe, expect, it, vi } from 'vitest';
+import config from '../../src/config/config.js';
+import { db, COLLECTIONS } from '../../src/config/firebase.js';
+import {
+  createPatientEncryptStream,
+  decryptForPatient,
+  encryptForPatient,
+  openPatientFile,
+  rotateMasterKey,
+} from '../../src/services/encryption.service.js';
+
+const patientId = 'patient-1';
+const SEGMENT_SIZE = 64 * 1024;
+const HEADER_LENGTH = 15;
+const TAG_LENGTH = 16;
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// openPatientFile over an in-memory stored file, recording which bytes were fetched
+const openStored = (stored) => {
+  const reads = [];
+  const readStored = (start, end) => {
+    reads.push([start, end]);
+    return Readable.from([stored.subarray(start, end + 1)]);
+  };
+  return { reads, opened: openPatientFile(patientId, stored.length, readStored) };
+};
+
+const decrypts = (stored) => decryptForPatient(patientId, stored);
+
+// Buffer.equals — toEqual compares large buffers byte by byte, slowly
+const expectBytes = (actual, expected) => {
+  expect(actual.length).toBe(expected.length);
+  expect(actual.equals(expected)).toBe(true);
+};
+
+describe('encryptForPatient / decryptForPatient', () => {
+  it.each([0, 1, SEGMENT_SIZE - 1, SEGMENT_SIZE, SEGMENT_SIZE + 1, 3 * SEGMENT_SIZE + 5])(
+    'round-trips %i bytes',
+    async (size) => {
+      const plaintext = randomBytes(size);
+
+      const stored = await encryptForPatient(patientId, plaintext);
+
+      expect(stored.subarray(0, 4).toString('ascii')).toBe('MLE2');
+      expect(stored.length).toBe(HEADER_LENGTH + size + Math.max(1, Math.ceil(size / SEGMENT_SIZE)) * TAG_LENGTH);
+      expectBytes(await decrypts(stored), plaintext);
+    }
+  );
+
+  it('never stores the plaintext', async () => {
+    const plaintext = Buffer.from('Diagnosis: seasonal allergies. '.repeat(100));
+
+    const stored = await encryptForPatient(patientId, plaintext);
+
+    expect(stored.includes(Buffer.from('seasonal allergies'))).toBe(false);
+  });
+
+  it('creates one data key per patient', async () => {
+    await encryptForPatient('patient-2', Buffer.from('a'));
+    await encryptForPatient('patient-2', Buffer.from('b'));
+
+    const keys = await db.collection(COLLECTIONS.PATIENT_KEYS).get();
+    expect(keys.docs.map((d) => d.id)).toEqual(['patient-2']);
+    expect(keys.docs[0].data()).toMatchObject({ patientId: 'patient-2', keyId: expect.any(String) });
+  });
+
+  it('does not decrypt another patient\'s file', async () => {
+    const stored = await encryptForPatient(patientId, Buffer.from('private'));
+
+    await expect(decryptForPatient('patient-3', stored)).rejects.toThrow();
+  });
+
+  it('rejects a file that was modified', async () => {
+    const stored = await encryptForPatient(patientId, randomBytes(2 * SEGMENT_SIZE));
+    stored[HEADER_LENGTH + SEGMENT_SIZE + 10] ^= 1;
+
+    await expect(decrypts(stored)).rejects.toThrow();
+  });
+
+  it('rejects a file with a modified header', async () => {
+    const stored = await encryptForPatient(patientId, randomBytes(100));
+    stored[HEADER_LENGTH - 1] ^= 1;
+
+    await expect(decrypts(stored)).rejects.toThrow();
+  });
+
+  it('rejects a file cut off at a segment boundary', async () => {
+    const stored = await encryptForPatient(patientId, randomBytes(2 * SEGMENT_SIZE + 10));
+
+    await expect(decrypts(stored.subarray(0, HEADER_LENGTH + 2 * (SEGMENT_SIZE + TAG_LENGTH))))
+      .rejects.toThrow();
+  });
+
+  it('rejects a file with its segments reordered', async () => {
+    const stored = await encryptForPatient(patientId, randomBytes(3 * SEGMENT_SIZE));
+    const sealed = SEGMENT_SIZE + TAG_LENGTH;
+    const segment = (i) => stored.subarray(HEADER_LENGTH + i * sealed, HEADER_LENGTH + (i + 1) * sealed);
+    const reordered = Buffer.concat([stored.subarray(0, HEADER_LENGTH), segment(1), segment(0), segment(2)]);
+
+    await expect(decrypts(reordered)).rejects.toThrow();
+  });
+});
+
+describe('createPatientEncryptStream', () => {
+  it('produces the same format as encryptForPatient', async () => {
+    const plaintext = randomBytes(2 * SEGMENT_SIZE + 123);
+    // Uneven chunks, so segments straddle them
+    const chunks = [0, 1000, 70_000, 70_001, 140_000].map((start, i, starts) =>
+      plaintext.subarray(start, starts[i + 1]));
+
+    const stored = await collect(Readable.from(chunks).compose(await createPatientEncryptStream(patientId)));
+
+    expect(stored.length).toBe((await encryptForPatient(patientId, plaintext)).length);
+    expectBytes(await decrypts(stored), plaintext);
+  });
+
+  it('encrypts an empty stream', async () => {
+    const chunks = [];
+    await pipeline(Readable.from([]), await createPatientEncryptStream(patientId), async (source) => {
+      for await (const chunk of source) chunks.push(chunk);
+    });
+
+    expectBytes(await decrypts(Buffer.concat(chunks)), Buffer.alloc(0));
+  });
+});
+
+describe('openPatientFile', () => {
+  const plaintext = randomBytes(4 * SEGMENT_SIZE + 1000);
+
+  it('reports the plaintext size and reads the whole file', async () => {
+    const { opened } = openStored(await encryptForPatient(patientId, plaintext));
+    const file = await opened;
+
+    expect(file.size).toBe(plaintext.length);
+    expectBytes(await collect(file.createReadStream()), plaintext);
+  });
+
+  it.each([
+    [0, 0],
+    [0, SEGMENT_SIZE - 1],
+    [SEGMENT_SIZE - 1, SEGMENT_SIZE],
+    [SEGMENT_SIZE + 17, 3 * SEGMENT_SIZE + 4],
+    [4 * SEGMENT_SIZE, 4 * SEGMENT_SIZE + 999],
+  ])('reads bytes %i-%i', async (start, end) => {
+    const { opened } = openStored(await encryptForPatient(patientId, plaintext));
+    const file = await opened;
+
+    expectBytes(await collect(file.createReadStream({ start, end })), plaintext.subarray(start, end + 1));
+  });
+
+  it('fetches only the segments a range touches', async () => {
+    const { opened, reads } = openStored(await encryptForPatient(patientId, plaintext));
+    const file = await opened;
+
+    await collect(file.createReadStream({ start: 2 * SEGMENT_SIZE + 5, end: 2 * SEGMENT_SIZE + 10 }));
+
+    const sealed = SEGMENT_SIZE + TAG_LENGTH;
+    expect(reads.at(-1)).toEqual([HEADER_LENGTH + 2 * sealed, HEADER_LENGTH + 3 * sealed - 1]);
+  });
+
+  it('fails a range over a modified segment but not one elsewhere', async () => {
+    const stored = await encryptForPatient(patientId, plaintext);
+    stored[HEADER_LENGTH + 10] ^= 1;
+    const file = await openStored(stored).opened;
+
+    await expect(collect(file.createReadStream({ start: 0, end: 100 }))).rejects.toThrow();
+    expectBytes(
+      await collect(file.createReadStream({ start: SEGMENT_SIZE, end: SEGMENT_SIZE + 100 })),
+      plaintext.subarray(SEGMENT_SIZE, SEGMENT_SIZE + 101)
+    );
+  });
+
+  it('fails the end of a file whose last segment was dropped', async () => {
+    const stored = await encryptForPatient(patientId, plaintext);
+    const file = await openStored(stored.subarray(0, HEADER_LENGTH + 4 * (SEGMENT_SIZE + TAG_LENGTH))).opened;
+
+    await expect(collect(file.createReadStream({ start: file.size - 10, end: file.size - 1 }))).rejects.toThrow();
+  });
+
+  it('opens an empty file', async () => {
+    const file = await openStored(await encryptForPatient(patientId, Buffer.alloc(0))).opened;
+
+    expect(file.size).toBe(0);
+    expectBytes(await collect(file.createReadStream()), Buffer.alloc(0));
+  });
+});
+
+describe('rotateMasterKey', () => {
+  const keyFile = () => JSON.parse(readFileSync(config.encryption.localKeyFile, 'utf8'));
+
+  it('re-wraps every data key under a new master key without touching files', async () => {
+    // Data keys stay cached per process, so use patients no other test has keyed
+    const plaintext = randomBytes(SEGMENT_SIZE + 1);
+    const stored = await encryptForPatient('rotated-1', plaintext);
+    await encryptForPatient('rotated-2', Buffer.from('other'));
+    const keyRef = db.collection(COLLECTIONS.PATIENT_KEYS).doc('rotated-1');
+    const before = (await keyRef.get()).data();
+
+    const { keyId, rewrapped, prunedKeyIds } = await rotateMasterKey({ prune: true });
+
+    const after = (await keyRef.get()).data();
+    expect(rewrapped).toBe(2);
+    expect(after.keyId).toBe(keyId);
+    expect(after.wrappedKey).not.toBe(before.wrappedKey);
+    expect(prunedKeyIds).toContain(before.keyId);
+    expect(keyFile()).toEqual({ activeKeyId: keyId, keys: { [keyId]: expect.any(String) } });
+
+    // A fresh process, which has to unwrap the data key with the new master key
+    const { localKeyFile } = config.encryption;
+    vi.resetModules();
+    (await import('../../src/config/config.js')).default.encryption.localKeyFile = localKeyFile;
+    const firebase = await import('../../src/config/firebase.js');
+    const encryption = await import('../../src/services/encryption.service.js');
+    await firebase.db.collection(COLLECTIONS.PATIENT_KEYS).doc('rotated-1').set(after);
+
+    expectBytes(await encryption.decryptForPatient('rotated-1', stored), plaintext);
+  });
+
+  it('leaves old master keys in place unless pruning', async () => {
+    await encryptForPatient('rotated-3', Buffer.from('a'));
+    const previous = Object.keys(keyFile().keys);
+
+    const { keyId, prunedKeyIds } = await rotateMasterKey();
+
+    expect(prunedKeyIds).toEqual([]);
+    expect(Object.keys(keyFile().keys).sort()).toEqual([...previous, keyId].sort());
+  });
+});
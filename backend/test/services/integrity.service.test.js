@@ -0,0 +1,215 @@
+import { describe, expect, it } from 'vitest';
+import { db, COLLECTIONS, Timestamp, storedObjects } from '../../src/config/firebase.js';
+import { hashCommit, hashContent, hashManifest, verifyPatientRepository } from '../../src/services/integrity.service.js';
+import { writeCommit } from '../../src/services/commit.service.js';
+import { encryptForPatient } from '../../src/services/encryption.service.js';
+
+const patientId = 'patient-1';
+
+// Store a one-file version of `recordId` and chain a commit for it
+const commitFile = async (recordId, versionNumber, content, { encrypted = false } = {}) => {
+  const recordRef = db.collection(COLLECTIONS.RECORDS).doc(recordId);
+  const versionId = `${recordId}-v${versionNumber}`;
+  const storagePath = `patients/${patientId}/records/${recordId}/${versionId}.txt`;
+  const body = Buffer.from(content);
+  storedObjects.set(storagePath, { body: encrypted ? await encryptForPatient(patientId, body) : body, metadata: {} });
+
+  const version = {
+    id: versionId,
+    recordId,
+    patientId,
+    versionNumber,
+    fileName: 'notes.txt',
+    storagePath,
+    contentHash: hashContent(body),
+    encrypted,
+  };
+  return writeCommit({
+    commit: {
+      id: `commit-${versionId}`,
+      patientId,
+      recordId,
+      versionId,
+      type: versionNumber === 1 ? 'create' : 'update',
+      createdAt: Timestamp.fromMillis(1_700_000_000_000 + versionNumber),
+    },
+    writes: (tx) => {
+      tx.set(recordRef, { id: recordId, patientId, currentVersion: versionNumber, currentVersionId: versionId });
+      tx.set(recordRef.collection(COLLECTIONS.RECORD_VERSIONS).doc(versionId), version);
+    },
+  });
+};
+
+const seedPatient = () => db.collection(COLLECTIONS.PATIENTS).doc(patientId).set({ uid: patientId });
+
+const commitRef = (id) => db.collection(COLLECTIONS.COMMITS).doc(id);
+
+const breakTypes = (report) => report.breaks.map((b) => b.type);
+
+describe('hashing', () => {
+  it('hashes content as SHA-256 hex', () => {
+    expect(hashContent(Buffer.from('abc')))
+      .toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  it('hashes a manifest from file names and hashes, in order', () => {
+    const files = [
+      { fileName: 'a.txt', contentHash: hashContent('a'), fileSize: 1 },
+      { fileName: 'b.txt', contentHash: hashContent('b'), fileSize: 1 },
+    ];
+    expect(hashManifest(files)).toBe(hashManifest(files.map(({ fileSize, ...f }) => f)));
+    expect(hashManifest(files)).not.toBe(hashManifest([...files].reverse()));
+  });
+
+  it('hashes a commit independently of key order and of its own hash', () => {
+    const createdAt = Timestamp.fromMillis(1_700_000_000_123);
+    const commit = { id: 'c1', patientId, createdAt, previousCommitHash: null };
+    const reordered = { previousCommitHash: null, createdAt, patientId, id: 'c1', hash: 'anything' };
+
+    expect(hashCommit(reordered)).toBe(hashCommit(commit));
+    expect(hashCommit({ ...commit, createdAt: Timestamp.fromMillis(1_700_000_000_124) }))
+      .not.toBe(hashCommit(commit));
+  });
+});
+
+describe('writeCommit', () => {
+  it('chains each commit to the previous head', async () => {
+    await seedPatient();
+
+    const first = await commitFile('record-1', 1, 'one');
+    const second = await commitFile('record-1', 2, 'two');
+
+    expect(first).toMatchObject({ previousCommitId: null, previousCommitHash: null });
+    expect(second).toMatchObject({ previousCommitId: first.id, previousCommitHash: first.hash });
+    expect(second.hash).toBe(hashCommit(second));
+
+    const patient = (await db.collection(COLLECTIONS.PATIENTS).doc(patientId).get()).data();
+    expect(patient).toMatchObject({ headCommitId: second.id, headCommitHash: second.hash });
+  });
+
+  it('writes nothing when the precondition throws', async () => {
+    await seedPatient();
+    const refused = Object.assign(new Error('Record changed'), { status: 409 });
+
+    await expect(writeCommit({
+      commit: { id: 'commit-x', patientId },
+      precondition: async () => { throw refused; },
+      writes: (tx) => tx.set(db.collection(COLLECTIONS.RECORDS).doc('record-x'), { patientId }),
+    })).rejects.toBe(refused);
+
+    expect((await commitRef('commit-x').get()).exists).toBe(false);
+    expect((await db.collection(COLLECTIONS.RECORDS).doc('record-x').get()).exists).toBe(false);
+    expect((await db.collection(COLLECTIONS.PATIENTS).doc(patientId).get()).get('headCommitId')).toBeUndefined();
+  });
+});
+
+describe('verifyPatientRepository', () => {
+  const seedRepository = async () => {
+    await seedPatient();
+    const first = await commitFile('record-1', 1, 'first');
+    const second = await commitFile('record-1', 2, 'second');
+    const third = await commitFile('record-2', 1, 'third');
+    return { first, second, third };
+  };
+
+  it('verifies an untouched repository', async () => {
+    await seedRepository();
+
+    const report = await verifyPatientRepository(patientId);
+
+    expect(report).toMatchObject({
+      verified: true,
+      headCommitId: 'commit-record-2-v1',
+      checkedCommits: 3,
+      unchainedCommits: 0,
+      checkedVersions: 3,
+      checkedFiles: 3,
+      breaks: [],
+    });
+  });
+
+  it('counts commits from before chaining without checking them', async () => {
+    await seedRepository();
+    await commitRef('legacy').set({ id: 'legacy', patientId, recordId: 'record-0' });
+
+    const report = await verifyPatientRepository(patientId);
+
+    expect(report).toMatchObject({ verified: true, unchainedCommits: 1 });
+  });
+
+  it('reports a commit edited after it was written', async () => {
+    const { second } = await seedRepository();
+    await commitRef(second.id).update({ type: 'create' });
+
+    const report = await verifyPatientRepository(patientId);
+
+    expect(report.verified).toBe(false);
+    expect(report.breaks).toEqual([{ type: 'hash_mismatch', commitId: second.id, recordId: 'record-1' }]);
+  });
+
+  it('reports a commit rewritten with a fresh hash as breaking the chain', async () => {
+    const { second } = await seedRepository();
+    const rewritten = { ...second, type: 'create' };
+    await commitRef(second.id).set({ ...rewritten, hash: hashCommit(rewritten) });
+
+    const report = await verifyPatientRepository(patientId);
+
+    expect(report.breaks).toEqual([{ type: 'chain_broken', commitId: second.id, recordId: 'record-1' }]);
+  });
+
+  it('reports a deleted commit and the commits cut off by it', async () => {
+    const { first, second } = await seedRepository();
+    await commitRef(second.id).delete();
+
+    const report = await verifyPatientRepository(patientId);
+
+    expect(report.breaks).toEqual([
+      { type: 'missing_commit', commitId: second.id },
+      { type: 'orphaned_commit', commitId: first.id, recordId: 'record-1' },
+    ]);
+  });
+
+  it('reports stored files that were changed or removed', async () => {
+    await seedRepository();
+    const changed = 'patients/patient-1/records/record-1/record-1-v1.txt';
+    const removed = 'patients/patient-1/records/record-2/record-2-v1.txt';
+    storedObjects.get(changed).body = Buffer.from('tampered');
+    storedObjects.delete(removed);
+
+    const report = await verifyPatientRepository(patientId);
+
+    expect(report.breaks).toEqual(expect.arrayContaining([
+      { type: 'content_mismatch', recordId: 'record-1', versionId: 'record-1-v1' },
+      { type: 'missing_file', recordId: 'record-2', versionId: 'record-2-v1' },
+    ]));
+    expect(report.breaks).toHaveLength(2);
+  });
+
+  it('reports an encrypted file that no longer decrypts', async () => {
+    await seedPatient();
+    await commitFile('record-1', 1, 'secret', { encrypted: true });
+    const stored = storedObjects.get('patients/patient-1/records/record-1/record-1-v1.txt');
+    stored.body[stored.body.length - 1] ^= 1;
+
+    const report = await verifyPatientRepository(patientId);
+
+    expect(breakTypes(report)).toEqual(['content_mismatch']);
+  });
+
+  it('reports a bundle whose file list no longer matches its hash', async () => {
+    await seedRepository();
+    const files = [
+      { index: 0, fileName: 'a.txt', storagePath: 'bundle/a.txt', contentHash: hashContent('a') },
+      { index: 1, fileName: 'b.txt', storagePath: 'bundle/b.txt', contentHash: hashContent('b') },
+    ];
+    storedObjects.set('bundle/a.txt', { body: Buffer.from('a'), metadata: {} });
+    storedObjects.set('bundle/b.txt', { body: Buffer.from('b'), metadata: {} });
+    await db.collection(COLLECTIONS.RECORDS).doc('record-2')
+      .collection(COLLECTIONS.RECORD_VERSIONS).doc('record-2-v2')
+      .set({ id: 'record-2-v2', recordId: 'record-2', patientId, files: [files[0], { ...files[1], fileName: 'renamed.txt' }], contentHash: hashManifest(files) });
+
+    const report = await verifyPatientRepository(patientId);
+
+    expect(report.breaks).toEqual([{ type: 'manifest_mismatch', recordId: 'record-2', versionId: 'record-2-v2' }]);
+  });
+});
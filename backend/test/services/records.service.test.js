@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import { db, COLLECTIONS, Timestamp, storedObjects } from '../../src/config/firebase.js';
+import { assertRecordUnchanged, commitRecordVersion } from '../../src/services/records.service.js';
+
+const patientId = 'patient-1';
+const recordRef = () => db.collection(COLLECTIONS.RECORDS).doc('record-1');
+
+const seedRecord = async (fields = {}) => {
+  const record = {
+    id: 'record-1',
+    patientId,
+    title: 'Blood panel',
+    recordType: 'lab_report',
+    currentVersion: 2,
+    currentVersionId: 'version-2',
+    totalVersions: 2,
+    isArchived: false,
+    updatedAt: Timestamp.now(),
+    ...fields,
+  };
+  await recordRef().set(record);
+  await db.collection(COLLECTIONS.PATIENTS).doc(patientId).set({ uid: patientId, totalVersions: 2 });
+  return record;
+};
+
+const textFile = (content) => ({
+  buffer: Buffer.from(content),
+  originalname: 'notes.txt',
+  mimetype: 'text/plain',
+  extension: 'txt',
+  size: Buffer.byteLength(content),
+});
+
+describe('assertRecordUnchanged', () => {
+  const check = (record) => db.runTransaction((tx) => assertRecordUnchanged(recordRef(), record)(tx));
+
+  it('passes while the record is still at the version it was loaded at', async () => {
+    const record = await seedRecord();
+    await expect(check(record)).resolves.toBeUndefined();
+  });
+
+  it('rejects with RECORD_CHANGED once another version was committed', async () => {
+    const record = await seedRecord();
+    await recordRef().update({ currentVersion: 3, currentVersionId: 'version-3' });
+
+    await expect(check(record)).rejects.toMatchObject({ status: 409, code: 'RECORD_CHANGED' });
+  });
+
+  it('rejects a record archived meanwhile', async () => {
+    const record = await seedRecord();
+    await recordRef().update({ isArchived: true });
+
+    await expect(check(record)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('rejects a deleted record with 404', async () => {
+    const record = await seedRecord();
+    await recordRef().delete();
+
+    await expect(check(record)).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('commitRecordVersion', () => {
+  const commit = (content) => commitRecordVersion({
+    callerId: patientId,
+    callerRole: 'patient',
+    recordId: 'record-1',
+    commitMessage: `Upload ${content}`,
+    files: [textFile(content)],
+  });
+
+  it('commits the next version and moves the record to it', async () => {
+    await seedRecord();
+
+    const { version } = await commit('v3');
+
+    expect(version.versionNumber).toBe(3);
+    const record = (await recordRef().get()).data();
+    expect(record).toMatchObject({ currentVersion: 3, currentVersionId: version.id, totalVersions: 3 });
+  });
+
+  it('lets only one of two concurrent commits take the next version', async () => {
+    await seedRecord();
+
+    const results = await Promise.allSettled([commit('first'), commit('second')]);
+
+    const committed = results.filter((r) => r.status === 'fulfilled');
+    const refused = results.filter((r) => r.status === 'rejected');
+    expect(committed).toHaveLength(1);
+    expect(refused).toHaveLength(1);
+    expect(refused[0].reason).toMatchObject({ status: 409, code: 'RECORD_CHANGED' });
+
+    const versions = await recordRef().collection(COLLECTIONS.RECORD_VERSIONS).get();
+    expect(versions.size).toBe(1);
+    expect((await recordRef().get()).get('currentVersionId')).toBe(committed[0].value.version.id);
+
+    // The refused commit's upload is removed again
+    const stored = [...storedObjects.keys()];
+    expect(stored).toEqual([committed[0].value.version.storagePath]);
+  });
+});
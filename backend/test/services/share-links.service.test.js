@@ -0,0 +1,237 @@
+import { describe, expect, it } from 'vitest';
+import config from '../../src/config/config.js';
+import { db, COLLECTIONS, Timestamp } from '../../src/config/firebase.js';
+import {
+  consumeShareLinkView,
+  hasDownloadGrant,
+  issueDownloadGrant,
+  issueShareLink,
+  loadSharedVersion,
+  presentShareLink,
+  resolveShareDownload,
+  resolveShareLink,
+  shareLinkStatus,
+} from '../../src/services/share-links.service.js';
+
+const patientId = 'patient-1';
+const file = { recordId: 'record-1', fileIndex: 0 };
+const { maxPasscodeAttempts } = config.shareLinks;
+
+const seedRecord = async () => {
+  const recordRef = db.collection(COLLECTIONS.RECORDS).doc('record-1');
+  await recordRef.set({
+    id: 'record-1',
+    patientId,
+    title: 'X-ray',
+    recordType: 'imaging',
+    currentVersion: 2,
+    currentVersionId: 'version-2',
+    isArchived: false,
+  });
+  await recordRef.collection(COLLECTIONS.RECORD_VERSIONS).doc('version-1').set({ id: 'version-1', versionNumber: 1 });
+  await recordRef.collection(COLLECTIONS.RECORD_VERSIONS).doc('version-2').set({ id: 'version-2', versionNumber: 2 });
+};
+
+const issue = async (options = {}) => {
+  await seedRecord();
+  return issueShareLink({ patientId, records: [{ recordId: 'record-1' }], expiresInHours: 24, ...options });
+};
+
+const linkRef = (link) => db.collection(COLLECTIONS.SHARE_LINKS).doc(link.id);
+const storedLink = async (link) => (await linkRef(link).get()).data();
+
+const notifications = async () =>
+  (await db.collection(COLLECTIONS.NOTIFICATIONS).get()).docs.map((d) => d.data());
+
+describe('issueShareLink', () => {
+  it('stores only hashes of the token and passcode', async () => {
+    const { link, token } = await issue({ passcode: '2468' });
+
+    const stored = await storedLink(link);
+    expect(JSON.stringify(stored)).not.toContain(token);
+    expect(JSON.stringify(stored)).not.toContain('2468');
+    expect(presentShareLink(stored)).not.toHaveProperty('tokenHash');
+    expect(presentShareLink(stored)).toMatchObject({ hasPasscode: true, status: 'active' });
+  });
+
+  it('refuses records of another patient', async () => {
+    await seedRecord();
+
+    await expect(issueShareLink({ patientId: 'patient-2', records: [{ recordId: 'record-1' }], expiresInHours: 1 }))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  it('serves the current version unless one is pinned', async () => {
+    const { link: following } = await issue();
+    const { link: pinned } = await issue({ records: [{ recordId: 'record-1', versionId: 'version-1' }] });
+
+    expect((await loadSharedVersion(following, 'record-1')).version.id).toBe('version-2');
+    expect((await loadSharedVersion(pinned, 'record-1')).version.id).toBe('version-1');
+    await expect(loadSharedVersion(pinned, 'record-9')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('shareLinkStatus', () => {
+  const link = { status: 'active', expiresAt: Timestamp.fromMillis(2_000), maxViews: 2, viewCount: 0 };
+
+  it('derives expired and exhausted from an active link', () => {
+    expect(shareLinkStatus(link, 1_000)).toBe('active');
+    expect(shareLinkStatus(link, 2_000)).toBe('expired');
+    expect(shareLinkStatus({ ...link, viewCount: 2 }, 1_000)).toBe('exhausted');
+    expect(shareLinkStatus({ ...link, maxViews: null, viewCount: 50 }, 1_000)).toBe('active');
+  });
+
+  it('keeps a revoked or locked link so', () => {
+    expect(shareLinkStatus({ ...link, status: 'revoked' }, 1_000)).toBe('revoked');
+    expect(shareLinkStatus({ ...link, status: 'locked', viewCount: 2 }, 3_000)).toBe('locked');
+  });
+});
+
+describe('resolveShareLink', () => {
+  it('resolves a working token', async () => {
+    const { link, token } = await issue();
+
+    expect((await resolveShareLink(token)).id).toBe(link.id);
+  });
+
+  it('answers unknown, malformed and revoked tokens alike', async () => {
+    const { link, token } = await issue();
+    await linkRef(link).update({ status: 'revoked' });
+
+    for (const candidate of [token, 'A'.repeat(43), 'not-a-token']) {
+      await expect(resolveShareLink(candidate)).rejects.toMatchObject({ status: 404 });
+    }
+  });
+
+  it('refuses an expired link with 410', async () => {
+    const { link, token } = await issue();
+    await linkRef(link).update({ expiresAt: Timestamp.fromMillis(Date.now() - 1) });
+
+    await expect(resolveShareLink(token)).rejects.toMatchObject({ status: 410 });
+  });
+
+  it('refuses a link that used up its views with 410', async () => {
+    const { link, token } = await issue({ maxViews: 1 });
+    await consumeShareLinkView(link.id);
+
+    await expect(resolveShareLink(token)).rejects.toMatchObject({ status: 410 });
+  });
+});
+
+describe('consumeShareLinkView', () => {
+  it('counts views up to the limit, then refuses', async () => {
+    const { link } = await issue({ maxViews: 2 });
+
+    expect(await consumeShareLinkView(link.id)).toBe(1);
+    expect(await consumeShareLinkView(link.id)).toBe(2);
+    await expect(consumeShareLinkView(link.id)).rejects.toMatchObject({ status: 410 });
+    expect((await storedLink(link)).viewCount).toBe(2);
+  });
+
+  it('never lets concurrent views past the limit', async () => {
+    const { link } = await issue({ maxViews: 3 });
+
+    const results = await Promise.allSettled(Array.from({ length: 8 }, () => consumeShareLinkView(link.id)));
+
+    expect(results.filter((r) => r.status === 'fulfilled')).toHaveLength(3);
+    expect((await storedLink(link)).viewCount).toBe(3);
+  });
+});
+
+describe('resolveShareDownload', () => {
+  it('resumes a counted download past the view limit with its grant', async () => {
+    const { link, token } = await issue({ maxViews: 1 });
+    await consumeShareLinkView(link.id);
+    const grant = await issueDownloadGrant(link.id, file);
+
+    await expect(resolveShareDownload(token, undefined, { grant, ...file }))
+      .resolves.toMatchObject({ link: { id: link.id }, resumed: true });
+  });
+
+  it('refuses an exhausted link without a grant for that file', async () => {
+    const { link, token } = await issue({ maxViews: 1 });
+    await consumeShareLinkView(link.id);
+    const grant = await issueDownloadGrant(link.id, file);
+
+    await expect(resolveShareDownload(token, undefined, { ...file }))
+      .rejects.toMatchObject({ status: 410 });
+    await expect(resolveShareDownload(token, undefined, { grant, recordId: 'record-1', fileIndex: 1 }))
+      .rejects.toMatchObject({ status: 410 });
+  });
+
+  it('counts a download on a live link as new', async () => {
+    const { token } = await issue({ maxViews: 5 });
+
+    await expect(resolveShareDownload(token, undefined, { ...file }))
+      .resolves.toMatchObject({ resumed: false });
+  });
+
+  it('does not resume on another link or after the grant expired', async () => {
+    const { link } = await issue();
+    const { link: other } = await issue();
+    const grant = await issueDownloadGrant(link.id, file);
+
+    expect(await hasDownloadGrant(link.id, grant, file)).toBe(true);
+    expect(await hasDownloadGrant(other.id, grant, file)).toBe(false);
+
+    const grants = await linkRef(link).collection(COLLECTIONS.SHARE_LINK_DOWNLOADS).get();
+    await grants.docs[0].ref.update({ expiresAt: Timestamp.fromMillis(Date.now() - 1) });
+    expect(await hasDownloadGrant(link.id, grant, file)).toBe(false);
+  });
+
+  it('still asks for the passcode when resuming', async () => {
+    const { link, token } = await issue({ passcode: '2468' });
+    const grant = await issueDownloadGrant(link.id, file);
+
+    await expect(resolveShareDownload(token, undefined, { grant, ...file }))
+      .rejects.toMatchObject({ status: 401, code: 'PASSCODE_REQUIRED' });
+    await expect(resolveShareDownload(token, '2468', { grant, ...file }))
+      .resolves.toMatchObject({ resumed: true });
+  });
+});
+
+describe('passcodes', () => {
+  it('needs the right passcode', async () => {
+    const { link, token } = await issue({ passcode: '2468' });
+
+    await expect(resolveShareLink(token)).rejects.toMatchObject({ status: 401, code: 'PASSCODE_REQUIRED' });
+    await expect(resolveShareLink(token, '1357')).rejects.toMatchObject({ status: 401, code: 'PASSCODE_INVALID' });
+    expect((await resolveShareLink(token, '2468')).id).toBe(link.id);
+    expect((await storedLink(link)).failedPasscodeAttempts).toBe(1);
+  });
+
+  it('locks the link on the last allowed wrong passcode and tells the patient', async () => {
+    const { link, token } = await issue({ passcode: '2468', label: 'Insurer' });
+
+    for (let i = 0; i < maxPasscodeAttempts - 1; i++) {
+      await expect(resolveShareLink(token, '0000')).rejects.toMatchObject({ status: 401 });
+    }
+    expect((await storedLink(link)).status).toBe('active');
+    expect(await notifications()).toEqual([]);
+
+    await expect(resolveShareLink(token, '0000')).rejects.toMatchObject({ status: 401 });
+
+    expect(await storedLink(link)).toMatchObject({ status: 'locked', failedPasscodeAttempts: maxPasscodeAttempts });
+    expect(await notifications()).toEqual([expect.objectContaining({
+      recipientId: patientId,
+      type: 'share_link_locked',
+      metadata: { linkId: link.id },
+    })]);
+
+    // Locked means locked, even for the right passcode
+    await expect(resolveShareLink(token, '2468')).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('locks exactly once when wrong guesses arrive in parallel', async () => {
+    const { link, token } = await issue({ passcode: '2468' });
+    const guesses = maxPasscodeAttempts + 3;
+
+    const results = await Promise.allSettled(Array.from({ length: guesses }, () => resolveShareLink(token, '0000')));
+
+    expect(results.every((r) => r.status === 'rejected')).toBe(true);
+    const stored = await storedLink(link);
+    expect(stored.status).toBe('locked');
+    expect(stored.failedPasscodeAttempts).toBeGreaterThanOrEqual(maxPasscodeAttempts);
+    expect(await notifications()).toHaveLength(1);
+  });
+});
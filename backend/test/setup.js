@@ -0,0 +1,20 @@
+import { rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { afterAll, beforeEach, vi } from 'vitest';
+import config from '../src/config/config.js';
+import { resetFirebase } from './support/firebase.js';
+
+// No Firebase project in tests — every service gets the in-memory fake
+vi.mock('../src/config/firebase.js', () => import('./support/firebase.js'));
+
+// A throwaway master key file, never the one in the backend directory
+config.encryption.localKeyFile = path.join(tmpdir(), `medilocker-test-keys-${process.pid}.json`);
+
+beforeEach(() => {
+  resetFirebase();
+});
+
+afterAll(() => {
+  rmSync(config.encryption.localKeyFile, { force: true });
+});
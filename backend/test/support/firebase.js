@@ -0,0 +1,332 @@
+/**
+ * In-memory stand-in for src/config/firebase.js, installed for every test by
+ * test/setup.js. It covers the parts of Firestore and Cloud Storage the
+ * services use: documents and subcollections, simple queries, transactions
+ * (run one at a time, like Firestore's locks), batches, FieldValue
+ * transforms, and bucket objects with ranged reads.
+ *
+ * `resetFirebase()` empties both between tests.
+ */
+import { Readable, Writable } from 'stream';
+import { Timestamp } from 'firebase-admin/firestore';
+
+export { COLLECTIONS } from '../../src/config/collections.js';
+export { Timestamp };
+
+const documents = new Map(); // 'col/id[/sub/id…]' → data
+const objects = new Map();   // storage path → { body: Buffer, metadata }
+
+export const resetFirebase = () => {
+  documents.clear();
+  objects.clear();
+};
+
+// ─── FieldValue ───────────────────────────────────────────────────────────────
+
+class Transform {
+  constructor(apply) {
+    this.apply = apply;
+  }
+}
+
+export const FieldValue = {
+  increment: (n) => new Transform((current) => (current || 0) + n),
+  arrayUnion: (...items) => new Transform((current = []) => [
+    ...current,
+    ...items.filter((item) => !current.some((c) => isEqual(c, item))),
+  ]),
+  arrayRemove: (...items) => new Transform((current = []) =>
+    current.filter((c) => !items.some((item) => isEqual(c, item)))),
+  serverTimestamp: () => new Transform(() => Timestamp.now()),
+  delete: () => new Transform(() => undefined),
+};
+
+export const Filter = {};
+
+// ─── Values ───────────────────────────────────────────────────────────────────
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Copies maps and arrays, keeps Timestamps and Buffers as they are
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+};
+
+const comparable = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+
+const isEqual = (a, b) => JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+
+const getField = (data, fieldPath) =>
+  fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const setField = (data, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, data);
+  const next = value instanceof Transform ? value.apply(parent[last]) : clone(value);
+  if (next === undefined) delete parent[last];
+  else parent[last] = next;
+};
+
+// Resolve transforms in a `set` payload, which may nest them in maps
+const resolveTransforms = (value) => {
+  if (value instanceof Transform) return value.apply(undefined);
+  if (Array.isArray(value)) return value.map(resolveTransforms);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveTransforms(v)]));
+  }
+  return value;
+};
+
+const notFoundError = (path) => Object.assign(new Error(`No document to update: ${path}`), { code: 5 });
+
+// ─── Writes ───────────────────────────────────────────────────────────────────
+
+const write = {
+  set: (path, data, { merge = false } = {}) => {
+    if (merge && documents.has(path)) {
+      const current = documents.get(path);
+      Object.entries(data).forEach(([key, value]) => setField(current, key, value));
+    } else {
+      documents.set(path, clone(resolveTransforms(data)));
+    }
+  },
+  create: (path, data) => {
+    if (documents.has(path)) throw Object.assign(new Error(`Document already exists: ${path}`), { code: 6 });
+    documents.set(path, clone(resolveTransforms(data)));
+  },
+  update: (path, data) => {
+    if (!documents.has(path)) throw notFoundError(path);
+    const current = documents.get(path);
+    Object.entries(data).forEach(([key, value]) => setField(current, key, value));
+  },
+  delete: (path) => {
+    documents.delete(path);
+  },
+};
+
+// ─── Documents and queries ────────────────────────────────────────────────────
+
+class DocumentSnapshot {
+  constructor(ref) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = documents.has(ref.path);
+    this.stored = this.exists ? clone(documents.get(ref.path)) : undefined;
+  }
+
+  data() {
+    return this.stored === undefined ? undefined : clone(this.stored);
+  }
+
+  get(fieldPath) {
+    return this.stored === undefined ? undefined : clone(getField(this.stored, fieldPath));
+  }
+}
+
+class DocumentReference {
+  constructor(path) {
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return new CollectionReference(`${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this);
+  }
+
+  async set(data, options) {
+    write.set(this.path, data, options);
+  }
+
+  async create(data) {
+    write.create(this.path, data);
+  }
+
+  async update(data) {
+    write.update(this.path, data);
+  }
+
+  async delete() {
+    write.delete(this.path);
+  }
+}
+
+const OPERATORS = {
+  '==': (a, b) => isEqual(a, b),
+  '!=': (a, b) => !isEqual(a, b),
+  '<': (a, b) => a != null && comparable(a) < comparable(b),
+  '<=': (a, b) => a != null && comparable(a) <= comparable(b),
+  '>': (a, b) => a != null && comparable(a) > comparable(b),
+  '>=': (a, b) => a != null && comparable(a) >= comparable(b),
+  'in': (a, b) => b.some((v) => isEqual(a, v)),
+  'array-contains': (a, b) => Array.isArray(a) && a.some((v) => isEqual(v, b)),
+  'array-contains-any': (a, b) => Array.isArray(a) && a.some((v) => b.some((w) => isEqual(v, w))),
+};
+
+class Query {
+  constructor(path, { filters = [], order = [], max = null } = {}) {
+    this.path = path;
+    this.filters = filters;
+    this.order = order;
+    this.max = max;
+  }
+
+  refine(changes) {
+    return new Query(this.path, { filters: this.filters, order: this.order, max: this.max, ...changes });
+  }
+
+  where(fieldPath, op, value) {
+    if (!OPERATORS[op]) throw new Error(`Unsupported operator in test Firestore: ${op}`);
+    return this.refine({ filters: [...this.filters, { fieldPath, op, value }] });
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    return this.refine({ order: [...this.order, { fieldPath, direction }] });
+  }
+
+  limit(max) {
+    return this.refine({ max });
+  }
+
+  select() {
+    return this;
+  }
+
+  async get() {
+    const depth = this.path.split('/').length + 1;
+    let docs = [...documents.keys()]
+      .filter((path) => path.startsWith(`${this.path}/`) && path.split('/').length === depth)
+      .map((path) => new DocumentSnapshot(new DocumentReference(path)))
+      .filter((snap) => this.filters.every(({ fieldPath, op, value }) =>
+        OPERATORS[op](getField(snap.stored, fieldPath), value)));
+
+    for (const { fieldPath, direction } of [...this.order].reverse()) {
+      const sign = direction === 'desc' ? -1 : 1;
+      docs = docs.sort((a, b) => {
+        const x = comparable(getField(a.stored, fieldPath));
+        const y = comparable(getField(b.stored, fieldPath));
+        return x === y ? 0 : (x < y ? -1 : 1) * sign;
+      });
+    }
+    if (this.max !== null) docs = docs.slice(0, this.max);
+
+    return { docs, size: docs.length, empty: docs.length === 0, forEach: (fn) => docs.forEach(fn) };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(path) {
+    super(path);
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = Math.random().toString(36).slice(2)) {
+    return new DocumentReference(`${this.path}/${id}`);
+  }
+}
+
+// ─── Transactions and batches ─────────────────────────────────────────────────
+
+// Firestore locks what a transaction reads until it commits; running
+// transactions one at a time gives the same outcomes
+let transactionQueue = Promise.resolve();
+
+const stagedWrites = () => {
+  const staged = [];
+  return {
+    staged,
+    set(ref, data, options) { staged.push(() => write.set(ref.path, data, options)); return this; },
+    create(ref, data) { staged.push(() => write.create(ref.path, data)); return this; },
+    update(ref, data) { staged.push(() => write.update(ref.path, data)); return this; },
+    delete(ref) { staged.push(() => write.delete(ref.path)); return this; },
+  };
+};
+
+export const db = {
+  collection: (name) => new CollectionReference(name),
+
+  runTransaction: (fn) => {
+    const run = transactionQueue.then(async () => {
+      const tx = stagedWrites();
+      tx.get = async (refOrQuery) => refOrQuery.get();
+      const result = await fn(tx);
+      tx.staged.forEach((apply) => apply());
+      return result;
+    });
+    transactionQueue = run.catch(() => {});
+    return run;
+  },
+
+  batch: () => {
+    const batch = stagedWrites();
+    batch.commit = async () => batch.staged.forEach((apply) => apply());
+    return batch;
+  },
+};
+
+// ─── Cloud Storage ────────────────────────────────────────────────────────────
+
+const objectNotFound = (path) => Object.assign(new Error(`No such object: ${path}`), { code: 404 });
+
+export const bucket = {
+  file: (path) => ({
+    async save(body, { metadata = {} } = {}) {
+      objects.set(path, { body: Buffer.from(body), metadata });
+    },
+    createWriteStream({ metadata = {} } = {}) {
+      const chunks = [];
+      return new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          callback();
+        },
+        final(callback) {
+          objects.set(path, { body: Buffer.concat(chunks), metadata });
+          callback();
+        },
+      });
+    },
+    async getMetadata() {
+      if (!objects.has(path)) throw objectNotFound(path);
+      const { body, metadata } = objects.get(path);
+      return [{ ...metadata, size: String(body.length) }];
+    },
+    async download() {
+      if (!objects.has(path)) throw objectNotFound(path);
+      return [objects.get(path).body];
+    },
+    // Like the real client: `end` is inclusive
+    createReadStream({ start = 0, end } = {}) {
+      if (!objects.has(path)) {
+        const stream = new Readable({ read() {} });
+        process.nextTick(() => stream.destroy(objectNotFound(path)));
+        return stream;
+      }
+      const { body } = objects.get(path);
+      return Readable.from([body.subarray(start, end === undefined ? body.length : end + 1)]);
+    },
+    async delete({ ignoreNotFound = false } = {}) {
+      if (!objects.delete(path) && !ignoreNotFound) throw objectNotFound(path);
+    },
+  }),
+};
+
+// Direct access for assertions and for setting up (or tampering with) stored objects
+export const storedObjects = objects;
+
+export const auth = {};
+export const storage = { bucket: () => bucket };
+
+export default { firestore: () => db };
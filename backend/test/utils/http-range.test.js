@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { parseRange } from '../../src/utils/http-range.js';
+
+describe('parseRange', () => {
+  it('returns null when there is no usable single range', () => {
+    expect(parseRange(undefined, 100)).toBeNull();
+    expect(parseRange('', 100)).toBeNull();
+    expect(parseRange('bytes=-', 100)).toBeNull();
+    expect(parseRange('items=0-10', 100)).toBeNull();
+    expect(parseRange('bytes=0-10,20-30', 100)).toBeNull();
+    expect(parseRange('bytes=a-b', 100)).toBeNull();
+  });
+
+  it('parses a closed range', () => {
+    expect(parseRange('bytes=0-9', 100)).toEqual({ start: 0, end: 9 });
+    expect(parseRange(' bytes=10-19 ', 100)).toEqual({ start: 10, end: 19 });
+  });
+
+  it('reads an open range to the last byte', () => {
+    expect(parseRange('bytes=90-', 100)).toEqual({ start: 90, end: 99 });
+  });
+
+  it('clamps an end past the resource to the last byte', () => {
+    expect(parseRange('bytes=50-1000', 100)).toEqual({ start: 50, end: 99 });
+  });
+
+  it('serves a suffix range as the last N bytes', () => {
+    expect(parseRange('bytes=-10', 100)).toEqual({ start: 90, end: 99 });
+    expect(parseRange('bytes=-500', 100)).toEqual({ start: 0, end: 99 });
+  });
+
+  it('marks ranges that select nothing as unsatisfiable', () => {
+    expect(parseRange('bytes=100-', 100)).toEqual({ unsatisfiable: true });
+    expect(parseRange('bytes=150-200', 100)).toEqual({ unsatisfiable: true });
+    expect(parseRange('bytes=20-10', 100)).toEqual({ unsatisfiable: true });
+    expect(parseRange('bytes=-0', 100)).toEqual({ unsatisfiable: true });
+  });
+
+  it('cannot satisfy any range of an empty resource', () => {
+    expect(parseRange('bytes=0-', 0)).toEqual({ unsatisfiable: true });
+    expect(parseRange('bytes=-10', 0)).toEqual({ unsatisfiable: true });
+  });
+});